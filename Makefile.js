@@ -32,6 +32,9 @@ var NODE = 'node ', // intentional extra space
     JSDOC = NODE + NODE_MODULES + 'jsdoc/jsdoc.js ',
     ESLINT = NODE + NODE_MODULES + 'eslint/bin/eslint ',
     BROWSERIFY = NODE + NODE_MODULES + 'browserify/bin/cmd.js',
+    JEST = NODE + NODE_MODULES + 'jest/bin/jest.js ',
+    JASMINE = NODE + NODE_MODULES + 'jasmine/bin/jasmine.js ',
+    TSD = NODE + NODE_MODULES + 'tsd/dist/cli.js',
     // Directories
     JS_DIRS = getSourceDirectories(),
     // Files
@@ -39,6 +42,7 @@ var NODE = 'node ', // intentional extra space
     JSON_FILES =
         find('config/').filter(fileType('json')).join(' ') + ' .eslintrc',
     TEST_FILES = find('tests/').filter(fileType('js')).join(' '),
+    ADAPTER_TESTS_DIR = './tests/adapters/',
     JSON_SCHEMA = './config/package.schema.json';
 
 //------------------------------------------------------------------------------
@@ -149,6 +153,30 @@ target.test = function() {
 
     echo('Running tests');
     execOrExit('./node_modules/karma/bin/karma start');
+
+    target.testAdapters();
+    target.testTypes();
+};
+
+target.testTypes = function() {
+    echo('Running type tests');
+    execOrExit(TSD);
+};
+
+target.testAdapters = function() {
+    echo('Running Jest adapter tests');
+    execOrExit(JEST + '--env=node --rootDir ' + ADAPTER_TESTS_DIR + ' --testRegex "jest-adapter-test\\.js$"');
+
+    echo('Running Jasmine adapter tests');
+    execOrExit(JASMINE + '--random=false ' + ADAPTER_TESTS_DIR + 'jasmine-adapter-test.js');
+
+    // node:test is only available in Node.js 18 and later
+    if (parseInt(process.versions.node, 10) >= 18) {
+        echo('Running node:test adapter tests');
+        execOrExit(NODE + ADAPTER_TESTS_DIR + 'node-test-adapter-test.js');
+    } else {
+        echo('Skipping node:test adapter tests, which require Node.js 18 or later');
+    }
 };
 
 target.docs = function() {
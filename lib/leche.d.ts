@@ -0,0 +1,683 @@
+/**
+ * @fileoverview Type definitions for Leche
+ */
+
+/// <reference lib="es2015.iterable" />
+/// <reference lib="es2015.promise" />
+/// <reference lib="es2018.asynciterable" />
+
+export = leche;
+export as namespace leche;
+
+declare namespace leche {
+
+	//--------------------------------------------------------------------------
+	// Objects and fakes
+	//--------------------------------------------------------------------------
+
+	interface CreateOptions {
+
+		/** True to record every call made to the object's methods. */
+		record?: boolean;
+
+		/** The real object or class to check the fake against while verified fakes are on. */
+		real?: object;
+	}
+
+	interface FakeOptions<T = any> extends CreateOptions {
+
+		/** True to create a Proxy-based strict fake. */
+		strict?: boolean;
+
+		/** Members that keep the template's real implementation. */
+		passthrough?: readonly (keyof T)[];
+
+		/** Values to use for members instead. Functions and behaviors become methods. */
+		stub?: { [K in keyof T]?: StubFor<T[K]> };
+
+		/** True to fake object-valued members recursively. */
+		deep?: boolean;
+
+		/** How many levels of nested objects a deep fake includes. */
+		depth?: number;
+
+		/** How to fake data properties and accessors. */
+		properties?: PropertyPolicy;
+
+		/** True to throw when a property that the template doesn't have is written. */
+		frozen?: boolean;
+	}
+
+	/** How fake() treats data properties and accessors. */
+	type PropertyPolicy = 'throw' | 'default' | 'undefined' | 'record';
+
+	/** A value that can replace a member in the stub option of fake(). */
+	type StubFor<M> = M extends (...args: any[]) => infer R ? M | MethodBehavior<R> : M;
+
+	/** A call recorded for an object created with { record: true }. */
+	interface Call {
+		method: string | symbol;
+		args: unknown[];
+		thisValue: unknown;
+		returnValue: unknown;
+		exception: unknown;
+		unexpected: boolean;
+		order: number;
+	}
+
+	/** A behavior for a method created by create(), such as returns(). */
+	interface MethodBehavior<R> {
+		createImplementation(): (...args: any[]) => R;
+	}
+
+	/** A behavior or a function to use as a method of an object created by create(). */
+	type MethodSpec = MethodBehavior<unknown> | ((...args: any[]) => unknown);
+
+	/** The method that create() creates for a name or a behavior. */
+	type MethodFor<S> =
+		S extends MethodBehavior<infer R> ? (...args: any[]) => R :
+		S extends (...args: any[]) => unknown ? S :
+		never;
+
+	/** The methods that create() creates from a spec object. */
+	type MethodsFor<S> = { [K in keyof S]: MethodFor<S[K]> };
+
+	type UnionToIntersection<U> =
+		(U extends unknown ? (value: U) => void : never) extends (value: infer I) => void ? I : never;
+
+	/** The object that create() creates from a mix of method names and spec objects. */
+	type CreatedObject<M> = UnionToIntersection<
+		M extends string ? Record<M, () => void> :
+		M extends object ? MethodsFor<M> :
+		never
+	>;
+
+	/** Creates an object whose methods do nothing unless given a behavior. */
+	function create<K extends string>(methods: readonly K[], options?: CreateOptions): Record<K, () => void>;
+	function create<S extends Record<string, MethodSpec>>(methods: S, options?: CreateOptions): MethodsFor<S>;
+	function create<M extends string | Record<string, MethodSpec>>(
+		methods: readonly M[],
+		options?: CreateOptions
+	): CreatedObject<M>;
+
+	/** Creates a behavior where the method returns a value. */
+	function returns<R>(value: R): MethodBehavior<R>;
+
+	/** Creates a behavior where the method throws an error. */
+	function throws(error?: unknown): MethodBehavior<never>;
+
+	/** Creates a behavior where the method returns a promise that's resolved with a value. */
+	function resolves(): MethodBehavior<Promise<void>>;
+	function resolves<R>(value: R): MethodBehavior<Promise<R>>;
+
+	/** Creates a behavior where the method returns a promise that's rejected. */
+	function rejects(error?: unknown): MethodBehavior<Promise<never>>;
+
+	/** Creates a behavior where the method returns each value in turn, then undefined. */
+	function sequence<R>(...values: R[]): MethodBehavior<R | undefined>;
+
+	/** Creates a fake whose methods throw when called. */
+	function fake<T>(template: T, options?: FakeOptions<T>): T;
+
+	/** Creates a fake class whose instances are fakes of its prototype. */
+	function fakeClass<C extends abstract new (...args: any[]) => unknown>(Class: C, options?: FakeOptions<InstanceType<C>>): C;
+
+	/** Returns the recorded calls to an object's methods. */
+	function calls(object: object, methodName?: string): Call[];
+
+	/** A property read or write recorded for a fake created with { properties: 'record' }. */
+	interface Access {
+		property: string;
+		type: 'get' | 'set';
+		value: unknown;
+		order: number;
+	}
+
+	/** Returns the recorded property reads and writes of a fake. */
+	function accesses(fake: object, propertyName?: string): Access[];
+
+	/** Throws if any method that wasn't expected to be called was called. */
+	function verifyNoUnexpectedCalls(object: object): void;
+
+	/** Throws if a fake's members don't match those of the real object or class. */
+	function assertMatches(fake: unknown, real: object): void;
+
+	/** Turns checking fakes against their real option on or off. */
+	function useVerifiedFakes(enabled: boolean): void;
+
+	//--------------------------------------------------------------------------
+	// Modules
+	//--------------------------------------------------------------------------
+
+	interface FakeModuleOptions extends CreateOptions {
+
+		/** The name of the module in error messages. */
+		name?: string;
+	}
+
+	/** Creates a fake of everything a module exports, recursively. */
+	function fakeModule<T extends object>(exports: T, options?: FakeModuleOptions): T;
+	function fakeModule<T = any>(id: string, options?: FakeModuleOptions): T;
+
+	/** Puts exports into require.cache for a module and returns a function that restores it. */
+	function installModule(id: string, exports: unknown): () => void;
+
+	/** Fakes a module and installs the fake for the duration of the current describe() block. */
+	function useFakeModule<T = any>(id: string, options?: FakeModuleOptions): T;
+
+	//--------------------------------------------------------------------------
+	// Globals
+	//--------------------------------------------------------------------------
+
+	type FakeableGlobal = 'Date' | 'setTimeout' | 'setInterval' | 'setImmediate' | 'Math.random';
+
+	interface FakeGlobalsOptions {
+
+		/** The time to start the clock at. Defaults to 0. */
+		now?: number | Date;
+
+		/** The seed for random numbers. Defaults to LECHE_SEED or a random seed. */
+		seed?: number;
+	}
+
+	/** Controls the fakes created by fakeGlobals(). */
+	interface FakeClock {
+
+		/** The seed of the random numbers. */
+		readonly seed: number;
+
+		/** Returns the next random number from 0 to 1, the same as the fake Math.random(). */
+		random(): number;
+
+		/** Returns the time of the clock in milliseconds. */
+		now(): number;
+
+		/** Moves the clock forward, firing the timers that are due, and returns the new time. */
+		tick(milliseconds: number): number;
+
+		/** Fires timers until there are none left and returns the new time. */
+		runAll(): number;
+
+		/** Changes the time of the clock without firing any timers. */
+		setSystemTime(time: number | Date): void;
+
+		/** Replaces the globals with the fakes. fakeGlobals() does this in a before() hook. */
+		install(): void;
+
+		/** Restores the real globals. fakeGlobals() does this in an after() hook. */
+		restore(): void;
+	}
+
+	/** Fakes globals that depend on time or randomness for the duration of the current describe() block. */
+	function fakeGlobals(names: readonly FakeableGlobal[], options?: FakeGlobalsOptions): FakeClock;
+
+	//--------------------------------------------------------------------------
+	// Contracts
+	//--------------------------------------------------------------------------
+
+	/** A JSON schema. Only the keywords that describe the shape of a value are checked. */
+	interface JSONSchema {
+		$ref?: string;
+		type?: string | string[];
+		enum?: unknown[];
+		properties?: { [name: string]: JSONSchema };
+		required?: string[];
+		additionalProperties?: boolean | JSONSchema;
+		items?: JSONSchema;
+		anyOf?: JSONSchema[];
+		oneOf?: JSONSchema[];
+		allOf?: JSONSchema[];
+		nullable?: boolean;
+		[keyword: string]: unknown;
+	}
+
+	interface ContractMethod {
+
+		/** Parameter names. Optional ones end in "?" and a rest parameter starts with "...". */
+		params?: (string | { name: string; required?: boolean })[];
+
+		/** The exact number of arguments, instead of params. */
+		arity?: number;
+
+		/** True if the method returns a promise. */
+		async?: boolean;
+
+		/** The schema of the return value, or of what the promise resolves to. */
+		returns?: JSONSchema;
+	}
+
+	interface Contract {
+		name?: string;
+		methods?: string[] | { [name: string]: ContractMethod };
+		properties?: { [name: string]: JSONSchema };
+		[key: string]: unknown;
+	}
+
+	/** An OpenAPI or Swagger document, with a method for each operationId. */
+	interface OpenApiDocument {
+		openapi?: string;
+		swagger?: string;
+		info?: { title?: string };
+		paths: { [path: string]: unknown };
+		[key: string]: unknown;
+	}
+
+	interface ContractOptions<T = any> extends CreateOptions {
+
+		/** Implementations for methods, or values for properties. */
+		stub?: { [K in keyof T]?: StubFor<T[K]> };
+
+		/** The name of the object in error messages. */
+		name?: string;
+	}
+
+	/** Creates a fake from a contract or the path of a JSON file with one. */
+	function fromContract<T = any>(contract: Contract | OpenApiDocument | string, options?: ContractOptions<T>): T;
+
+	//--------------------------------------------------------------------------
+	// Sandboxes
+	//--------------------------------------------------------------------------
+
+	/** Something a sandbox can verify or restore, such as a Sinon mock, stub or fake timer. */
+	interface Trackable {
+		verify?(): unknown;
+		restore?(): unknown;
+	}
+
+	/** Keeps track of fakes and of everything that has to be checked or put back after a test. */
+	interface Sandbox {
+
+		/** Like create(), except calls are recorded unless the record option is false. */
+		create: typeof create;
+
+		/** Like fake(), except calls are recorded unless the record option is false. */
+		fake: typeof fake;
+
+		/** Like fakeClass(), except calls are recorded unless the record option is false. */
+		fakeClass: typeof fakeClass;
+
+		/** Like fakeModule(), except calls are recorded unless the record option is false. */
+		fakeModule: typeof fakeModule;
+
+		/** Like fromContract(), except calls are recorded unless the record option is false. */
+		fromContract: typeof fromContract;
+
+		/** Puts exports into require.cache for a module until the sandbox is restored. */
+		installModule(id: string, exports: unknown): () => void;
+
+		/** Fakes globals right away until the sandbox is restored. */
+		fakeGlobals(names: readonly FakeableGlobal[], options?: FakeGlobalsOptions): FakeClock;
+
+		/** Sets a property until the sandbox is restored. */
+		replace<T extends object, K extends keyof T>(object: T, key: K, value: T[K]): T[K];
+
+		/** Adds a fake, or an object whose verify() and restore() methods the sandbox should call. */
+		track<T extends object>(object: T): T;
+
+		/** Throws an error that lists the unexpected calls to fakes and the errors from verify() methods. */
+		verify(): void;
+
+		/** Calls the restore() methods of tracked objects, newest first, and empties the sandbox. */
+		restore(): void;
+
+		/** Verifies the sandbox, then restores it even if verifying throws. */
+		verifyAndRestore(): void;
+	}
+
+	/** Creates a sandbox. */
+	function sandbox(): Sandbox;
+
+	/** Creates a sandbox that tracks fakes made during each test in the current describe() block and verifies and restores it after each test. */
+	function useSandbox(): Sandbox;
+
+	//--------------------------------------------------------------------------
+	// Datasets
+	//--------------------------------------------------------------------------
+
+	/*
+	 * Including a tuple type in the constraint makes TypeScript infer array
+	 * literals as tuples, so each row keeps the types of its arguments.
+	 */
+	type DataItem = [] | readonly unknown[] | {} | null | undefined;
+
+	/** A dataset item that has been marked by only() or skip(). */
+	interface MarkedItem<T> {
+		readonly value: T;
+		readonly mode: 'only' | 'skip';
+		readonly reason: string | undefined;
+	}
+
+	/** A dataset item without the mark added by only() or skip(). */
+	type UnmarkedItem<T> = T extends MarkedItem<infer V> ? V : T;
+
+	/**
+	 * The arguments that the test function receives for a dataset item. The
+	 * check is wrapped in a tuple so that unions such as boolean aren't split.
+	 */
+	type ItemArgs<T> = [UnmarkedItem<T>] extends [readonly unknown[]] ?
+		[...UnmarkedItem<T>] : [UnmarkedItem<T>];
+
+	type Dataset<T = DataItem> =
+		readonly (T | MarkedItem<T>)[] |
+		{ readonly [label: string]: T | MarkedItem<T> };
+
+	/** A dataset or a source that's resolved right away. Strings aren't accepted. */
+	type ResolvedDatasetSource<T = DataItem> =
+		Dataset<T> |
+		(Iterable<T | MarkedItem<T>> & object) |
+		AsyncIterable<T | MarkedItem<T>>;
+
+	/** Anything that withData() can resolve to a dataset. */
+	type DatasetSource<T = DataItem> =
+		ResolvedDatasetSource<T> |
+		PromiseLike<ResolvedDatasetSource<T>> |
+		(() => ResolvedDatasetSource<T> | PromiseLike<ResolvedDatasetSource<T>>);
+
+	/** The arguments that the test function receives for any item of a dataset. */
+	type DatasetArgs<D> =
+		D extends readonly (infer T)[] ? ItemArgs<T> :
+		D extends { readonly [label: string]: infer T } ? ItemArgs<T> :
+		unknown[];
+
+	/** The arguments of the items created by combining datasets. */
+	type CombinedArgs<D extends readonly unknown[]> =
+		D extends readonly [infer First, ...infer Rest] ? [...DatasetArgs<First>, ...CombinedArgs<Rest>] : [];
+
+	/** A dataset created by one of the dataset combinators. */
+	type CombinedDataset<Args extends unknown[]> = { [label: string]: Args | MarkedItem<Args> };
+
+	/**
+	 * A hook that withData() registers for each item. A plain object that
+	 * it returns, or resolves to, is copied to the item's context.
+	 */
+	type ItemHook<Args extends unknown[]> = (this: { leche: ItemMeta }, ...args: Args) => unknown;
+
+	interface WithDataOptions<Args extends unknown[] = unknown[], HookArgs extends unknown[] = Args> {
+
+		/** A template such as "%s + %s" or a function that creates the label. */
+		title?: string | ((...args: Args) => string);
+
+		/** The number of characters to truncate generated labels to. */
+		maxLength?: number;
+
+		/** What to do when items end up with the same label. */
+		duplicates?: 'suffix' | 'error';
+
+		/** The number of values to create when the dataset is a generator. */
+		runs?: number;
+
+		/** The seed for the values of a generator. Defaults to LECHE_SEED or a random seed. */
+		seed?: number;
+
+		/** Whether to pass the item's metadata as the last argument of the test function. */
+		meta?: boolean;
+
+		/** Runs once before the tests of each item. */
+		before?: ItemHook<HookArgs>;
+
+		/** Runs once after the tests of each item. */
+		after?: ItemHook<HookArgs>;
+
+		/** Runs before each test of each item. */
+		beforeEach?: ItemHook<HookArgs>;
+
+		/** Runs after each test of each item. */
+		afterEach?: ItemHook<HookArgs>;
+	}
+
+	/** Information about the item a test function is called with. */
+	interface ItemMeta {
+
+		/** The label of the item. */
+		label: string;
+
+		/** The position of the item in the dataset. */
+		index: number;
+
+		/** The item as it appears in the dataset. */
+		row: unknown;
+
+		/** The values that the item's hooks returned. */
+		context: { [key: string]: any };
+	}
+
+	type TestFunction<Args extends unknown[]> = (this: { leche: ItemMeta }, ...args: Args) => void;
+
+	/** Options that pass the item's metadata as the last argument of the test function. */
+	type WithMetaOptions<Args extends unknown[]> = WithDataOptions<Args, [...Args, ItemMeta]> & { meta: true };
+
+	/**
+	 * The return value is a promise only when the test runner needs to wait
+	 * for a dataset that's resolved asynchronously, such as with node:test.
+	 */
+	interface DataProvider {
+		<T extends DataItem>(dataset: DatasetSource<T>, testFunction: TestFunction<ItemArgs<T>>): void | Promise<void>;
+		<T extends DataItem>(
+			dataset: DatasetSource<T>,
+			options: WithMetaOptions<ItemArgs<T>>,
+			testFunction: TestFunction<[...ItemArgs<T>, ItemMeta]>
+		): void | Promise<void>;
+		<T extends DataItem>(
+			dataset: DatasetSource<T>,
+			options: WithDataOptions<ItemArgs<T>>,
+			testFunction: TestFunction<ItemArgs<T>>
+		): void | Promise<void>;
+		<T>(generator: Generator<T>, testFunction: TestFunction<ItemArgs<T>>): void;
+		<T>(
+			generator: Generator<T>,
+			options: WithMetaOptions<ItemArgs<T>>,
+			testFunction: TestFunction<[...ItemArgs<T>, ItemMeta]>
+		): void;
+		<T>(generator: Generator<T>, options: WithDataOptions<ItemArgs<T>>, testFunction: TestFunction<ItemArgs<T>>): void;
+	}
+
+	interface WithData extends DataProvider {
+
+		/** Like withData(), but only the tests for this dataset are run. */
+		only: DataProvider;
+
+		/** Like withData(), but the tests for this dataset are skipped. */
+		skip: DataProvider;
+
+		/** The same as eachCase(). */
+		it: EachCase;
+	}
+
+	/** Creates a describe() block for each item in a dataset. */
+	const withData: WithData;
+
+	interface EachCaseOptions<Args extends unknown[] = unknown[]>
+		extends Omit<WithDataOptions<Args>, 'title' | 'before' | 'after' | 'beforeEach' | 'afterEach'> {
+
+		/** The number of milliseconds each test may take, or a function that returns it. */
+		timeout?: number | ((...args: Args) => number);
+	}
+
+	/** A template such as "should add %s and %s" or a function that creates the title. */
+	type CaseTitle<Args extends unknown[]> = string | ((...args: Args) => string);
+
+	type DoneCallback = (error?: unknown) => void;
+
+	/** A test that eachCase() passes a done callback to when it declares a parameter for it. */
+	type CaseFunction<Args extends unknown[]> =
+		(this: { leche: ItemMeta }, ...args: [...Args, DoneCallback]) => void | PromiseLike<unknown>;
+
+	/**
+	 * The return value is a promise only when the test runner needs to wait
+	 * for a dataset that's resolved asynchronously, such as with node:test.
+	 */
+	interface CaseProvider {
+		<T extends DataItem>(
+			dataset: DatasetSource<T>,
+			title: CaseTitle<ItemArgs<T>>,
+			testFunction: CaseFunction<ItemArgs<T>>
+		): void | Promise<void>;
+		<T extends DataItem>(
+			dataset: DatasetSource<T>,
+			title: CaseTitle<ItemArgs<T>>,
+			options: EachCaseOptions<ItemArgs<T>> & { meta: true },
+			testFunction: CaseFunction<[...ItemArgs<T>, ItemMeta]>
+		): void | Promise<void>;
+		<T extends DataItem>(
+			dataset: DatasetSource<T>,
+			title: CaseTitle<ItemArgs<T>>,
+			options: EachCaseOptions<ItemArgs<T>>,
+			testFunction: CaseFunction<ItemArgs<T>>
+		): void | Promise<void>;
+		<T>(generator: Generator<T>, title: CaseTitle<ItemArgs<T>>, testFunction: CaseFunction<ItemArgs<T>>): void;
+		<T>(
+			generator: Generator<T>,
+			title: CaseTitle<ItemArgs<T>>,
+			options: EachCaseOptions<ItemArgs<T>>,
+			testFunction: CaseFunction<ItemArgs<T>>
+		): void;
+	}
+
+	interface EachCase extends CaseProvider {
+
+		/** Like eachCase(), but only the tests for this dataset are run. */
+		only: CaseProvider;
+
+		/** Like eachCase(), but the tests for this dataset are skipped. */
+		skip: CaseProvider;
+	}
+
+	/** Creates an it() block for each item in a dataset, in the current describe() block. */
+	const eachCase: EachCase;
+
+	type ErrorClass = abstract new (...args: any[]) => unknown;
+
+	interface TableRowBase<F extends (...args: any[]) => unknown> {
+
+		/** The arguments to call the function with. */
+		args?: Parameters<F>;
+
+		/** The title of the test, instead of one that describes the row. */
+		title?: string;
+	}
+
+	interface ErrorExpectation {
+
+		/** A string the error's message must contain, or a regular expression it must match. */
+		message?: string | RegExp;
+	}
+
+	/** A row of a table, with exactly one of returns, throws, resolves and rejects. */
+	type TableRow<F extends (...args: any[]) => unknown> =
+		(TableRowBase<F> & { returns: ReturnType<F> }) |
+		(TableRowBase<F> & ErrorExpectation & { throws: ErrorClass | true }) |
+		(TableRowBase<F> & { resolves: Awaited<ReturnType<F>> }) |
+		(TableRowBase<F> & ErrorExpectation & { rejects: ErrorClass | true });
+
+	interface TableOptions<F extends (...args: any[]) => unknown> {
+
+		/** The name of the function in titles and errors. */
+		name?: string;
+
+		/** The number of characters to truncate JSON representations to in titles. */
+		maxLength?: number;
+
+		/** What to do when rows end up with the same title. */
+		duplicates?: 'suffix' | 'error';
+
+		/** The number of milliseconds each test may take, or a function that returns it. */
+		timeout?: number | ((row: TableRow<F>) => number);
+	}
+
+	/** Creates an it() block for each row of a table, which checks what the function returns or throws. */
+	function table<F extends (...args: any[]) => unknown>(
+		fn: F,
+		rows: ReadonlyArray<TableRow<F> | MarkedItem<TableRow<F>>>,
+		options?: TableOptions<F>
+	): void;
+
+	/** Combines every item of each dataset with every item of the others. */
+	function cross<D extends Dataset[]>(...datasets: D): CombinedDataset<CombinedArgs<D>>;
+
+	/** Combines the items of the datasets so that every pair of items is covered. */
+	function pairwise<D extends Dataset[]>(...datasets: D): CombinedDataset<CombinedArgs<D>>;
+
+	/** Combines the items at the same position in each dataset. */
+	function zip<D extends Dataset[]>(...datasets: D): CombinedDataset<CombinedArgs<D>>;
+
+	/** Joins the items of several datasets into one. */
+	function concat<D extends Dataset>(...datasets: D[]): CombinedDataset<DatasetArgs<D>>;
+
+	interface FromFileOptions {
+
+		/** The format of the file, for files whose extension doesn't say. */
+		format?: 'json' | 'ndjson' | 'csv' | 'tsv' | 'yaml';
+
+		/** The column or property with each item's label. */
+		label?: string;
+	}
+
+	/** Loads a dataset from a JSON, NDJSON, CSV, TSV or YAML file. */
+	function fromFile(filename: string, options?: FromFileOptions): { [label: string]: unknown[] };
+
+	/** Creates random values for withData(), which shrink when a test fails. */
+	interface Generator<T> {
+
+		/** Creates the value and the smaller values it can shrink to. Used by Leche. */
+		generateTree(random: () => number): unknown;
+
+		/** Creates a generator whose values are transformed by a function. */
+		map<U>(transform: (value: T) => U): Generator<U>;
+	}
+
+	/** The value of a generator, or a constant that's used as it is. */
+	type GeneratedValue<G> = G extends Generator<infer T> ? T : G;
+
+	interface IntegerOptions {
+		min?: number;
+		max?: number;
+	}
+
+	interface LengthOptions {
+		minLength?: number;
+		maxLength?: number;
+	}
+
+	interface StringOptions extends LengthOptions {
+
+		/** The characters to use. Defaults to letters, digits and spaces. */
+		characters?: string;
+	}
+
+	/** Generators for datasets with random values. */
+	namespace gen {
+		function integer(options?: IntegerOptions): Generator<number>;
+		function string(options?: StringOptions): Generator<string>;
+		function oneOf<V extends unknown[]>(...values: V): Generator<GeneratedValue<V[number]>>;
+		function arrayOf<T>(generator: Generator<T>, options?: LengthOptions): Generator<T[]>;
+		function record<S extends object>(shape: S): Generator<{ [K in keyof S]: GeneratedValue<S[K]> }>;
+		function tuple<G extends unknown[]>(...generators: G): Generator<{ [K in keyof G]: GeneratedValue<G[K]> }>;
+	}
+
+	/** Marks a dataset item so that only its tests are run. */
+	function only<T extends DataItem>(item: T): MarkedItem<T>;
+
+	/** Marks a dataset item so that its tests are skipped. */
+	function skip<T extends DataItem>(item: T, reason?: string): MarkedItem<T>;
+
+	//--------------------------------------------------------------------------
+	// Adapters
+	//--------------------------------------------------------------------------
+
+	type Mode = 'only' | 'skip' | null | undefined;
+
+	/** Maps the way Leche groups tests onto the primitives of a test runner. */
+	interface Adapter {
+		name?: string;
+		describe(title: string, fn: () => void, mode: Mode, reason?: string): void;
+		it(title: string, fn: (done?: (error?: unknown) => void) => unknown, mode: Mode, reason?: string, timeout?: number): void;
+		before?(fn: () => unknown): void;
+		after?(fn: () => unknown): void;
+		beforeEach?(fn: () => unknown): void;
+		afterEach?(fn: () => unknown): void;
+		defer?(promise: Promise<unknown>, callback: (dataset: unknown, adapter: Adapter) => void): unknown;
+	}
+
+	/** Chooses the adapter for a test runner, or null to detect it. */
+	function useAdapter(adapter: 'mocha' | 'jest' | 'jasmine' | 'node:test' | Adapter | null): void;
+}
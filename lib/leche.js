@@ -5,33 +5,146 @@
 
 'use strict';
 
-/*global describe*/
+/*global Proxy, Reflect, window*/
 
 //------------------------------------------------------------------------------
-// Requirements
+// Private
 //------------------------------------------------------------------------------
 
 /*
- * Because this isn't a test file, we need to include mocha explicitly so that
- * the globals (describe(), it(), etc.) are available when running in Node.js.
- * For the browser, we pass in an option to omit Mocha from the build, as we want
- * to use the global Mocha functions and not bundle Mocha with it (which could
- * introduce incompatibility issues). So this line is effectively just for Node.js
- * and is ignored in the browserified version.
+ * Own properties that every function has, plus the method that instanceof
+ * uses, which some classes like Node.js streams define. These are never faked
+ * when faking the static members of a class.
  */
-require('mocha');
+var FUNCTION_KEYS = ['length', 'name', 'prototype', 'arguments', 'caller'].concat(
+	typeof Symbol === 'function' && Symbol.hasInstance ? [Symbol.hasInstance] : []
+);
 
-//------------------------------------------------------------------------------
-// Private
-//------------------------------------------------------------------------------
+// the properties that promises, JSON.stringify() and util.inspect() look for on any
+// object, which strict fakes report as missing unless the template has them
+var PROBED_KEYS = ['then', 'toJSON', 'inspect'];
+
+// the number of characters the JSON representation of an object is truncated to in labels
+var DEFAULT_LABEL_LENGTH = 30;
+
+// how deeply nested arrays are included in labels
+var MAX_LABEL_DEPTH = 5;
+
+// how many levels of nested objects deep fakes include by default
+var DEFAULT_FAKE_DEPTH = 10;
+
+// the file system module, kept out of a literal require() so browserify skips it
+var FS_MODULE = 'fs';
+
+// the keys of a path item in an OpenAPI document that describe operations
+var OPENAPI_OPERATIONS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// js-yaml, which is only needed to load YAML files, kept out of a literal require() so browserify skips it
+var YAML_MODULE = 'js-yaml';
+
+// the formats of the files that fromFile() loads, by file extension
+var FILE_FORMATS = {
+	json: 'json',
+	ndjson: 'ndjson',
+	jsonl: 'ndjson',
+	csv: 'csv',
+	tsv: 'tsv',
+	tab: 'tsv',
+	yaml: 'yaml',
+	yml: 'yaml'
+};
+
+// the formats in error messages
+var FILE_FORMATS_LIST = ['json', 'ndjson', 'csv', 'tsv', 'yaml'];
+
+// where JSON.parse() says an error is, and the token it didn't expect
+var JSON_ERROR_POSITION = /\s+(?:in JSON\s+)?at position (\d+)/;
+var JSON_UNEXPECTED_TOKEN = /^Unexpected token '?(.)/;
+
+// how many values generated datasets have by default
+var DEFAULT_RUNS = 25;
+
+// how many values are tried at most when shrinking a failing generated value
+var MAX_SHRINK_RUNS = 500;
+
+// the range of generated integers by default
+var DEFAULT_INTEGER_MIN = -1000;
+var DEFAULT_INTEGER_MAX = 1000;
+
+// the longest generated strings and arrays by default
+var DEFAULT_MAX_LENGTH = 10;
+
+// the characters in generated strings by default
+var DEFAULT_CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ';
+
+// the hooks that withData() can register for each item, which are also the names of their options
+var HOOK_TYPES = ['before', 'after', 'beforeEach', 'afterEach'];
+
+// the global functions of test runners that register hooks, and the type of each hook
+var HOOK_GLOBALS = {
+	before: 'before',
+	beforeAll: 'before',
+	after: 'after',
+	afterAll: 'after',
+	beforeEach: 'beforeEach',
+	afterEach: 'afterEach'
+};
+
+// the results that a row of a table can expect
+var TABLE_EXPECTATIONS = ['returns', 'throws', 'resolves', 'rejects'];
+
+// the globals that fakeGlobals() can replace
+var FAKEABLE_GLOBALS = ['Date', 'setTimeout', 'setInterval', 'setImmediate', 'Math.random'];
+
+// the real Math.random(), saved before fakeGlobals() can replace it
+var realRandom = Math.random;
+
+// the number of timers runAll() runs before giving up
+var MAX_TIMER_RUNS = 1000;
+
+// the values of the properties option of fake()
+var PROPERTY_POLICIES = ['throw', 'default', 'undefined', 'record'];
+
+// the name of Node's built-in test runner, kept out of a literal require() so browserify skips it
+var NODE_TEST_MODULE = 'node:test';
+
+// keeps track of the calls made to objects that record them
+var recorders = createRegistry();
+
+// the number of calls recorded so far, used to order calls across objects
+var callOrder = 0;
+
+// keeps track of the property reads and writes of fakes that record them
+var accessLogs = createRegistry();
+
+// the seed for generated datasets when there's no other, picked once per test run
+var defaultSeed = null;
+
+// the shapes of the objects that fakes were created from, used by assertMatches()
+var shapes = createRegistry();
+
+// true to check fakes against the real objects in their real option
+var verifiedFakes = false;
+
+// the globals that fakeGlobals() has replaced, so the same one isn't replaced twice
+var fakedGlobals = {};
+
+// every fake that has been made, so a sandbox never calls a faked verify() or restore()
+var madeFakes = createRegistry();
+
+// the sandboxes from useSandbox() that are active for the current test, innermost last
+var activeSandboxes = [];
+
+// the adapter chosen with useAdapter(), or null to detect one
+var currentAdapter = null;
 
 /**
- * Determines if a given property is an accessor property of an object. This is
- * important because accessor properties have functions that will still execute
- * after Leche inherits from that object, effectively keeping functionality alive
- * on the fake object.
+ * Determines if a given property is an accessor property of an object or of
+ * an object in its prototype chain. This is important because accessor
+ * properties have functions that will still execute after Leche inherits from
+ * that object, effectively keeping functionality alive on the fake object.
  * @param {Object} object The object to check.
- * @param {string} key The property name to check.
+ * @param {string|Symbol} key The property name to check.
  * @returns {boolean} True if it's an accessor property, false if not.
  * @private
  */
@@ -40,21 +153,58 @@ function isAccessorProperty(object, key) {
 	var result = false;
 
 	// make sure this works in older browsers without error
-	if (Object.getOwnPropertyDescriptor && object.hasOwnProperty(key)) {
+	if (Object.getOwnPropertyDescriptor && Object.getPrototypeOf) {
 
-		var descriptor = Object.getOwnPropertyDescriptor(object, key);
-		result = !('value' in descriptor);
+		var owner = findOwner(object, key);
+
+		if (owner) {
+			result = !('value' in Object.getOwnPropertyDescriptor(owner, key));
+		}
 	}
 
 	return result;
 }
 
+/**
+ * Determines if a given property is enumerable on the object in the prototype
+ * chain that owns it.
+ * @param {Object} object The object to check.
+ * @param {string|Symbol} key The property name to check.
+ * @returns {boolean} True if the property is enumerable, false if not.
+ * @private
+ */
+function isEnumerableMember(object, key) {
+	var owner = findOwner(object, key);
+	return !owner || Object.prototype.propertyIsEnumerable.call(owner, key);
+}
+
+/**
+ * Determines if a given property is a built-in constant, such as the length
+ * of a boxed string or Symbol.toPrimitive on Date.prototype: a read-only,
+ * non-enumerable data property whose key is a symbol or whose value isn't a
+ * function. A fake can't behave differently from the template for these, so
+ * they're inherited unchanged.
+ * @param {Object} object The object to check.
+ * @param {string|Symbol} key The property name to check.
+ * @returns {boolean} True if the property is a built-in constant, false if
+ *      not.
+ * @private
+ */
+function isConstantMember(object, key) {
+
+	var owner = Object.getOwnPropertyDescriptor ? findOwner(object, key) : null,
+		descriptor = owner ? Object.getOwnPropertyDescriptor(owner, key) : null;
+
+	return Boolean(descriptor) && 'value' in descriptor && !descriptor.writable && !descriptor.enumerable &&
+		(typeof key === 'symbol' || typeof descriptor.value !== 'function');
+}
+
 /**
  * Determines if a given property is a data property in ES5. This is
  * important because we can overwrite data properties with getters in ES5,
  * but not in ES3.
  * @param {Object} object The object to check.
- * @param {string} key The property name to check.
+ * @param {string|Symbol} key The property name to check.
  * @returns {boolean} True if it's an ES5 data property, false if not.
  * @private
  */
@@ -98,255 +248,6850 @@ function createObject(proto) {
 }
 
 /**
- * Returns the first maxLen characters of a the JSON string representation of
- * the given object.
- *
- * @param {Object} object The object to get a string representation for.
- * @param {number} maxLen The number of characters to truncate to.
- * @returns {string} The first maxLen characters of the JSON string.
+ * Finds the object in the prototype chain of the given object that owns the
+ * given property.
+ * @param {Object} object The object whose prototype chain should be searched.
+ * @param {string} key The property name to look for.
+ * @returns {Object} The object that owns the property or null if no object
+ *      in the prototype chain has it.
+ * @private
  */
-function truncatedJSONStringify(object, maxLen) {
-	return JSON.stringify(object).slice(0, maxLen);
+function findOwner(object, key) {
+
+	var current = object;
+
+	while (current) {
+		if (Object.prototype.hasOwnProperty.call(current, key)) {
+			return current;
+		}
+
+		current = Object.getPrototypeOf(current);
+	}
+
+	return null;
 }
 
 /**
- * Gets a string representation of an object. If there is a usable toString()
- * implementation, then it will return that. Otherwise, it will attempt to get
- * a more specific string representation by getting the JSON string version of
- * the object. For arrays, it will attempt to stringify its items recursively.
- *
- * @param {*} object The object to get a string representation for.
- * @param {number} maxDepth The maximum depth to recurse for arrays.
- * @returns {string} The string representation of the object.
+ * Creates a store that associates objects with data without modifying the
+ * objects themselves. Uses WeakMap when it's available.
+ * @returns {Object} An object with get() and set() methods.
  * @private
  */
-function stringifyObject(object, maxDepth) {
-	if (typeof object === 'undefined') {
-		return 'undefined';
-	} else if (object === null) {
-		return 'null';
-	}
+function createRegistry() {
 
-	var stringRepresentation = object.toString();
-	if (object instanceof Array && maxDepth > 0) {
-		return object.map(function(item) {
-			return stringifyObject(item, maxDepth - 1);
-		}).toString();
-	} else if (stringRepresentation === '[object Object]') {
-		return truncatedJSONStringify(object, 30);
-	} else {
-		return stringRepresentation;
+	if (typeof WeakMap === 'function') {
+		var map = new WeakMap();
+
+		return {
+			get: function(key) {
+				return map.get(key);
+			},
+			set: function(key, value) {
+				map.set(key, value);
+			}
+		};
 	}
+
+	var keys = [],
+		values = [];
+
+	return {
+		get: function(key) {
+			var index = keys.indexOf(key);
+			return index > -1 ? values[index] : undefined;
+		},
+		set: function(key, value) {
+			var index = keys.indexOf(key);
+
+			if (index > -1) {
+				values[index] = value;
+			} else {
+				keys.push(key);
+				values.push(value);
+			}
+		}
+	};
 }
 
 /**
- * Converts an array into an object whose keys are a string representation of the
- * each array item and whose values are each array item. This is to normalize the
- * information into an object so that other operations can assume objects are
- * always used. For an array like this:
- *
- *		[ "foo", "bar" ]
- *
- * It creates an object like this:
- *
- *		{ "foo": "foo", "bar": "bar" }
- *
- * If there are duplicate values in the array, only the last value is represented
- * in the resulting object.
- *
- * @param {Array} array The array to convert.
- * @returns {Object} An object representing the array.
+ * Adds a call to a recorder, stamping it with its position among all calls
+ * recorded by Leche so calls on different objects can be put in order.
+ * @param {Object} recorder The recorder to add the call to.
+ * @param {Object} call The call to add.
+ * @returns {void}
  * @private
  */
-function createNamedDataset(array) {
-	var result = {};
+function recordCall(recorder, call) {
+	callOrder++;
+	call.order = callOrder;
+	recorder.calls.push(call);
+}
 
-	for (var i = 0, len = array.length; i < len; i++) {
-		result[stringifyObject(array[i], 1)] = array[i];
+/**
+ * Gets the recorder for an object.
+ * @param {Object} object The object to get the recorder for.
+ * @returns {Object} The recorder.
+ * @throws {Error} If calls to the object aren't being recorded.
+ * @private
+ */
+function getRecorder(object) {
+
+	var recorder = (typeof object === 'object' || typeof object === 'function') && object !== null ?
+		recorders.get(object) : undefined;
+
+	if (!recorder) {
+		throw new Error('Calls are not being recorded for this object. Pass { record: true } when creating it.');
 	}
 
-	return result;
+	return recorder;
 }
 
 /**
- * Used by eos.create() as the default implementation for each method.
- * @returns {void}
+ * Returns a readable description of a recorded call, such as "save(1,2)".
+ * @param {Object} call The recorded call.
+ * @returns {string} The description.
  * @private
  */
-function noop() {
-	// intentionally blank
+function formatCall(call) {
+	return call.method + '(' + call.args.map(function(arg) {
+		return stringifyObject(arg);
+	}).join(', ') + ')';
 }
 
-//------------------------------------------------------------------------------
-// Public
-//------------------------------------------------------------------------------
+/**
+ * Wraps a method implementation so that each call is recorded, including its
+ * return value or the exception it threw.
+ * @param {string} methodKey The name of the method.
+ * @param {Function} implementation The function to call.
+ * @param {Object} recorder The recorder to add calls to.
+ * @returns {Function} The wrapped method.
+ * @private
+ */
+function createRecordingMethod(methodKey, implementation, recorder) {
+	return function() {
+
+		var call = {
+			method: methodKey,
+			args: Array.prototype.slice.call(arguments),
+			thisValue: this,
+			returnValue: undefined,
+			exception: undefined,
+			unexpected: false
+		};
+
+		recordCall(recorder, call);
+
+		try {
+			call.returnValue = implementation.apply(this, arguments);
+		} catch (ex) {
+			call.exception = ex;
+			throw ex;
+		}
+
+		return call.returnValue;
+	};
+}
 
 /**
- * @module leche
+ * Gets the prefix for member names in error messages about a fake, which
+ * names the class of the template, such as "Person#" for instances and
+ * "Person." for the static members of a class. Templates that are plain
+ * objects have no prefix.
+ * @param {Object} template The object the fake is based on.
+ * @returns {string} The prefix.
+ * @private
  */
-module.exports = {
+function getMemberPrefix(template) {
 
-	/**
-	 * Creates a new object with the specified methods. All methods do nothing,
-	 * so the resulting object is suitable for use in a variety of situations.
-	 * @param {string[]} methods The method names to create methods for.
-	 * @returns {Object} A new object with the specified methods defined.
-	 */
-	create: function(methods) {
+	if (typeof template === 'function') {
+		return template.name ? template.name + '.' : '';
+	}
 
-		var object = {};
+	if (template === null || typeof template === 'undefined') {
+		return '';
+	}
 
-		for (var i = 0, len = methods.length; i < len; i++) {
+	var constructor = template.constructor;
 
-			// it's safe to use the same method for all since it doesn't do anything
-			object[methods[i]] = noop;
-		}
+	if (typeof constructor === 'function' && constructor !== Object && constructor.name) {
+		return constructor.name + '#';
+	}
 
-		return object;
+	return '';
+}
 
-	},
+/**
+ * Creates a method that throws an error whenever it's called.
+ * @param {string} methodKey The name of the method.
+ * @param {Object} [recorder] The recorder to add calls to. Calls made to
+ *      this method are recorded as unexpected.
+ * @param {string} [prefix=""] The prefix for the method name in the error.
+ *      See getMemberPrefix().
+ * @returns {Function} A method that throws an error when called.
+ * @private
+ */
+function createThrowingMethod(methodKey, recorder, prefix) {
+	return function() {
 
-	/**
-	 * Creates a fake based on the given object. The fake has the template as
-	 * its prototype and all methods are stubbed out to throw an error when
-	 * called. The intent is to create an object that can be used with
-	 * sinon.mock().
-	 * @param {Object} template The object to base the fake off of.
-	 * @returns {Object} A fake with the same methods as template.
-	 */
-	fake: function(template) {
+		var error = new Error('Unexpected call to method "' + (prefix || '') + methodKey + '".');
+
+		if (recorder) {
+			recordCall(recorder, {
+				method: methodKey,
+				args: Array.prototype.slice.call(arguments),
+				thisValue: this,
+				returnValue: undefined,
+				exception: error,
+				unexpected: true
+			});
+		}
 
-		var fake = createObject(template);
+		throw error;
+	};
+}
 
-		for (var key in fake) {
-			/*eslint-disable no-loop-func*/
+/**
+ * A behavior for a method created by create(), such as returning a value.
+ * Behaviors create a new implementation for each method, so behaviors that
+ * keep state, such as sequence(), don't share it between methods.
+ * @param {Function} createImplementation Creates a method implementation.
+ * @constructor
+ * @private
+ */
+function MethodBehavior(createImplementation) {
+	this.createImplementation = createImplementation;
+}
 
-			// intentionally don't use hasOwnProperty() to get all prototype methods
-			if (isAccessorProperty(template, key)) {	// must check against template, not fake
+/**
+ * Gets the implementation for a method from the value in a spec object.
+ * @param {string} methodKey The name of the method.
+ * @param {MethodBehavior|Function} behavior The behavior or a function to use
+ *      as the implementation.
+ * @returns {Function} The implementation.
+ * @throws {Error} If behavior is neither a behavior nor a function.
+ * @private
+ */
+function getImplementation(methodKey, behavior) {
 
-				/*
-				 * It's impossible to create an object that doesn't have a property
-				 * that is an accessor on its own prototype. The best we can do
-				 * is create a value property of the same name that has no initial
-				 * value. It's not perfect, but it does prevent errors that occur
-				 * when the accessor methods assume the object is real.
-				 */
-				Object.defineProperty(fake, key, {
-					value: undefined,
-					writable: true,
-					enumerable: true,
-					configurable: true
-				});
+	if (behavior instanceof MethodBehavior) {
+		return behavior.createImplementation();
+	}
 
-			} else if (isES5DataProperty(template, key)) {
+	if (typeof behavior === 'function') {
+		return behavior;
+	}
 
-				(function(propertyKey) {
+	throw new Error('Method "' + methodKey + '" must be a function or a behavior such as leche.returns().');
+}
 
-					var propertyIsSet = false,
-						propertyValue;
+/**
+ * Gets the methods to create from the first argument of create(), which is
+ * either an array of method names and spec objects or a single spec object.
+ * Methods that are only named do nothing. As in earlier versions, anything
+ * else with a length, such as a string, is treated like an array, and its
+ * items that aren't spec objects are used as method names.
+ * @param {Array|Object} methods The methods passed to create().
+ * @returns {Object[]} Objects with the name and implementation of each method,
+ *      and its number of arguments if it was given as a function, or null.
+ * @throws {Error} If methods is null or undefined.
+ * @private
+ */
+function getMethodSpecs(methods) {
 
-					Object.defineProperty(fake, key, {
-						get: function() {
-							if (propertyIsSet) {
-								return propertyValue;
-							}
+	if (methods === null || typeof methods === 'undefined') {
+		throw new Error('First argument must be an array or an object.');
+	}
 
-							throw new Error('Unexpected use of property "' + propertyKey + '".');
-						},
-						set: function(value) {
+	var specs = [],
+		items;
 
-							propertyIsSet = true;
-							propertyValue = value;
+	if (typeof methods.length === 'number') {
+		items = Array.prototype.slice.call(methods);
+	} else {
+		items = typeof methods === 'object' ? [methods] : [];
+	}
 
-							// if not for https://github.com/box/leche/issues/14, we could do this
-							// Object.defineProperty(this, key, {
-							//  value: value,
-							//  writable: true
-							// });
-						},
-						enumerable: true,
-						configurable: true
+	items.forEach(function(method) {
+
+		if (typeof method === 'object' && method !== null) {
+			for (var name in method) {
+				if (method.hasOwnProperty(name)) {
+					specs.push({
+						name: name,
+						implementation: getImplementation(name, method[name]),
+						arity: typeof method[name] === 'function' ? method[name].length : null
 					});
-				}(key));
+				}
+			}
+		} else {
+			specs.push({ name: String(method), implementation: noop, arity: null });
+		}
+	});
+
+	return specs;
+}
 
-			} else if (isES3DataProperty(template, key)) {
+/**
+ * Creates a method that calls the given implementation. Wrapping the
+ * implementation gives each method its own function, so spying on or stubbing
+ * one method doesn't affect the others.
+ * @param {Function} implementation The function to call.
+ * @returns {Function} The method.
+ * @private
+ */
+function createMethod(implementation) {
+	return function() {
+		return implementation.apply(this, arguments);
+	};
+}
+
+/**
+ * Wraps a fake in a Proxy so that every property read is checked against the
+ * template at the time it happens. Members that are added to the template
+ * after the fake was created are therefore covered as well, and reading a
+ * property that doesn't exist on the template at all throws an error.
+ *
+ * Symbol-keyed properties, the constructor property, and members inherited
+ * from Object.prototype are passed through untouched because runtimes and
+ * libraries like Sinon rely on them.
+ *
+ * @param {Object} fake An object whose prototype is template.
+ * @param {Object} template The object the fake is based on.
+ * @param {Object} settings Settings for the fake. See fakeMembers().
+ * @returns {Proxy} A strict fake.
+ * @private
+ */
+function createStrictFake(fake, template, settings) {
 
-				// can't do anything special for ES3, so just assign undefined
-				fake[key] = undefined;
+	var methods = {};
 
-			} else if (typeof fake[key] === 'function') {
-				fake[key] = (function(methodKey) {
-					return function() {
-						throw new Error('Unexpected call to method "' + methodKey + '".');
-					};
-				}(key));
+	return new Proxy(fake, {
+		get: function(target, key, receiver) {
+
+			// anything assigned to the fake (by a test or by Sinon) wins
+			if (typeof key !== 'string' || key === 'constructor' ||
+				Object.prototype.hasOwnProperty.call(target, key)) {
+				return Reflect.get(target, key, receiver);
 			}
 
-			/*eslint-enable no-loop-func*/
-		}
+			var owner = findOwner(template, key);
 
-		return fake;
-	},
+			if (owner === Object.prototype) {
+				return Reflect.get(target, key, receiver);
+			}
 
-	/**
-	 * A data provider for use with Mocha. Use this around a call to it() to run
-	 * the test over a series of data.
-	 * @param {Object|Array} dataset The data to test.
-	 * @param {Function} testFunction The function to call for each piece of data.
-	 * @returns {void}
-	 * @throws {Error} If dataset is missing or an empty array.
-	 */
-	withData: function(dataset, testFunction) {
+			// so the fake can be awaited, serialized and logged
+			if (!owner && PROBED_KEYS.indexOf(key) > -1) {
+				return undefined;
+			}
 
-		// check for missing or null argument
-		if (typeof dataset !== 'object' || dataset === null) {
-			throw new Error('First argument must be an object or non-empty array.');
-		}
+			if (owner) {
+				var descriptor = Object.getOwnPropertyDescriptor(owner, key);
 
-		/*
-		 * The dataset needs to be normalized so it looks like:
-		 * {
-		 *      "name1": [ "data1", "data2" ],
-		 *      "name2": [ "data3", "data4" ],
-		 * }
-		 */
-		var namedDataset = dataset;
-		if (dataset instanceof Array) {
+				if ('value' in descriptor && typeof descriptor.value === 'function') {
 
-			// arrays must have at least one item
-			if (dataset.length) {
-				namedDataset = createNamedDataset(dataset);
-			} else {
-				throw new Error('First argument must be an object or non-empty array.');
+					// keep the same function around so identity checks keep working
+					if (!Object.prototype.hasOwnProperty.call(methods, key)) {
+						methods[key] = createThrowingMethod(key, settings.recorder, settings.prefix);
+					}
+
+					return methods[key];
+				}
+
+				var nestedFake = createNestedFake(template, key, settings);
+
+				if (nestedFake) {
+					return nestedFake;
+				}
+
+				if (settings.properties && settings.properties !== 'throw') {
+					definePolicyProperty(target, template, key, settings);
+					return Reflect.get(target, key, receiver);
+				}
+			}
+
+			throw new Error('Unexpected use of property "' + settings.prefix + key + '".');
+		},
+
+		set: function(target, key, value) {
+
+			// recorded writes go through the setter of the property
+			if (settings.accessLog && typeof key === 'string' && isPropertyMember(template, key)) {
+
+				if (!Object.prototype.hasOwnProperty.call(target, key)) {
+					definePolicyProperty(target, template, key, settings);
+				}
+
+				return Reflect.set(target, key, value);
 			}
+
+			// never trigger setters on the template, just store the value
+			Object.defineProperty(target, key, {
+				value: value,
+				writable: true,
+				enumerable: true,
+				configurable: true
+			});
+
+			return true;
 		}
+	});
+}
 
-		/*
-		 * For each name, create a new describe() block containing the name.
-		 * This causes the dataset info to be output into the console, making
-		 * it easier to determine which dataset caused a problem when there's an
-		 * error.
-		 */
-		for (var name in namedDataset) {
-			if (namedDataset.hasOwnProperty(name)) {
-				/*eslint-disable no-loop-func*/
+/**
+ * Determines if a member of the template is a data property or an accessor,
+ * rather than a method or a member of Object.prototype.
+ * @param {Object} template The object the fake is based on.
+ * @param {string} key The member name.
+ * @returns {boolean} True if the member is a property, false if not.
+ * @private
+ */
+function isPropertyMember(template, key) {
+
+	var owner = findOwner(template, key);
 
-				describe('with ' + name, (function(dataName) {
-					return function() {
+	if (!owner || owner === Object.prototype) {
+		return false;
+	}
 
-						var args = namedDataset[dataName];
+	var descriptor = Object.getOwnPropertyDescriptor(owner, key);
 
-						if (!(args instanceof Array)) {
-							args = [args];
-						}
+	return !('value' in descriptor) || typeof descriptor.value !== 'function';
+}
+
+/**
+ * Adds a property access to an access log, stamping it with its position
+ * among all calls and accesses recorded by Leche.
+ * @param {Object} log The access log to add the access to.
+ * @param {Object} access The access to add.
+ * @returns {void}
+ * @private
+ */
+function recordAccess(log, access) {
+	callOrder++;
+	access.order = callOrder;
+	log.accesses.push(access);
+}
+
+/**
+ * Defines a data property or accessor of the template on a fake according to
+ * the properties option of fake(). With "throw", reading the property throws
+ * until it has been set. With "default" and "record", it starts with the
+ * template's value, and accessors start as undefined since getting their
+ * value would run real code. With "undefined", it starts as undefined. With
+ * "record", every read and write is added to the fake's access log.
+ * @param {Object} fake The fake to define the property on.
+ * @param {Object} template The object the fake is based on.
+ * @param {string|Symbol} key The property to define.
+ * @param {Object} settings Settings for the fake. See fakeMembers().
+ * @returns {void}
+ * @private
+ */
+function definePolicyProperty(fake, template, key, settings) {
+
+	var policy = settings.properties,
+		log = settings.accessLog,
+		descriptor = Object.getOwnPropertyDescriptor(findOwner(template, key), key),
+		propertyIsSet = policy !== 'throw',
+		propertyValue = policy === 'undefined' ? undefined : descriptor.value;
+
+	Object.defineProperty(fake, key, {
+		get: function() {
+			if (!propertyIsSet) {
+				throw new Error('Unexpected use of property "' + settings.prefix + formatKey(key) + '".');
+			}
+
+			if (log) {
+				recordAccess(log, { property: formatKey(key), type: 'get', value: propertyValue });
+			}
+
+			return propertyValue;
+		},
+		set: function(value) {
 
-						testFunction.apply(this, args);
-					};
-				}(name)));
+			propertyIsSet = true;
+			propertyValue = value;
 
-				/*eslint-enable no-loop-func*/
+			if (log) {
+				recordAccess(log, { property: formatKey(key), type: 'set', value: value });
 			}
+		},
+		enumerable: true,
+		configurable: true
+	});
+}
+
+/**
+ * Wraps a fake in a Proxy that throws when a property that neither the fake
+ * nor the template has is written, so typos and leftovers from refactoring
+ * don't go unnoticed. Symbol-keyed properties can still be written because
+ * runtimes and libraries rely on them.
+ * @param {Object} fake The fake.
+ * @param {Object} settings Settings for the fake. See fakeMembers().
+ * @returns {Proxy} A frozen fake.
+ * @private
+ */
+function createFrozenFake(fake, settings) {
+
+	/**
+	 * Checks that a write is to a known property.
+	 * @param {Object} target The fake.
+	 * @param {string|Symbol} key The property being written.
+	 * @returns {void}
+	 * @throws {Error} If the property is unknown.
+	 * @private
+	 */
+	function checkWrite(target, key) {
+		if (typeof key === 'string' && !(key in target)) {
+			throw new Error('Unexpected write to property "' + settings.prefix + key + '".');
 		}
 	}
 
-};
+	return new Proxy(fake, {
+		set: function(target, key, value, receiver) {
+			checkWrite(target, key);
+			return Reflect.set(target, key, value, receiver);
+		},
+
+		defineProperty: function(target, key, descriptor) {
+			checkWrite(target, key);
+			return Reflect.defineProperty(target, key, descriptor);
+		}
+	});
+}
+
+/**
+ * Returns a printable version of a property key, which may be a symbol.
+ * @param {string|Symbol} key The property key.
+ * @returns {string} The property key as a string.
+ * @private
+ */
+function formatKey(key) {
+	return typeof key === 'symbol' ? key.toString() : key;
+}
+
+/**
+ * Gets the keys of all members of an object, including non-enumerable and
+ * symbol-keyed members, walking up the prototype chain until stopAt is reached.
+ * Keys are returned in the order they're found, so keys closer to the object
+ * come first. In environments without Object.getOwnPropertyNames(), only
+ * enumerable members are returned.
+ * @param {Object} object The object to get member keys for.
+ * @param {Object} stopAt The prototype at which to stop walking. Members of
+ *      this object are not included.
+ * @returns {Array} The member keys.
+ * @private
+ */
+function getMemberKeys(object, stopAt) {
+
+	var keys = [],
+		current = object,
+		ownKeys,
+		i,
+		len;
+
+	// make sure this works in older browsers without error
+	if (!Object.getOwnPropertyNames) {
+		for (var key in object) {	// eslint-disable-line guard-for-in
+			keys.push(key);
+		}
+
+		return keys;
+	}
+
+	while (current && current !== stopAt) {
+
+		ownKeys = Object.getOwnPropertyNames(current);
+
+		if (Object.getOwnPropertySymbols) {
+			ownKeys = ownKeys.concat(Object.getOwnPropertySymbols(current));
+		}
+
+		for (i = 0, len = ownKeys.length; i < len; i++) {
+			if (keys.indexOf(ownKeys[i]) === -1) {
+				keys.push(ownKeys[i]);
+			}
+		}
+
+		current = Object.getPrototypeOf(current);
+	}
+
+	return keys;
+}
+
+/**
+ * Defines a writable member on an object. Unlike an assignment, this works
+ * when the object inherits a read-only property with the same name.
+ * @param {Object} object The object to define the member on.
+ * @param {string|Symbol} key The name of the member.
+ * @param {*} value The value of the member.
+ * @returns {void}
+ * @private
+ */
+function defineMember(object, key, value) {
+
+	// make sure this works in older browsers without error
+	if (!Object.defineProperty) {
+		object[key] = value;
+		return;
+	}
+
+	Object.defineProperty(object, key, {
+		value: value,
+		writable: true,
+		enumerable: true,
+		configurable: true
+	});
+}
+
+/**
+ * Replaces a single member of a fake so that it can't be used without first
+ * being set up by a test.
+ * @param {Object} fake The fake whose member should be replaced.
+ * @param {Object} template The object the fake is based on.
+ * @param {string|Symbol} key The member to replace.
+ * @param {Object} settings Settings for the fake. See fakeMembers().
+ * @returns {void}
+ * @private
+ */
+function fakeMember(fake, template, key, settings) {
+
+	var nestedFake = createNestedFake(template, key, settings);
+
+	if (nestedFake) {
+
+		Object.defineProperty(fake, key, {
+			value: nestedFake,
+			writable: true,
+			enumerable: true,
+			configurable: true
+		});
+
+	} else if (settings.properties && (isAccessorProperty(template, key) || typeof template[key] !== 'function')) {
+		definePolicyProperty(fake, template, key, settings);
+	} else if (isAccessorProperty(template, key)) {	// must check against template, not fake
+
+		/*
+		 * It's impossible to create an object that doesn't have a property
+		 * that is an accessor on its own prototype. The best we can do
+		 * is create a value property of the same name that has no initial
+		 * value. It's not perfect, but it does prevent errors that occur
+		 * when the accessor methods assume the object is real.
+		 */
+		Object.defineProperty(fake, key, {
+			value: undefined,
+			writable: true,
+			enumerable: true,
+			configurable: true
+		});
+
+	} else if (isES5DataProperty(template, key)) {
+
+		var propertyIsSet = false,
+			propertyValue;
+
+		Object.defineProperty(fake, key, {
+			get: function() {
+				if (propertyIsSet) {
+					return propertyValue;
+				}
+
+				throw new Error('Unexpected use of property "' + settings.prefix + formatKey(key) + '".');
+			},
+			set: function(value) {
+
+				propertyIsSet = true;
+				propertyValue = value;
+
+				// if not for https://github.com/box/leche/issues/14, we could do this
+				// Object.defineProperty(this, key, {
+				//  value: value,
+				//  writable: true
+				// });
+			},
+			enumerable: true,
+			configurable: true
+		});
+
+	} else if (isES3DataProperty(template, key)) {
+
+		// can't do anything special for ES3, so just assign undefined
+		defineMember(fake, key, undefined);
+
+	} else if (typeof template[key] === 'function') {
+		defineMember(fake, key, createThrowingMethod(formatKey(key), settings.recorder, settings.prefix));
+	}
+}
+
+/**
+ * Replaces all members that the template has, up to but not including stopAt,
+ * on the fake.
+ * @param {Object} fake The fake whose members should be replaced.
+ * @param {Object} template The object the fake is based on.
+ * @param {Object} stopAt The prototype at which to stop looking for members.
+ * @param {Object} settings Settings for the fake.
+ * @param {string[]} [settings.skipKeys] Member names that should be left alone.
+ * @param {Object} [settings.recorder] The recorder to add method calls to.
+ * @param {string} settings.prefix The prefix for member names in error
+ *      messages. See getMemberPrefix().
+ * @param {Object} [settings.deep] Settings for deep fakes. See createFake().
+ * @param {string} [settings.properties] How to fake data properties and
+ *      accessors. See definePolicyProperty(). If omitted, data properties of
+ *      the template itself throw until they're set and all others start as
+ *      undefined.
+ * @param {Object} [settings.accessLog] The access log to add property reads
+ *      and writes to.
+ * @returns {void}
+ * @private
+ */
+function fakeMembers(fake, template, stopAt, settings) {
+
+	var keys = getMemberKeys(template, stopAt),
+		key;
+
+	for (var i = 0, len = keys.length; i < len; i++) {
+		key = keys[i];
+
+		if (settings.skipKeys && settings.skipKeys.indexOf(key) > -1) {
+			continue;
+		}
+
+		// class constructors are non-enumerable and must keep working
+		if (key === 'constructor' && !isEnumerableMember(template, key)) {
+			continue;
+		}
+
+		if (isConstantMember(template, key)) {
+			continue;
+		}
+
+		fakeMember(fake, template, key, settings);
+	}
+}
+
+/**
+ * Checks that every member named in an option of fake() exists on the
+ * template, since a typo would otherwise go unnoticed.
+ * @param {Object} template The object the fake is based on.
+ * @param {string[]} keys The member names.
+ * @param {string} verb What the option does, for the error message.
+ * @returns {void}
+ * @throws {Error} If a member doesn't exist on the template.
+ * @private
+ */
+function checkTemplateKeys(template, keys, verb) {
+	keys.forEach(function(key) {
+		if (!(key in template)) {
+			throw new Error('Cannot ' + verb + ' "' + formatKey(key) + '" because the template has no member with that name.');
+		}
+	});
+}
+
+/**
+ * Replaces members of a fake with the real members of the template or with
+ * the implementations supplied in the passthrough and stub options. Methods
+ * are recorded like any other method when calls are being recorded.
+ * @param {Object} fake The fake whose members should be replaced.
+ * @param {Object} template The object the fake is based on.
+ * @param {Object} options Options for creating the fake. See fake().
+ * @param {Object} settings Settings for the fake. See fakeMembers().
+ * @returns {void}
+ * @throws {Error} If a member doesn't exist on the template.
+ * @private
+ */
+function overrideMembers(fake, template, options, settings) {
+
+	var passthrough = options.passthrough || [],
+		stub = options.stub || {},
+		stubKeys = Object.keys(stub);
+
+	checkTemplateKeys(template, passthrough, 'pass through');
+	checkTemplateKeys(template, stubKeys, 'stub');
+
+	passthrough.forEach(function(key) {
+
+		// copying the descriptor keeps getters and setters working on the fake
+		var descriptor = Object.getOwnPropertyDescriptor(findOwner(template, key), key);
+
+		if (settings.recorder && typeof descriptor.value === 'function') {
+			descriptor.value = createRecordingMethod(formatKey(key), descriptor.value, settings.recorder);
+		}
+
+		Object.defineProperty(fake, key, descriptor);
+	});
+
+	stubKeys.forEach(function(key) {
+
+		var value = stub[key];
+
+		if (value instanceof MethodBehavior || typeof value === 'function') {
+			value = settings.recorder ?
+				createRecordingMethod(key, getImplementation(key, value), settings.recorder) :
+				createMethod(getImplementation(key, value));
+		}
+
+		Object.defineProperty(fake, key, {
+			value: value,
+			writable: true,
+			enumerable: true,
+			configurable: true
+		});
+	});
+}
+
+/**
+ * Creates a fake based on the given object.
+ * @param {Object} template The object to base the fake off of.
+ * @param {Object} [options] Options for creating the fake. See fake().
+ * @param {Object} [nesting] Settings for fakes of nested objects, created
+ *      by createNestedFake(). Options that name members, such as
+ *      options.stub, apply only to the outermost fake.
+ * @param {string} nesting.prefix The prefix for member names in errors.
+ * @param {Object} nesting.deep The deep fake settings of the parent.
+ * @returns {Object} A fake with the same methods as template.
+ * @throws {Error} If a strict or frozen fake is requested and Proxy isn't
+ *      available, options.properties isn't recognized, or a member named in
+ *      the options doesn't exist on the template.
+ * @private
+ */
+function createFake(template, options, nesting) {
+
+	options = options || {};
+
+	var fake = createObject(template),
+		settings = {
+			recorder: shouldRecord(options) ? { calls: [] } : null,
+			prefix: nesting ? nesting.prefix : getMemberPrefix(template),
+			deep: null,
+			properties: options.properties || null,
+			accessLog: options.properties === 'record' ? { accesses: [] } : null
+		};
+
+	if (nesting) {
+		settings.deep = nesting.deep;
+	} else if (options.deep) {
+		settings.deep = {
+			options: options,
+			seen: createRegistry(),
+			depth: typeof options.depth === 'number' ? options.depth : DEFAULT_FAKE_DEPTH
+		};
+	}
+
+	if (options.strict && typeof Proxy !== 'function') {
+		throw new Error('Strict fakes require Proxy support.');
+	}
+
+	if (options.frozen && typeof Proxy !== 'function') {
+		throw new Error('Frozen fakes require Proxy support.');
+	}
+
+	if (settings.properties && PROPERTY_POLICIES.indexOf(settings.properties) === -1) {
+		throw new Error('The properties option must be one of: "' + PROPERTY_POLICIES.join('", "') + '".');
+	}
+
+	// wrap the fake first so that the proxy is what nested fakes lead back to
+	if (options.frozen) {
+		fake = createFrozenFake(fake, settings);
+	}
+
+	if (!options.strict) {
+
+		// register the fake before faking members so that cycles lead back to it
+		if (settings.deep) {
+			settings.deep.seen.set(template, fake);
+		}
+
+		fakeMembers(fake, template, Object.prototype, settings);
+	}
+
+	if (!nesting) {
+		overrideMembers(fake, template, options, settings);
+	}
+
+	// the strict fake passes own properties through, including overridden members
+	if (options.strict) {
+		fake = createStrictFake(fake, template, settings);
+
+		// strict fakes create nested fakes when they're read, so this is early enough
+		if (settings.deep) {
+			settings.deep.seen.set(template, fake);
+		}
+	}
+
+	if (settings.recorder) {
+		recorders.set(fake, settings.recorder);
+	}
+
+	if (settings.accessLog) {
+		accessLogs.set(fake, settings.accessLog);
+	}
+
+	shapes.set(fake, getShape(template, Object.prototype));
+
+	return fake;
+}
+
+/**
+ * Creates a fake for an object-valued data property of a deep fake's
+ * template. Each object is faked only once, so cycles in the template lead
+ * back to fakes that already exist, and objects that are nested more deeply
+ * than the depth limit aren't faked.
+ * @param {Object} template The object the parent fake is based on.
+ * @param {string|Symbol} key The member to create a fake for.
+ * @param {Object} settings Settings for the parent fake. See fakeMembers().
+ * @returns {Object} The fake or null if the member isn't an object-valued
+ *      data property, the parent isn't a deep fake, or the depth limit
+ *      has been reached.
+ * @private
+ */
+function createNestedFake(template, key, settings) {
+
+	var deep = settings.deep,
+		owner = deep && deep.depth > 0 && Object.getOwnPropertyDescriptor ? findOwner(template, key) : null,
+		descriptor = owner ? Object.getOwnPropertyDescriptor(owner, key) : null;
+
+	if (!descriptor || !('value' in descriptor) || typeof descriptor.value !== 'object' ||
+		descriptor.value === null || owner === Object.prototype) {
+		return null;
+	}
+
+	return deep.seen.get(descriptor.value) || createFake(descriptor.value, deep.options, {
+		prefix: settings.prefix + formatKey(key) + '.',
+		deep: {
+			options: deep.options,
+			seen: deep.seen,
+			depth: deep.depth - 1
+		}
+	});
+}
+
+/**
+ * Determines if a function is a class, either one defined with the class
+ * keyword or a constructor with methods on its prototype.
+ * @param {Function} fn The function to check.
+ * @returns {boolean} True if the function is a class, false if not.
+ * @private
+ */
+function isClass(fn) {
+
+	if (/^class[\s{]/.test(Function.prototype.toString.call(fn))) {
+		return true;
+	}
+
+	return Boolean(fn.prototype) && getMemberKeys(fn.prototype, Object.prototype).some(function(key) {
+		return key !== 'constructor';
+	});
+}
+
+/**
+ * Determines if an object is a plain object, an object without a prototype
+ * or an ES module namespace, whose members should all be faked in place
+ * rather than by creating a fake that inherits from it.
+ * @param {Object} object The object to check.
+ * @returns {boolean} True if the object is plain, false if not.
+ * @private
+ */
+function isPlainObject(object) {
+	var proto = Object.getPrototypeOf(object);
+	return proto === null || proto === Object.prototype;
+}
+
+/**
+ * Fakes a value exported by a module. Functions throw when called, classes
+ * are faked with fakeClass(), and plain objects and module namespaces are
+ * faked member by member, so nested objects such as fs.promises become
+ * fakes too. Other objects are faked with fake(), and primitive values, such
+ * as constants, are kept as they are.
+ * @param {*} value The value to fake.
+ * @param {string} path The path of the value in the module, such as
+ *      "promises.readFile", used to name methods.
+ * @param {Object} settings Settings for the module fake.
+ * @param {string} settings.name The name of the module.
+ * @param {string} settings.prefix The prefix for method names in errors.
+ * @param {Object} [settings.recorder] The recorder to add method calls to.
+ * @param {Object} settings.seen The fakes created so far, by value, so
+ *      that circular references are faked only once.
+ * @returns {*} The fake.
+ * @private
+ */
+function fakeModuleValue(value, path, settings) {
+
+	if ((typeof value !== 'object' && typeof value !== 'function') || value === null) {
+		return value;
+	}
+
+	var fake = settings.seen.get(value),
+		keys,
+		key;
+
+	if (fake) {
+		return fake;
+	}
+
+	if (typeof value === 'function') {
+
+		if (isClass(value)) {
+			fake = module.exports.fakeClass(value, { record: Boolean(settings.recorder) });
+			settings.seen.set(value, fake);
+			return fake;
+		}
+
+		// a module that exports a function uses the module name for it
+		fake = path ?
+			createThrowingMethod(path, settings.recorder, settings.prefix) :
+			createThrowingMethod(settings.name, settings.recorder);
+	} else if (isPlainObject(value)) {
+		fake = {};
+	} else {
+		fake = createFake(value, { record: Boolean(settings.recorder) });
+		settings.seen.set(value, fake);
+		return fake;
+	}
+
+	settings.seen.set(value, fake);
+
+	if (typeof value === 'object') {
+		shapes.set(fake, getShape(value, Object.prototype));
+	}
+
+	// functions may have members of their own, such as fs.realpath.native
+	keys = Object.keys(value);
+
+	for (var i = 0, len = keys.length; i < len; i++) {
+		key = keys[i];
+		defineMember(fake, key, fakeModuleValue(value[key], path ? path + '.' + key : key, settings));
+	}
+
+	return fake;
+}
+
+/**
+ * Resolves a module ID to a file name the way require() would from the
+ * current working directory.
+ * @param {string} id The module ID.
+ * @returns {string} The file name, or the ID for built-in modules.
+ * @throws {Error} If modules can't be loaded by name, such as in browsers.
+ * @private
+ */
+function resolveModule(id) {
+
+	if (typeof require !== 'function' || typeof require.resolve !== 'function' || typeof process === 'undefined') {
+		throw new Error('Modules can only be faked by ID in Node.js.');
+	}
+
+	return require.resolve(id, { paths: [process.cwd()] });
+}
+
+/**
+ * Gets the name of a module for error messages from its ID. Packages and
+ * built-in modules are named by their ID, such as "fs", and files by their
+ * base name without the extension, such as "config" for "./lib/config.js".
+ * @param {string} id The module ID.
+ * @returns {string} The name of the module.
+ * @private
+ */
+function getModuleName(id) {
+
+	if (/^(\.|\/|[a-z]:[\\/])/i.test(id)) {
+		return id.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '');
+	}
+
+	return id;
+}
+
+/**
+ * Determines if a resolved module is built into Node.js, such as "fs".
+ * Built-in modules resolve to their ID rather than to a file name.
+ * @param {string} filename The resolved module.
+ * @returns {boolean} True if the module is built in, false if not.
+ * @private
+ */
+function isBuiltinModule(filename) {
+	return !/[\\/]/.test(filename);
+}
+
+/**
+ * Resolves the ID of a module that's about to be put into require.cache.
+ * @param {string} id The module ID.
+ * @returns {string} The file name of the module.
+ * @throws {Error} If the module is built into Node.js.
+ * @private
+ */
+function resolveInstallableModule(id) {
+
+	var filename = resolveModule(id);
+
+	if (isBuiltinModule(filename)) {
+		throw new Error('Cannot install a fake for built-in module "' + id + '" because Node.js doesn\'t load built-in modules from require.cache. Pass the fake to the code under test instead.');
+	}
+
+	return filename;
+}
+
+/**
+ * Puts a module into require.cache so that the next require() of it returns
+ * the given exports instead of loading the real module.
+ * @param {string} id The module ID.
+ * @param {*} exports The exports to use for the module.
+ * @returns {Function} A function that puts back whatever require.cache had
+ *      for the module before.
+ * @throws {Error} If the module is built into Node.js.
+ * @private
+ */
+function installModule(id, exports) {
+
+	var filename = resolveInstallableModule(id),
+		cache = require.cache,
+		hadModule = Object.prototype.hasOwnProperty.call(cache, filename),
+		previousModule = cache[filename],
+		fakeModule = new module.constructor(filename, null);
+
+	fakeModule.filename = filename;
+	fakeModule.exports = exports;
+	fakeModule.loaded = true;
+	cache[filename] = fakeModule;
+
+	return function() {
+		if (hadModule) {
+			cache[filename] = previousModule;
+		} else {
+			delete cache[filename];
+		}
+	};
+}
+
+/**
+ * Gets the article to use before a word in error messages.
+ * @param {string} word The word.
+ * @returns {string} "an" or "a".
+ * @private
+ */
+function getArticle(word) {
+	return /^[aeiou]/i.test(word) ? 'an' : 'a';
+}
+
+/**
+ * Gets the JSON Schema type of a value.
+ * @param {*} value The value to check.
+ * @returns {string} The type, such as "string", "integer" or "null".
+ * @private
+ */
+function getSchemaType(value) {
+
+	if (value === null) {
+		return 'null';
+	}
+
+	if (value instanceof Array) {
+		return 'array';
+	}
+
+	if (typeof value === 'number') {
+		return value % 1 === 0 ? 'integer' : 'number';
+	}
+
+	return typeof value;
+}
+
+/**
+ * Looks up a local reference such as "#/components/schemas/User" in a
+ * contract.
+ * @param {string} ref The reference.
+ * @param {Object} root The contract the reference is in.
+ * @returns {Object} The object the reference points to.
+ * @throws {Error} If the reference can't be resolved.
+ * @private
+ */
+function resolveRef(ref, root) {
+
+	var parts = ref.replace(/^#\/?/, '').split('/'),
+		current = root;
+
+	if (ref.charAt(0) !== '#') {
+		throw new Error('Cannot resolve "' + ref + '". Only references within the contract are supported.');
+	}
+
+	for (var i = 0, len = parts.length; i < len && parts[0] !== ''; i++) {
+
+		current = current && current[parts[i].replace(/~1/g, '/').replace(/~0/g, '~')];
+
+		if (typeof current === 'undefined') {
+			throw new Error('Cannot resolve "' + ref + '".');
+		}
+	}
+
+	return current;
+}
+
+/**
+ * Resolves an object that may be a reference, such as an OpenAPI parameter
+ * or schema.
+ * @param {Object} object The object or a reference to it.
+ * @param {Object} root The contract the object is in.
+ * @returns {Object} The object.
+ * @private
+ */
+function dereference(object, root) {
+	while (object && typeof object.$ref === 'string') {
+		object = resolveRef(object.$ref, root);
+	}
+
+	return object;
+}
+
+/**
+ * Checks a value against a JSON Schema. Only the parts of JSON Schema that
+ * describe the shape of a value are supported: type, enum, properties,
+ * required, additionalProperties, items, anyOf, oneOf, allOf, local $ref,
+ * and OpenAPI's nullable.
+ * @param {*} value The value to check.
+ * @param {Object} schema The schema to check against.
+ * @param {string} path The path of the value, such as "return value.id",
+ *      used in the messages.
+ * @param {Object} root The contract the schema is in.
+ * @returns {string[]} A message for each problem, or an empty array if the
+ *      value matches the schema.
+ * @private
+ */
+function validateSchema(value, schema, path, root) {
+
+	schema = dereference(schema, root);
+
+	if (!schema || typeof schema !== 'object') {
+		return [];
+	}
+
+	var errors = [],
+		actualType = getSchemaType(value),
+		types = typeof schema.type === 'undefined' ? [] : [].concat(schema.type);
+
+	if (value === null && schema.nullable) {
+		return [];
+	}
+
+	if (types.length && !types.some(function(type) {
+		return type === actualType || (type === 'number' && actualType === 'integer');
+	})) {
+		return [path + ' should be ' + getArticle(types[0]) + ' ' + types.join(' or ') + ' but is ' + getArticle(actualType) + ' ' + actualType];
+	}
+
+	if (schema.enum && !schema.enum.some(function(allowed) {
+		return allowed === value;
+	})) {
+		errors.push(path + ' should be one of: ' + schema.enum.map(function(allowed) {
+			return JSON.stringify(allowed);
+		}).join(', '));
+	}
+
+	if (actualType === 'object') {
+
+		(schema.required || []).forEach(function(key) {
+			if (!Object.prototype.hasOwnProperty.call(value, key)) {
+				errors.push(path + '.' + key + ' is required');
+			}
+		});
+
+		Object.keys(value).forEach(function(key) {
+
+			var properties = schema.properties || {};
+
+			if (Object.prototype.hasOwnProperty.call(properties, key)) {
+				errors = errors.concat(validateSchema(value[key], properties[key], path + '.' + key, root));
+			} else if (schema.additionalProperties === false) {
+				errors.push(path + '.' + key + ' is not allowed');
+			} else if (typeof schema.additionalProperties === 'object') {
+				errors = errors.concat(validateSchema(value[key], schema.additionalProperties, path + '.' + key, root));
+			}
+		});
+	}
+
+	if (actualType === 'array' && schema.items) {
+		value.forEach(function(item, index) {
+			errors = errors.concat(validateSchema(item, schema.items, path + '[' + index + ']', root));
+		});
+	}
+
+	(schema.allOf || []).forEach(function(subschema) {
+		errors = errors.concat(validateSchema(value, subschema, path, root));
+	});
+
+	['anyOf', 'oneOf'].forEach(function(keyword) {
+		if (schema[keyword] && !schema[keyword].some(function(subschema) {
+			return !validateSchema(value, subschema, path, root).length;
+		})) {
+			errors.push(path + ' doesn\'t match any of the schemas in ' + keyword);
+		}
+	});
+
+	return errors;
+}
+
+/**
+ * Gets the number of arguments a contract method accepts from its params,
+ * which are names where optional ones end in "?" and a rest parameter
+ * starts with "...", or from its arity.
+ * @param {Object} method The method in the contract.
+ * @returns {Object} An object with the min and max number of arguments.
+ *      max is Infinity for methods with a rest parameter.
+ * @private
+ */
+function getContractArity(method) {
+
+	if (typeof method.arity === 'number') {
+		return { min: method.arity, max: method.arity };
+	}
+
+	var params = method.params || [],
+		arity = { min: 0, max: params.length };
+
+	params.forEach(function(param, index) {
+
+		var name = typeof param === 'string' ? param : param.name;
+
+		if (/^\.\.\./.test(name)) {
+			arity.max = Infinity;
+		} else if (!/\?$/.test(name) && !(param && param.required === false)) {
+			arity.min = index + 1;
+		}
+	});
+
+	return arity;
+}
+
+/**
+ * Gets the methods of a plain contract, where methods is either an array of
+ * method names or an object that maps names to method descriptions.
+ * @param {Object} contract The contract.
+ * @returns {Object[]} The methods, each with a name, min and max number of
+ *      arguments, returns schema and async flag.
+ * @private
+ */
+function getPlainContractMethods(contract) {
+
+	var methods = contract.methods || {};
+
+	if (methods instanceof Array) {
+		return methods.map(function(name) {
+			return { name: name, min: 0, max: Infinity, returns: null, async: false };
+		});
+	}
+
+	return Object.keys(methods).map(function(name) {
+
+		var method = methods[name] || {},
+			arity = typeof method.arity === 'undefined' && !method.params ?
+				{ min: 0, max: Infinity } : getContractArity(method);
+
+		return {
+			name: name,
+			min: arity.min,
+			max: arity.max,
+			returns: method.returns || null,
+			async: Boolean(method.async)
+		};
+	});
+}
+
+/**
+ * Gets the methods of an OpenAPI or Swagger document, one for each
+ * operationId. The arguments are the operation's parameters, in order,
+ * followed by the request body, if any. Operations are asynchronous, and the
+ * return value is described by the JSON schema of the first successful
+ * response.
+ * @param {Object} document The OpenAPI document.
+ * @returns {Object[]} The methods. See getPlainContractMethods().
+ * @private
+ */
+function getOpenApiMethods(document) {
+
+	var methods = [];
+
+	Object.keys(document.paths || {}).forEach(function(path) {
+
+		var pathItem = dereference(document.paths[path], document);
+
+		OPENAPI_OPERATIONS.forEach(function(httpMethod) {
+
+			var operation = pathItem[httpMethod];
+
+			if (!operation || !operation.operationId) {
+				return;
+			}
+
+			var params = (pathItem.parameters || []).concat(operation.parameters || []).map(function(param) {
+					param = dereference(param, document);
+					return { name: param.name, required: Boolean(param.required) };
+				}),
+				requestBody = dereference(operation.requestBody, document),
+				arity;
+
+			if (requestBody) {
+				params.push({ name: 'body', required: Boolean(requestBody.required) });
+			}
+
+			arity = getContractArity({ params: params });
+
+			methods.push({
+				name: operation.operationId,
+				min: arity.min,
+				max: arity.max,
+				returns: getOpenApiResponseSchema(operation, document),
+				async: true
+			});
+		});
+	});
+
+	return methods;
+}
+
+/**
+ * Gets the JSON schema of the first successful response of an OpenAPI
+ * operation.
+ * @param {Object} operation The operation.
+ * @param {Object} document The OpenAPI document.
+ * @returns {Object} The schema or null if there is none.
+ * @private
+ */
+function getOpenApiResponseSchema(operation, document) {
+
+	var responses = operation.responses || {},
+		status = Object.keys(responses).sort().filter(function(code) {
+			return /^2/.test(code);
+		})[0],
+		response = status ? dereference(responses[status], document) : null,
+		content;
+
+	if (!response) {
+		return null;
+	}
+
+	// Swagger 2 puts the schema on the response, OpenAPI 3 puts it in content
+	if (response.schema) {
+		return response.schema;
+	}
+
+	content = response.content || {};
+	content = content['application/json'] || content[Object.keys(content)[0]];
+
+	return content && content.schema ? content.schema : null;
+}
+
+/**
+ * Reads a contract from a JSON file.
+ * @param {string} filename The path of the file, resolved from the current
+ *      working directory.
+ * @returns {Object} The contract.
+ * @throws {Error} If the file can't be read or isn't valid JSON.
+ * @private
+ */
+function readContractFile(filename) {
+
+	if (typeof require !== 'function' || typeof process === 'undefined') {
+		throw new Error('Contracts can only be read from files in Node.js.');
+	}
+
+	var text = require(FS_MODULE).readFileSync(filename, 'utf8');
+
+	try {
+		return JSON.parse(text);
+	} catch (ex) {
+		throw new Error('Contract file "' + filename + '" is not valid JSON: ' + ex.message);
+	}
+}
+
+/**
+ * Creates a method for a fake made from a contract. The method checks the
+ * number of arguments, and if it has an implementation, checks its return
+ * value against the contract. Methods without an implementation throw like
+ * any other faked method.
+ * @param {Object} method The method in the contract. See
+ *      getPlainContractMethods().
+ * @param {Function} [implementation] The implementation from options.stub.
+ * @param {Object} settings Settings for the fake.
+ * @param {string} settings.prefix The prefix for member names in errors.
+ * @param {Object} [settings.recorder] The recorder to add calls to.
+ * @param {Object} settings.contract The whole contract, for references.
+ * @returns {Function} The method.
+ * @private
+ */
+function createContractMethod(method, implementation, settings) {
+
+	var displayName = settings.prefix + method.name,
+		inner;
+
+	if (!implementation) {
+		inner = createThrowingMethod(method.name, settings.recorder, settings.prefix);
+	} else if (settings.recorder) {
+		inner = createRecordingMethod(method.name, implementation, settings.recorder);
+	} else {
+		inner = implementation;
+	}
+
+	/**
+	 * Checks a value that the method returned, or that its promise resolved
+	 * to, against the contract.
+	 * @param {*} value The value.
+	 * @returns {*} The same value.
+	 * @throws {Error} If the value violates the contract.
+	 * @private
+	 */
+	function checkReturnValue(value) {
+
+		var errors = method.returns ? validateSchema(value, method.returns, 'return value', settings.contract) : [];
+
+		if (errors.length) {
+			throw new Error(displayName + ' returned a value that violates the contract:\n    ' + errors.join('\n    '));
+		}
+
+		return value;
+	}
+
+	return function() {
+
+		var count = arguments.length,
+			result;
+
+		if (count < method.min || count > method.max) {
+			throw new Error(displayName + ' expects ' + formatArity(method) + ' but was called with ' + count + '.');
+		}
+
+		result = inner.apply(this, arguments);
+
+		if (!method.async) {
+			return checkReturnValue(result);
+		}
+
+		if (!isThenable(result)) {
+			throw new Error(displayName + ' should return a promise according to the contract.');
+		}
+
+		return result.then(checkReturnValue);
+	};
+}
+
+/**
+ * Describes the number of arguments a contract method accepts, such as
+ * "1 argument", "1 to 2 arguments" or "at least 1 argument".
+ * @param {Object} method The method in the contract.
+ * @returns {string} The description.
+ * @private
+ */
+function formatArity(method) {
+
+	var description;
+
+	if (method.max === Infinity) {
+		description = 'at least ' + method.min;
+	} else if (method.min === method.max) {
+		description = String(method.min);
+	} else {
+		description = method.min + ' to ' + method.max;
+	}
+
+	return description + ((method.max === Infinity ? method.min : method.max) === 1 ? ' argument' : ' arguments');
+}
+
+/**
+ * Defines a property for a fake made from a contract. Reading the property
+ * throws until it has been set, and setting it to a value that doesn't match
+ * the contract throws.
+ * @param {Object} fake The fake.
+ * @param {string} name The name of the property.
+ * @param {Object} schema The JSON schema of the property.
+ * @param {Object} settings Settings for the fake. See createContractMethod().
+ * @returns {void}
+ * @private
+ */
+function defineContractProperty(fake, name, schema, settings) {
+
+	var displayName = settings.prefix + name,
+		propertyIsSet = false,
+		propertyValue;
+
+	Object.defineProperty(fake, name, {
+		get: function() {
+			if (propertyIsSet) {
+				return propertyValue;
+			}
+
+			throw new Error('Unexpected use of property "' + displayName + '".');
+		},
+		set: function(value) {
+
+			var errors = validateSchema(value, schema, name, settings.contract);
+
+			if (errors.length) {
+				throw new Error(displayName + ' was set to a value that violates the contract:\n    ' + errors.join('\n    '));
+			}
+
+			propertyIsSet = true;
+			propertyValue = value;
+		},
+		enumerable: true,
+		configurable: true
+	});
+}
+
+/**
+ * Describes a member of an object for comparing fakes with the objects they
+ * stand in for.
+ * @param {Object} descriptor The property descriptor of the member.
+ * @returns {Object} An object with the kind of member ("method", "property"
+ *      or "accessor") and, for methods, the min and max number of arguments.
+ * @private
+ */
+function describeMember(descriptor) {
+
+	if (!('value' in descriptor)) {
+		return { kind: 'accessor' };
+	}
+
+	if (typeof descriptor.value === 'function') {
+		return { kind: 'method', min: descriptor.value.length, max: descriptor.value.length };
+	}
+
+	return { kind: 'property' };
+}
+
+/**
+ * Describes the members of an object, walking up the prototype chain until
+ * stopAt is reached. Class constructors aren't included.
+ * @param {Object} object The object to describe.
+ * @param {Object} stopAt The prototype at which to stop.
+ * @param {Array} [skipKeys] Member names to leave out.
+ * @returns {Object} An object that maps member names to descriptions. See
+ *      describeMember().
+ * @private
+ */
+function getShape(object, stopAt, skipKeys) {
+
+	var shape = {};
+
+	getMemberKeys(object, stopAt).forEach(function(key) {
+		if (key !== 'constructor' && !(skipKeys && skipKeys.indexOf(key) > -1)) {
+			shape[formatKey(key)] = describeMember(Object.getOwnPropertyDescriptor(findOwner(object, key), key));
+		}
+	});
+
+	return shape;
+}
+
+/**
+ * Gets the shape of a fake. Fakes created by Leche remember the shape of
+ * what they were created from, since the members they define look
+ * different, such as methods that take no arguments. The shape of any other
+ * object is read from the object itself.
+ * @param {Object} fake The fake.
+ * @param {Object} stopAt The prototype at which to stop. See getShape().
+ * @param {Array} [skipKeys] Member names to leave out.
+ * @returns {Object} The shape.
+ * @private
+ */
+function getFakeShape(fake, stopAt, skipKeys) {
+	return shapes.get(fake) || getShape(fake, stopAt, skipKeys);
+}
+
+/**
+ * Describes a member in the messages of assertMatches().
+ * @param {Object} member The description of the member.
+ * @returns {string} The description, such as "a method with 2 arguments".
+ * @private
+ */
+function formatMember(member) {
+
+	if (member.kind !== 'method' || member.min === null || (member.min === 0 && member.max === Infinity)) {
+		return getArticle(member.kind) + ' ' + member.kind;
+	}
+
+	return 'a method with ' + formatArity(member);
+}
+
+/**
+ * Compares the shape of a fake with the shape of the real object.
+ * @param {Object} fakeShape The shape of the fake.
+ * @param {Object} realShape The shape of the real object.
+ * @param {Object} settings Settings for the comparison.
+ * @param {string} settings.realName The name of the real object.
+ * @param {string} settings.prefix The prefix for member names, such as
+ *      "static ".
+ * @param {boolean} settings.ignoreExtraProperties True to ignore data
+ *      properties that only the fake has, since instance properties of
+ *      classes can't be known without creating an instance.
+ * @returns {string[]} A line for each difference, in the style of a diff.
+ * @private
+ */
+function compareShapes(fakeShape, realShape, settings) {
+
+	var lines = [];
+
+	Object.keys(realShape).forEach(function(key) {
+
+		var fakeMember = fakeShape[key],
+			realMember = realShape[key],
+			name = settings.prefix + key;
+
+		if (!fakeMember) {
+			lines.push('- ' + name + ': ' + formatMember(realMember) + ' that the fake is missing');
+		} else if (fakeMember.kind !== realMember.kind) {
+			lines.push('~ ' + name + ': ' + formatMember(fakeMember) + ' in the fake but ' + formatMember(realMember) + ' in ' + settings.realName);
+		} else if (fakeMember.kind === 'method' && fakeMember.min !== null &&
+			(realMember.min < fakeMember.min || realMember.min > fakeMember.max)) {
+			lines.push('~ ' + name + ': ' + formatMember(fakeMember) + ' in the fake but ' + formatMember(realMember) + ' in ' + settings.realName);
+		}
+	});
+
+	Object.keys(fakeShape).forEach(function(key) {
+		if (!realShape[key] && !(settings.ignoreExtraProperties && fakeShape[key].kind === 'property')) {
+			lines.push('+ ' + settings.prefix + key + ': ' + formatMember(fakeShape[key]) + ' that ' + settings.realName + ' doesn\'t have');
+		}
+	});
+
+	return lines;
+}
+
+/**
+ * Gets the name of the real object in the messages of assertMatches().
+ * @param {Object|Function} real The real object or class.
+ * @returns {string} The name.
+ * @private
+ */
+function getRealName(real) {
+
+	var prefix = getMemberPrefix(real);
+
+	return prefix ? prefix.slice(0, -1) : 'the real object';
+}
+
+/**
+ * Checks that a fake matches the real object or class it stands in for.
+ * @param {Object|Function} fake The fake.
+ * @param {Object|Function} real The real object or class.
+ * @returns {void}
+ * @throws {Error} If the fake doesn't match.
+ * @private
+ */
+function assertMatches(fake, real) {
+
+	if ((typeof real !== 'object' && typeof real !== 'function') || real === null) {
+		throw new Error('Second argument must be the real object or class.');
+	}
+
+	var realName = getRealName(real),
+		lines;
+
+	if (typeof real === 'function' && typeof fake === 'function') {
+		lines = compareShapes(getFakeShape(fake, Function.prototype, FUNCTION_KEYS), getShape(real, Function.prototype, FUNCTION_KEYS), {
+			realName: realName,
+			prefix: 'static ',
+			ignoreExtraProperties: false
+		}).concat(compareShapes(getFakeShape(fake.prototype, Object.prototype), getShape(real.prototype, Object.prototype), {
+			realName: realName,
+			prefix: '',
+			ignoreExtraProperties: true
+		}));
+	} else {
+		lines = compareShapes(getFakeShape(fake, Object.prototype), getShape(typeof real === 'function' ? real.prototype : real, Object.prototype), {
+			realName: realName,
+			prefix: '',
+			ignoreExtraProperties: typeof real === 'function'
+		});
+	}
+
+	if (lines.length) {
+		throw new Error('Fake doesn\'t match ' + realName + ':\n    ' + lines.join('\n    '));
+	}
+}
+
+/**
+ * Checks a new fake against the real object in options.real when verified
+ * fakes are turned on. See useVerifiedFakes().
+ * @param {Object|Function} fake The new fake.
+ * @param {Object} [options] The options the fake was created with.
+ * @returns {Object|Function} The fake.
+ * @throws {Error} If the fake doesn't match.
+ * @private
+ */
+function verifyFake(fake, options) {
+
+	if (verifiedFakes && options && options.real) {
+		assertMatches(fake, options.real);
+	}
+
+	return fake;
+}
+
+/**
+ * Returns the first maxLen characters of a the JSON string representation of
+ * the given object.
+ *
+ * @param {Object} object The object to get a string representation for.
+ * @param {number} maxLen The number of characters to truncate to.
+ * @returns {string} The first maxLen characters of the JSON string.
+ */
+function truncatedJSONStringify(object, maxLen) {
+
+	var json;
+
+	try {
+		json = JSON.stringify(object);
+	} catch (ex) {
+
+		// circular references can't be represented in JSON
+		json = undefined;
+	}
+
+	if (typeof json !== 'string') {
+		json = object.constructor && object.constructor.name ? object.constructor.name : 'Object';
+	}
+
+	return json.slice(0, maxLen);
+}
+
+/**
+ * Gets a string representation of an object. If there is a usable toString()
+ * implementation, then it will return that. Otherwise, it will attempt to get
+ * a more specific string representation by getting the JSON string version of
+ * the object. For arrays, it will attempt to stringify its items recursively.
+ * The items of the outermost array are separated by commas, while nested
+ * arrays are wrapped in brackets so their structure is still visible. Class
+ * instances inside arrays are prefixed with the name of their class, such as
+ * "Point {"x":1}", so they can be told apart from plain objects.
+ *
+ * @param {*} object The object to get a string representation for.
+ * @param {number} [maxLength] The number of characters to truncate JSON
+ *      representations to. Defaults to DEFAULT_LABEL_LENGTH.
+ * @param {number} [depth=0] How deeply nested the object is.
+ * @returns {string} The string representation of the object.
+ * @private
+ */
+function stringifyObject(object, maxLength, depth) {
+
+	maxLength = maxLength || DEFAULT_LABEL_LENGTH;
+	depth = depth || 0;
+
+	if (typeof object === 'undefined') {
+		return 'undefined';
+	} else if (object === null) {
+		return 'null';
+	}
+
+	if (object instanceof Array) {
+
+		if (depth >= MAX_LABEL_DEPTH) {
+			return '[...]';
+		}
+
+		var items = object.map(function(item) {
+			return stringifyObject(item, maxLength, depth + 1);
+		}).join(',');
+
+		return depth ? '[' + items + ']' : items;
+	}
+
+	var stringRepresentation = String(object);
+	if (stringRepresentation !== '[object Object]') {
+		return stringRepresentation;
+	}
+
+	var json = truncatedJSONStringify(object, maxLength),
+		className = !isPlainObject(object) && object.constructor && object.constructor.name;
+
+	// objects that can't be turned into JSON are already labeled with their class name
+	return depth && className && json !== className ? className + ' ' + json : json;
+}
+
+/**
+ * Gets the arguments to pass to the test function for a dataset item. Arrays
+ * are used as the arguments and any other value is the only argument.
+ * @param {*} value The dataset item.
+ * @returns {Array} The arguments.
+ * @private
+ */
+function toArgs(value) {
+	return value instanceof Array ? value : [value];
+}
+
+/**
+ * Looks up a placeholder such as "{name}", "{0}" or "{user.name}" in a title
+ * template. Numbers refer to arguments, and names refer to properties of the
+ * first argument.
+ * @param {Array} args The arguments for the dataset item.
+ * @param {string} path The text between the braces.
+ * @returns {Object} An object with a found property and, if found, a value.
+ * @private
+ */
+function lookupPlaceholder(args, path) {
+
+	var parts = path.split('.'),
+		value = args[0],
+		i = 0;
+
+	if (/^\d+$/.test(parts[0])) {
+
+		if (Number(parts[0]) >= args.length) {
+			return { found: false };
+		}
+
+		value = args[Number(parts[0])];
+		i = 1;
+	}
+
+	for (; i < parts.length; i++) {
+		if (value === null || typeof value === 'undefined' || !(parts[i] in Object(value))) {
+			return { found: false };
+		}
+
+		value = value[parts[i]];
+	}
+
+	return { found: true, value: value };
+}
+
+/**
+ * Creates a title from a template. Each "%s" is replaced with the next
+ * argument, "%%" is replaced with "%", and placeholders in braces are looked
+ * up with lookupPlaceholder(). Placeholders that can't be filled are left
+ * as-is.
+ * @param {string} template The title template.
+ * @param {Array} args The arguments for the dataset item.
+ * @param {number} [maxLength] The number of characters to truncate JSON
+ *      representations to.
+ * @returns {string} The title.
+ * @private
+ */
+function formatTitle(template, args, maxLength) {
+
+	var index = 0;
+
+	return template.replace(/%%|%s|\{([^{}]+)\}/g, function(match, path) {
+
+		if (match === '%%') {
+			return '%';
+		}
+
+		if (match === '%s') {
+			return index < args.length ? stringifyObject(args[index++], maxLength, 1) : match;
+		}
+
+		var result = lookupPlaceholder(args, path);
+		return result.found ? stringifyObject(result.value, maxLength, 1) : match;
+	});
+}
+
+/**
+ * Creates the label for a dataset item.
+ * @param {*} value The dataset item.
+ * @param {Object} options The options passed to withData().
+ * @param {string|Function} [options.title] A title template or a function
+ *      that receives the item's arguments and returns the label.
+ * @param {number} [options.maxLength] The number of characters to truncate
+ *      JSON representations to.
+ * @returns {string} The label.
+ * @private
+ */
+function createLabel(value, options) {
+
+	if (typeof options.title === 'function') {
+		return String(options.title.apply(null, toArgs(value)));
+	}
+
+	if (typeof options.title === 'string') {
+		return formatTitle(options.title, toArgs(value), options.maxLength);
+	}
+
+	return stringifyObject(value, options.maxLength);
+}
+
+/**
+ * Converts an array into an array of entries, one for each array item, where
+ * each entry has a string representation of the item as its label and the item
+ * itself as its value. This is to normalize the information so that other
+ * operations can assume labeled items are always used. For an array like this:
+ *
+ *		[ "foo", "bar" ]
+ *
+ * It creates entries like this:
+ *
+ *		[ { label: "foo", value: "foo" }, { label: "bar", value: "bar" } ]
+ *
+ * Different items may end up with the same label. See dedupeLabels().
+ *
+ * @param {Array} array The array to convert.
+ * @param {Object} [options] The options passed to withData().
+ * @returns {Object[]} The entries representing the array.
+ * @private
+ */
+function createNamedDataset(array, options) {
+	var result = [];
+
+	for (var i = 0, len = array.length; i < len; i++) {
+		result.push(createEntry(array[i], null, options || {}));
+	}
+
+	return result;
+}
+
+/**
+ * Represents a dataset item that has been marked by only() or skip().
+ * @param {*} value The dataset item.
+ * @param {string} mode Either "only" or "skip".
+ * @param {string} [reason] Why the item is skipped.
+ * @constructor
+ * @private
+ */
+function MarkedItem(value, mode, reason) {
+	this.value = value;
+	this.mode = mode;
+	this.reason = reason;
+}
+
+/**
+ * Creates a dataset entry for an item, unwrapping items that have been marked
+ * by only() or skip().
+ * @param {*} item The dataset item.
+ * @param {string} [label] The label of the item. If omitted, a label is
+ *      created from the item.
+ * @param {Object} options The options passed to withData().
+ * @returns {Object} The dataset entry.
+ * @private
+ */
+function createEntry(item, label, options) {
+
+	var entry = {
+		label: label,
+		value: item,
+		mode: null,
+		reason: undefined
+	};
+
+	if (item instanceof MarkedItem) {
+		entry.value = item.value;
+		entry.mode = item.mode;
+		entry.reason = item.reason;
+	}
+
+	if (label === null || options.title) {
+		entry.label = createLabel(entry.value, options);
+	}
+
+	return entry;
+}
+
+/**
+ * Creates a copy of a dataset entry with a different label.
+ * @param {Object} entry The dataset entry.
+ * @param {string} label The new label.
+ * @returns {Object} The new dataset entry.
+ * @private
+ */
+function relabelEntry(entry, label) {
+	return {
+		label: label,
+		value: entry.value,
+		mode: entry.mode,
+		reason: entry.reason,
+		generated: entry.generated
+	};
+}
+
+/**
+ * Applies the mode of withData.only() or withData.skip() to every entry.
+ * Items marked by skip() are always skipped, while other items take on the
+ * given mode.
+ * @param {Object[]} entries The dataset entries.
+ * @param {string} [mode] Either "only" or "skip".
+ * @returns {Object[]} The dataset entries.
+ * @private
+ */
+function applyMode(entries, mode) {
+
+	if (mode) {
+		entries.forEach(function(entry) {
+			if (entry.mode !== 'skip') {
+				entry.mode = mode;
+			}
+		});
+	}
+
+	return entries;
+}
+
+/**
+ * Makes sure that every entry in a dataset has a unique label. Otherwise,
+ * items with the same label would be hard to tell apart in the output, or
+ * lost entirely when the dataset is turned back into an object. Depending on
+ * the mode, the labels of later entries are given a suffix ("#2", "#3", and so
+ * on) or an error listing the duplicates is thrown.
+ * @param {Object[]} entries The dataset entries.
+ * @param {string} [mode="suffix"] Either "suffix" or "error".
+ * @returns {Object[]} The entries, with unique labels.
+ * @throws {Error} If mode is "error" and there are duplicate labels, or if
+ *      the mode isn't recognized.
+ * @private
+ */
+function dedupeLabels(entries, mode) {
+
+	var positions = {},
+		duplicates = [],
+		used = {},
+		label,
+		i,
+		len;
+
+	mode = mode || 'suffix';
+
+	if (mode !== 'suffix' && mode !== 'error') {
+		throw new Error('Unknown duplicates option "' + mode + '". Use "suffix" or "error".');
+	}
+
+	for (i = 0, len = entries.length; i < len; i++) {
+		label = entries[i].label;
+
+		if (positions.hasOwnProperty(label)) {
+			if (positions[label].length === 1) {
+				duplicates.push(label);
+			}
+
+			positions[label].push(i);
+		} else {
+			positions[label] = [i];
+		}
+	}
+
+	if (!duplicates.length) {
+		return entries;
+	}
+
+	if (mode === 'error') {
+		throw new Error('Dataset contains items with duplicate labels:\n' + duplicates.map(function(duplicate) {
+			return '    "' + duplicate + '" is used by the items at indexes ' + positions[duplicate].join(', ');
+		}).join('\n'));
+	}
+
+	return entries.map(function(entry) {
+
+		var count = 1,
+			uniqueLabel = entry.label;
+
+		// a suffixed label may already be used by another item, so keep counting
+		while (used.hasOwnProperty(uniqueLabel) ||
+			(uniqueLabel !== entry.label && positions.hasOwnProperty(uniqueLabel))) {
+			count++;
+			uniqueLabel = entry.label + ' #' + count;
+		}
+
+		used[uniqueLabel] = true;
+
+		return relabelEntry(entry, uniqueLabel);
+	});
+}
+
+/**
+ * Determines if a value is a thenable, such as a promise.
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is a thenable, false if not.
+ * @private
+ */
+function isThenable(value) {
+	return (typeof value === 'object' || typeof value === 'function') && value !== null &&
+		typeof value.then === 'function';
+}
+
+/**
+ * Determines if a value is an object that implements the iteration protocol
+ * identified by the given well-known symbol.
+ * @param {*} value The value to check.
+ * @param {string} symbolName The name of the well-known symbol, either
+ *      "iterator" or "asyncIterator".
+ * @returns {boolean} True if the value implements the protocol, false if not.
+ * @private
+ */
+function implementsProtocol(value, symbolName) {
+	return typeof Symbol === 'function' && Boolean(Symbol[symbolName]) &&
+		typeof value === 'object' && value !== null &&
+		typeof value[Symbol[symbolName]] === 'function';
+}
+
+/**
+ * Collects the values of an iterable, such as a generator, into an array.
+ * @param {Iterable} iterable The iterable to collect values from.
+ * @returns {Array} The values of the iterable.
+ * @private
+ */
+function collectIterable(iterable) {
+
+	var iterator = iterable[Symbol.iterator](),
+		values = [],
+		result = iterator.next();
+
+	while (!result.done) {
+		values.push(result.value);
+		result = iterator.next();
+	}
+
+	return values;
+}
+
+/**
+ * Collects the values of an async iterable, such as an async generator, into
+ * an array.
+ * @param {AsyncIterable} iterable The async iterable to collect values from.
+ * @returns {Promise} A promise that resolves to the values of the iterable.
+ * @private
+ */
+function collectAsyncIterable(iterable) {
+
+	var iterator = iterable[Symbol.asyncIterator](),
+		values = [];
+
+	function next() {
+		return iterator.next().then(function(result) {
+			if (result.done) {
+				return values;
+			}
+
+			values.push(result.value);
+			return next();
+		});
+	}
+
+	return next();
+}
+
+/**
+ * Turns a dataset source into either a dataset or a promise for one. Functions
+ * are called, iterables are collected into arrays, and async iterables are
+ * collected into promises for arrays.
+ * @param {*} source The dataset source passed to withData().
+ * @returns {*} The dataset or a promise that resolves to the dataset.
+ * @private
+ */
+function resolveDatasetSource(source) {
+
+	if (typeof source === 'function') {
+		source = source();
+	}
+
+	if (isThenable(source)) {
+		return source.then(function(value) {
+			return implementsProtocol(value, 'asyncIterator') ?
+				collectAsyncIterable(value) : resolveDatasetSource(value);
+		});
+	}
+
+	if (implementsProtocol(source, 'asyncIterator')) {
+		return collectAsyncIterable(source);
+	}
+
+	if (implementsProtocol(source, 'iterator') && !(source instanceof Array)) {
+		return collectIterable(source);
+	}
+
+	return source;
+}
+
+/**
+ * Normalizes a dataset so it looks like:
+ * [
+ *      { label: "name1", value: [ "data1", "data2" ] },
+ *      { label: "name2", value: [ "data3", "data4" ] }
+ * ]
+ * @param {Object|Array} dataset The dataset to normalize.
+ * @param {Object} [options] The options passed to withData(). When a title
+ *      is given, it's used to label the items of object datasets as well.
+ * @returns {Object[]} The dataset entries.
+ * @throws {Error} If dataset is missing or an empty array, or if it contains
+ *      duplicate labels and options.duplicates is "error".
+ * @private
+ */
+function normalizeDataset(dataset, options) {
+
+	options = options || {};
+
+	// check for missing or null argument
+	if (typeof dataset !== 'object' || dataset === null) {
+		throw new Error('First argument must be an object or non-empty array.');
+	}
+
+	var entries = [];
+	if (dataset instanceof Array) {
+
+		// arrays must have at least one item
+		if (dataset.length) {
+			entries = createNamedDataset(dataset, options);
+		} else {
+			throw new Error('First argument must be an object or non-empty array.');
+		}
+	} else {
+		for (var name in dataset) {
+			if (dataset.hasOwnProperty(name)) {
+				entries.push(createEntry(dataset[name], name, options));
+			}
+		}
+	}
+
+	return dedupeLabels(entries, options.duplicates);
+}
+
+/**
+ * Converts a dataset into an array of entries, one for each item, where each
+ * entry has the label of the item and its value.
+ * @param {*} dataset The dataset, in any form that withData() accepts except
+ *      for ones that are resolved asynchronously.
+ * @returns {Object[]} The entries, each with a label and a value.
+ * @throws {Error} If the dataset is missing, empty, or asynchronous.
+ * @private
+ */
+function getDatasetEntries(dataset) {
+
+	var source = resolveDatasetSource(dataset);
+
+	if (isThenable(source)) {
+		throw new Error('Datasets that are resolved asynchronously can\'t be combined.');
+	}
+
+	return normalizeDataset(source);
+}
+
+/**
+ * Combines several dataset entries into one, joining their labels and
+ * concatenating their arguments. If any of the entries is skipped, the
+ * combined entry is skipped too. Otherwise, if any of them is focused with
+ * only(), so is the combined entry.
+ * @param {Object[]} entries The entries to combine.
+ * @returns {Object} The combined entry.
+ * @private
+ */
+function combineEntries(entries) {
+
+	var combined = {
+		label: entries.map(function(entry) {
+			return entry.label;
+		}).join(', '),
+		value: entries.reduce(function(args, entry) {
+			return args.concat(toArgs(entry.value));
+		}, []),
+		mode: null,
+		reason: undefined
+	};
+
+	entries.forEach(function(entry) {
+		if (entry.mode === 'skip' && combined.mode !== 'skip') {
+			combined.mode = 'skip';
+			combined.reason = entry.reason;
+		} else if (entry.mode === 'only' && !combined.mode) {
+			combined.mode = 'only';
+		}
+	});
+
+	return combined;
+}
+
+/**
+ * Converts an array of entries back into a labeled dataset that withData()
+ * accepts. Entries with the same label are given a suffix so none are lost.
+ * @param {Object[]} entries The entries to convert.
+ * @returns {Object} A dataset whose keys are labels and whose values are
+ *      arrays of arguments.
+ * @private
+ */
+function createDatasetFromEntries(entries) {
+
+	var dataset = {};
+
+	entries = dedupeLabels(entries);
+
+	for (var i = 0, len = entries.length; i < len; i++) {
+		dataset[entries[i].label] = entries[i].mode ?
+			new MarkedItem(toArgs(entries[i].value), entries[i].mode, entries[i].reason) :
+			toArgs(entries[i].value);
+	}
+
+	return dataset;
+}
+
+/**
+ * Gets the entries for each dataset passed to one of the dataset combinators.
+ * @param {Arguments|Array} datasets The datasets.
+ * @param {string} name The name of the combinator, for error messages.
+ * @returns {Array[]} An array of entries for each dataset.
+ * @throws {Error} If no datasets are passed.
+ * @private
+ */
+function getEntriesForEach(datasets, name) {
+
+	if (!datasets.length) {
+		throw new Error(name + '() requires at least one dataset.');
+	}
+
+	return Array.prototype.map.call(datasets, getDatasetEntries);
+}
+
+/**
+ * Creates the rows of an all-pairs covering array: a set of rows in which
+ * every pair of values from any two parameters appears at least once. Each
+ * row starts with a pair that hasn't been covered yet, and the remaining
+ * parameters are filled in with the values that cover the most new pairs.
+ * This isn't guaranteed to find the smallest possible set of rows, but it's
+ * deterministic and usually much smaller than the full product.
+ * @param {number[]} sizes The number of values for each parameter.
+ * @returns {Array[]} The rows, each an array of value indices.
+ * @private
+ */
+function createPairwiseRows(sizes) {
+
+	var uncovered = {},
+		remaining = 0,
+		rows = [],
+		i, j, a, b;
+
+	function pairKey(first, firstValue, second, secondValue) {
+		return first + ':' + firstValue + '|' + second + ':' + secondValue;
+	}
+
+	function countNewPairs(row, param, value) {
+		var count = 0;
+
+		for (var other = 0; other < sizes.length; other++) {
+			if (other !== param && row[other] !== undefined) {
+				var key = other < param ?
+					pairKey(other, row[other], param, value) :
+					pairKey(param, value, other, row[other]);
+
+				if (uncovered[key]) {
+					count++;
+				}
+			}
+		}
+
+		return count;
+	}
+
+	for (i = 0; i < sizes.length; i++) {
+		for (j = i + 1; j < sizes.length; j++) {
+			for (a = 0; a < sizes[i]; a++) {
+				for (b = 0; b < sizes[j]; b++) {
+					uncovered[pairKey(i, a, j, b)] = [i, a, j, b];
+					remaining++;
+				}
+			}
+		}
+	}
+
+	while (remaining) {
+
+		var row = new Array(sizes.length),
+			seed;
+
+		// start from the first pair that hasn't been covered yet
+		for (var key in uncovered) {
+			if (uncovered[key]) {
+				seed = uncovered[key];
+				break;
+			}
+		}
+
+		row[seed[0]] = seed[1];
+		row[seed[2]] = seed[3];
+
+		for (i = 0; i < sizes.length; i++) {
+			if (row[i] === undefined) {
+
+				var best = 0,
+					bestCount = -1;
+
+				for (a = 0; a < sizes[i]; a++) {
+					var count = countNewPairs(row, i, a);
+
+					if (count > bestCount) {
+						best = a;
+						bestCount = count;
+					}
+				}
+
+				row[i] = best;
+			}
+		}
+
+		for (i = 0; i < sizes.length; i++) {
+			for (j = i + 1; j < sizes.length; j++) {
+				key = pairKey(i, row[i], j, row[j]);
+
+				if (uncovered[key]) {
+					uncovered[key] = null;
+					remaining--;
+				}
+			}
+		}
+
+		rows.push(row);
+	}
+
+	return rows;
+}
+
+/**
+ * Creates an error for a fixture file that can't be parsed, pointing at the
+ * line and column where the problem is.
+ * @param {string} filename The name of the file.
+ * @param {string} message What went wrong.
+ * @param {number} line The line number, starting at 1.
+ * @param {number} column The column number, starting at 1.
+ * @returns {Error} The error.
+ * @private
+ */
+function createParseError(filename, message, line, column) {
+	return new Error('Cannot parse "' + filename + '": ' + message + ' at line ' + line + ', column ' + column + '.');
+}
+
+/**
+ * Describes the character at a position of the text being parsed, for error
+ * messages.
+ * @param {string} text The text.
+ * @param {number} index The position.
+ * @returns {string} The description, such as 'unexpected "}"'.
+ * @private
+ */
+function describeUnexpected(text, index) {
+	return index < text.length ? 'unexpected ' + JSON.stringify(text.charAt(index)) : 'unexpected end of input';
+}
+
+/**
+ * Finds where the error that JSON.parse() threw for a text is. Most errors
+ * say at which position they are, but errors for unexpected tokens may only
+ * name the token, so the first place it appears outside of a string is used.
+ * @param {string} text The JSON text.
+ * @param {string} message The message of the error.
+ * @returns {number} The position of the error.
+ * @private
+ */
+function findJSONError(text, message) {
+
+	var position = JSON_ERROR_POSITION.exec(message),
+		token = JSON_UNEXPECTED_TOKEN.exec(message),
+		inString = false,
+		character;
+
+	if (position) {
+		return Number(position[1]);
+	}
+
+	if (token) {
+		for (var i = 0; i < text.length; i++) {
+			character = text.charAt(i);
+
+			if (inString) {
+				if (character === '\\') {
+					i++;
+				} else if (character === '"') {
+					inString = false;
+				}
+			} else if (character === '"') {
+				inString = true;
+			} else if (character === token[1]) {
+				return i;
+			}
+		}
+	}
+
+	return text.length;
+}
+
+/**
+ * Parses JSON with JSON.parse(), but with errors that point at the line and
+ * column of the problem.
+ * @param {string} text The JSON text.
+ * @param {string} filename The name of the file, for error messages.
+ * @param {number} [line=1] The line number that the text starts at.
+ * @returns {*} The parsed value.
+ * @throws {Error} If the text isn't valid JSON.
+ * @private
+ */
+function parseJSON(text, filename, line) {
+
+	try {
+		return JSON.parse(text);
+	} catch (ex) {
+
+		var index = findJSONError(text, ex.message),
+			before = text.slice(0, index),
+			message = ex.message.replace(JSON_ERROR_POSITION, '').replace(/, [\s\S]* is not valid JSON$/, '');
+
+		throw createParseError(filename, message.charAt(0).toLowerCase() + message.slice(1),
+			(line || 1) + before.split('\n').length - 1, index - before.lastIndexOf('\n'));
+	}
+}
+
+/**
+ * Parses CSV or TSV text into records. Fields may be quoted with double
+ * quotes, in which case they can contain delimiters, line breaks and doubled
+ * double quotes. Blank lines are skipped.
+ * @param {string} text The text to parse.
+ * @param {string} delimiter The character between fields.
+ * @param {string} filename The name of the file, for error messages.
+ * @returns {Object[]} The records, each with the fields as an array of
+ *      strings and the line it starts on.
+ * @throws {Error} If a quoted field isn't closed or is followed by other
+ *      characters.
+ * @private
+ */
+function parseDelimited(text, delimiter, filename) {
+
+	var records = [],
+		fields = [],
+		field = '',
+		line = 1,
+		column = 1,
+		recordLine = 1,
+		quoted = false,
+		quoteLine,
+		quoteColumn,
+		character,
+		i = 0;
+
+	/**
+	 * Ends the current record, skipping it if the line is blank.
+	 * @returns {void}
+	 * @private
+	 */
+	function endRecord() {
+		fields.push(field);
+
+		if (fields.length > 1 || fields[0] !== '' || quoted) {
+			records.push({ fields: fields, line: recordLine });
+		}
+
+		fields = [];
+		field = '';
+		quoted = false;
+	}
+
+	while (i < text.length) {
+		character = text.charAt(i);
+
+		if (character === '"' && field === '' && !quoted) {
+			quoted = true;
+			quoteLine = line;
+			quoteColumn = column;
+			i++;
+			column++;
+
+			// read up to the closing quote, keeping track of line breaks
+			for (;;) {
+				if (i >= text.length) {
+					throw createParseError(filename, 'unterminated quoted field', quoteLine, quoteColumn);
+				}
+
+				character = text.charAt(i);
+
+				if (character === '"' && text.charAt(i + 1) === '"') {
+					field += '"';
+					i += 2;
+					column += 2;
+				} else if (character === '"') {
+					i++;
+					column++;
+					break;
+				} else {
+					field += character;
+					i++;
+
+					if (character === '\n' || (character === '\r' && text.charAt(i) !== '\n')) {
+						line++;
+						column = 1;
+					} else {
+						column++;
+					}
+				}
+			}
+
+			character = text.charAt(i);
+
+			if (i < text.length && character !== delimiter && character !== '\n' && character !== '\r') {
+				throw createParseError(filename, describeUnexpected(text, i) + ' after a quoted field', line, column);
+			}
+		} else if (character === delimiter) {
+			fields.push(field);
+			field = '';
+			quoted = false;
+			i++;
+			column++;
+		} else if (character === '\n' || character === '\r') {
+			endRecord();
+			i += character === '\r' && text.charAt(i + 1) === '\n' ? 2 : 1;
+			line++;
+			column = 1;
+			recordLine = line;
+		} else {
+			field += character;
+			i++;
+			column++;
+		}
+	}
+
+	if (fields.length || field !== '' || quoted) {
+		endRecord();
+	}
+
+	return records;
+}
+
+/**
+ * Reads the rows of a CSV or TSV file. The first record is the header, which
+ * names the properties of the object that each of the other records becomes.
+ * @param {string} text The contents of the file.
+ * @param {string} delimiter The character between fields.
+ * @param {string} filename The name of the file, for error messages.
+ * @returns {Object[]} The rows, each with the object as its value and the
+ *      line it's on as its location.
+ * @throws {Error} If the file can't be parsed, the header has blank or
+ *      duplicate names, or a record has the wrong number of fields.
+ * @private
+ */
+function readDelimitedRows(text, delimiter, filename) {
+
+	var records = parseDelimited(text, delimiter, filename),
+		header = records.length ? records[0].fields : [];
+
+	header.forEach(function(name, index) {
+		if (name === '' || header.indexOf(name) !== index) {
+			throw createParseError(filename, (name === '' ? 'blank' : 'duplicate') + ' column name ' + JSON.stringify(name) + ' in the header', 1, 1);
+		}
+	});
+
+	return records.slice(1).map(function(record) {
+
+		var value = {};
+
+		if (record.fields.length !== header.length) {
+			throw createParseError(filename, 'expected ' + header.length + ' fields but found ' + record.fields.length, record.line, 1);
+		}
+
+		header.forEach(function(name, index) {
+			value[name] = record.fields[index];
+		});
+
+		return { value: value, location: 'line ' + record.line };
+	});
+}
+
+/**
+ * Reads the rows of an NDJSON file, which has a JSON value on each line.
+ * Blank lines are skipped.
+ * @param {string} text The contents of the file.
+ * @param {string} filename The name of the file, for error messages.
+ * @returns {Object[]} The rows, each with the value and the line it's on as
+ *      its location.
+ * @throws {Error} If a line isn't valid JSON.
+ * @private
+ */
+function readNDJSONRows(text, filename) {
+
+	var rows = [];
+
+	text.split('\n').forEach(function(lineText, index) {
+		if (/\S/.test(lineText)) {
+			rows.push({ value: parseJSON(lineText, filename, index + 1), location: 'line ' + (index + 1) });
+		}
+	});
+
+	return rows;
+}
+
+/**
+ * Parses a YAML document with js-yaml, which is only loaded when it's needed.
+ * @param {string} text The YAML text.
+ * @param {string} filename The name of the file, for error messages.
+ * @returns {*} The parsed value.
+ * @throws {Error} If js-yaml isn't installed or the text isn't valid YAML.
+ * @private
+ */
+function parseYAML(text, filename) {
+
+	var yaml;
+
+	try {
+		yaml = require(YAML_MODULE);
+	} catch (ex) {
+		throw new Error('Loading YAML files requires the js-yaml package. Install it with "npm install js-yaml --save-dev".');
+	}
+
+	try {
+
+		// js-yaml 4 only has safe schemas, and calls its default one DEFAULT_SCHEMA
+		return yaml.load(text, { schema: yaml.DEFAULT_SAFE_SCHEMA || yaml.DEFAULT_SCHEMA });
+	} catch (ex) {
+		if (ex.mark) {
+			throw createParseError(filename, ex.reason, ex.mark.line + 1, ex.mark.column + 1);
+		}
+
+		throw ex;
+	}
+}
+
+/**
+ * Turns the value of a JSON or YAML file into rows. Arrays have a row for
+ * each item, and the properties of other objects are labeled items already.
+ * @param {*} value The parsed value.
+ * @param {string} filename The name of the file, for error messages.
+ * @returns {Object[]} The rows, each with the value and its index or label
+ *      as its location, plus the label for labeled items.
+ * @throws {Error} If the value isn't an array or an object.
+ * @private
+ */
+function getDocumentRows(value, filename) {
+
+	if (value instanceof Array) {
+		return value.map(function(item, index) {
+			return { value: item, location: 'index ' + index };
+		});
+	}
+
+	if (typeof value !== 'object' || value === null) {
+		throw new Error('"' + filename + '" must contain an array or an object.');
+	}
+
+	return Object.keys(value).map(function(label) {
+		return { value: value[label], location: 'key ' + JSON.stringify(label), label: label };
+	});
+}
+
+/**
+ * Gets the format of a fixture file from its extension.
+ * @param {string} filename The name of the file.
+ * @returns {string} The format.
+ * @throws {Error} If the extension isn't recognized.
+ * @private
+ */
+function getFileFormat(filename) {
+
+	var match = /\.([^.\/\\]+)$/.exec(filename),
+		extension = match ? match[1].toLowerCase() : '';
+
+	if (!FILE_FORMATS.hasOwnProperty(extension)) {
+		throw new Error('Cannot tell the format of "' + filename + '" from its extension. Use the format option to choose one of: ' +
+			FILE_FORMATS_LIST.join(', ') + '.');
+	}
+
+	return FILE_FORMATS[extension];
+}
+
+/**
+ * Gets the label of a row from the property named by the label option, and
+ * removes the property from the row's value.
+ * @param {Object} row The row. See getDocumentRows().
+ * @param {string} column The name of the property with the label.
+ * @param {string} filename The name of the file, for error messages.
+ * @returns {string} The label.
+ * @throws {Error} If the row doesn't have the property.
+ * @private
+ */
+function takeRowLabel(row, column, filename) {
+
+	var value = row.value,
+		rest = {};
+
+	if (typeof value !== 'object' || value === null || value instanceof Array ||
+		!Object.prototype.hasOwnProperty.call(value, column)) {
+		throw new Error('The item at ' + row.location + ' of "' + filename + '" has no "' + column + '" to use as its label.');
+	}
+
+	Object.keys(value).forEach(function(key) {
+		if (key !== column) {
+			rest[key] = value[key];
+		}
+	});
+
+	row.value = rest;
+
+	return String(value[column]);
+}
+
+/**
+ * Loads a dataset from a fixture file. See fromFile().
+ * @param {string} filename The name of the file.
+ * @param {Object} [options] Options for loading the file.
+ * @param {string} [options.format] The format of the file. Defaults to the
+ *      format that the file's extension stands for.
+ * @param {string} [options.label] The column or property with each item's
+ *      label.
+ * @returns {Object} A dataset whose keys are labels and whose values are
+ *      arrays of arguments.
+ * @throws {Error} If the file can't be read or parsed, or has no items.
+ * @private
+ */
+function loadDatasetFile(filename, options) {
+
+	options = options || {};
+
+	if (typeof require !== 'function' || typeof process === 'undefined') {
+		throw new Error('Datasets can only be loaded from files in Node.js.');
+	}
+
+	var format = options.format || getFileFormat(filename),
+		text = require(FS_MODULE).readFileSync(filename, 'utf8').replace(/^\uFEFF/, ''),
+		rows;
+
+	switch (format) {
+		case 'json':
+			rows = getDocumentRows(parseJSON(text, filename), filename);
+			break;
+
+		case 'ndjson':
+			rows = readNDJSONRows(text, filename);
+			break;
+
+		case 'csv':
+			rows = readDelimitedRows(text, ',', filename);
+			break;
+
+		case 'tsv':
+			rows = readDelimitedRows(text, '\t', filename);
+			break;
+
+		case 'yaml':
+			rows = getDocumentRows(parseYAML(text, filename), filename);
+			break;
+
+		default:
+			throw new Error('Unknown format "' + format + '". Use one of: ' + FILE_FORMATS_LIST.join(', ') + '.');
+	}
+
+	if (!rows.length) {
+		throw new Error('"' + filename + '" doesn\'t contain any items.');
+	}
+
+	return createDatasetFromEntries(rows.map(function(row) {
+
+		var label = row.label;
+
+		if (options.label && typeof label !== 'string') {
+			label = takeRowLabel(row, options.label, filename);
+		}
+
+		return createEntry(row.value, typeof label === 'string' ? label : null, {});
+	}));
+}
+
+/**
+ * Multiplies two 32-bit integers like Math.imul(), which older browsers don't
+ * have.
+ * @param {number} a The first integer.
+ * @param {number} b The second integer.
+ * @returns {number} The lower 32 bits of the product, as a signed integer.
+ * @private
+ */
+function imul(a, b) {
+
+	var aHigh = (a >>> 16) & 0xffff,
+		aLow = a & 0xffff,
+		bHigh = (b >>> 16) & 0xffff,
+		bLow = b & 0xffff;
+
+	return ((aLow * bLow) + (((aHigh * bLow + aLow * bHigh) << 16) >>> 0)) | 0;
+}
+
+/**
+ * Creates a pseudorandom number generator (mulberry32) that returns the same
+ * numbers for the same seed in every environment.
+ * @param {number} seed The seed, an unsigned 32-bit integer.
+ * @returns {Function} A function that returns a number from 0 up to, but not
+ *      including, 1 each time it's called.
+ * @private
+ */
+function createRandom(seed) {
+
+	var state = seed >>> 0;
+
+	return function() {
+
+		state = (state + 0x6D2B79F5) >>> 0;
+
+		var t = imul(state ^ (state >>> 15), state | 1);
+
+		t ^= t + imul(t ^ (t >>> 7), t | 61);
+
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Picks a random integer.
+ * @param {Function} random The pseudorandom number generator.
+ * @param {number} min The smallest integer to pick.
+ * @param {number} max The largest integer to pick.
+ * @returns {number} The integer.
+ * @private
+ */
+function randomInteger(random, min, max) {
+	return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Gets the seed for generated datasets. The seed in the options comes first,
+ * then the LECHE_SEED environment variable, and otherwise a random seed is
+ * picked once for the whole test run.
+ * @param {Object} options The options passed to withData().
+ * @returns {number} The seed.
+ * @throws {Error} If the seed isn't an unsigned 32-bit integer.
+ * @private
+ */
+function getSeed(options) {
+
+	var seed = options.seed,
+		name = 'The seed option';
+
+	if (typeof seed === 'undefined' && typeof process !== 'undefined' && process.env && process.env.LECHE_SEED) {
+		seed = Number(process.env.LECHE_SEED);
+		name = 'LECHE_SEED';
+	}
+
+	if (typeof seed === 'undefined') {
+
+		if (defaultSeed === null) {
+			defaultSeed = randomInteger(realRandom, 0, 4294967295);
+		}
+
+		return defaultSeed;
+	}
+
+	if (typeof seed !== 'number' || seed % 1 !== 0 || seed < 0 || seed > 4294967295) {
+		throw new Error(name + ' must be an integer from 0 to 4294967295.');
+	}
+
+	return seed;
+}
+
+/**
+ * Creates a shrink tree, which holds a generated value along with smaller
+ * values that can replace it when a test fails. The smaller values are only
+ * worked out when they're needed, since most values are never shrunk.
+ * @param {*} value The generated value.
+ * @param {Function} [getChildren] A function that returns shrink trees for
+ *      the smaller values, most promising first.
+ * @returns {Object} The shrink tree.
+ * @private
+ */
+function createTree(value, getChildren) {
+	return {
+		value: value,
+		children: getChildren || function() {
+			return [];
+		}
+	};
+}
+
+/**
+ * Creates a shrink tree whose values are the values of another tree,
+ * transformed by a function.
+ * @param {Object} tree The shrink tree.
+ * @param {Function} transform The function to transform values with.
+ * @returns {Object} The new shrink tree.
+ * @private
+ */
+function mapTree(tree, transform) {
+	return createTree(transform(tree.value), function() {
+		return tree.children().map(function(child) {
+			return mapTree(child, transform);
+		});
+	});
+}
+
+/**
+ * Creates a shrink tree for an integer, which shrinks towards target: first
+ * to the target itself, then halfway there, and so on.
+ * @param {number} value The integer.
+ * @param {number} target The integer to shrink towards.
+ * @returns {Object} The shrink tree.
+ * @private
+ */
+function createIntegerTree(value, target) {
+	return createTree(value, function() {
+
+		var candidates = [],
+			distance = value - target;
+
+		while (distance !== 0) {
+			candidates.push(createIntegerTree(value - distance, target));
+			distance = distance > 0 ? Math.floor(distance / 2) : Math.ceil(distance / 2);
+		}
+
+		return candidates;
+	});
+}
+
+/**
+ * Creates a shrink tree for a value built from several other generated
+ * values, such as a record or a tuple. It shrinks one of those values at a
+ * time.
+ * @param {Object[]} trees The shrink trees of the values.
+ * @param {Function} build A function that builds the value from an array of
+ *      the values.
+ * @returns {Object} The shrink tree.
+ * @private
+ */
+function createProductTree(trees, build) {
+
+	var values = trees.map(function(tree) {
+		return tree.value;
+	});
+
+	return createTree(build(values), function() {
+
+		var candidates = [];
+
+		trees.forEach(function(tree, index) {
+			tree.children().forEach(function(child) {
+				var copy = trees.slice();
+				copy[index] = child;
+				candidates.push(createProductTree(copy, build));
+			});
+		});
+
+		return candidates;
+	});
+}
+
+/**
+ * Creates a shrink tree for an array of generated values. It shrinks by
+ * dropping the second half of the array, then single items, and then by
+ * shrinking the items themselves. Arrays never get shorter than minLength.
+ * @param {Object[]} trees The shrink trees of the items.
+ * @param {number} minLength The smallest length of the array.
+ * @returns {Object} The shrink tree.
+ * @private
+ */
+function createArrayTree(trees, minLength) {
+
+	var values = trees.map(function(tree) {
+		return tree.value;
+	});
+
+	return createTree(values, function() {
+
+		var candidates = [],
+			half = Math.max(minLength, Math.floor(trees.length / 2)),
+			i;
+
+		if (trees.length > minLength) {
+
+			if (half < trees.length - 1) {
+				candidates.push(createArrayTree(trees.slice(0, half), minLength));
+			}
+
+			for (i = 0; i < trees.length; i++) {
+				candidates.push(createArrayTree(trees.slice(0, i).concat(trees.slice(i + 1)), minLength));
+			}
+		}
+
+		trees.forEach(function(tree, index) {
+			tree.children().forEach(function(child) {
+				var copy = trees.slice();
+				copy[index] = child;
+				candidates.push(createArrayTree(copy, minLength));
+			});
+		});
+
+		return candidates;
+	});
+}
+
+/**
+ * Creates values for generated datasets. See gen.
+ * @param {Function} generateTree A function that receives a pseudorandom
+ *      number generator and returns a shrink tree for a new value.
+ * @constructor
+ * @private
+ */
+function Generator(generateTree) {
+	this.generateTree = generateTree;
+}
+
+/**
+ * Creates a generator whose values are the values of this generator,
+ * transformed by a function. The transformed values shrink along with the
+ * original ones.
+ * @param {Function} transform The function to transform values with.
+ * @returns {Generator} The new generator.
+ */
+Generator.prototype.map = function(transform) {
+
+	var generator = this;
+
+	return new Generator(function(random) {
+		return mapTree(generator.generateTree(random), transform);
+	});
+};
+
+/**
+ * Generates a shrink tree for a value that's either a generator or a
+ * constant, which never shrinks.
+ * @param {*} value The generator or constant.
+ * @param {Function} random The pseudorandom number generator.
+ * @returns {Object} The shrink tree.
+ * @private
+ */
+function generateTree(value, random) {
+	return value instanceof Generator ? value.generateTree(random) : createTree(value);
+}
+
+/**
+ * Checks a length option of a generator.
+ * @param {*} value The value of the option.
+ * @param {number} defaultValue The value to use if it's omitted.
+ * @param {string} name The name of the option, for the error message.
+ * @returns {number} The length.
+ * @throws {Error} If the value isn't a non-negative integer.
+ * @private
+ */
+function getLengthOption(value, defaultValue, name) {
+
+	if (typeof value === 'undefined') {
+		return defaultValue;
+	}
+
+	if (typeof value !== 'number' || value % 1 !== 0 || value < 0) {
+		throw new Error('The ' + name + ' option must be a non-negative integer.');
+	}
+
+	return value;
+}
+
+/**
+ * Creates the dataset entries for a generator, one for each run. Every label
+ * ends with the seed, which reproduces the same values when it's passed in
+ * the LECHE_SEED environment variable.
+ * @param {Generator} generator The generator passed to withData().
+ * @param {Object} options The options passed to withData().
+ * @param {number} [options.runs=25] The number of values to generate.
+ * @param {number} [options.seed] The seed for the pseudorandom numbers.
+ * @returns {Object[]} The dataset entries, each with the shrink tree and
+ *      seed of its value.
+ * @throws {Error} If the seed isn't valid.
+ * @private
+ */
+function generateEntries(generator, options) {
+
+	var seed = getSeed(options),
+		random = createRandom(seed),
+		runs = typeof options.runs === 'number' ? options.runs : DEFAULT_RUNS,
+		entries = [],
+		entry,
+		tree;
+
+	if (runs < 1 || runs % 1 !== 0) {
+		throw new Error('The runs option must be a positive integer.');
+	}
+
+	for (var i = 0; i < runs; i++) {
+		tree = generator.generateTree(random);
+		entry = createEntry(tree.value, null, options);
+		entry.label += ' (seed ' + seed + ')';
+		entry.generated = { tree: tree, seed: seed };
+		entries.push(entry);
+	}
+
+	return dedupeLabels(entries, options.duplicates);
+}
+
+/**
+ * Calls a function while the global functions that define tests are replaced,
+ * so that the tests a test function defines can be wrapped or collected.
+ * Only test runners with global functions, such as Mocha, Jest and Jasmine,
+ * are covered.
+ * @param {Function} replaceTest A function that receives the title and
+ *      callback of each test, and returns the callback to use instead, or
+ *      null to leave the test out.
+ * @param {Object} [collector] When tests are only being collected, an
+ *      object that receives nested describe() blocks and hooks instead of
+ *      the test runner. Variants such as it.only() are replaced as well, so
+ *      that nothing reaches the test runner.
+ * @param {Function} collector.describe A function that receives the
+ *      callback of a describe() block and the value of this, and calls it.
+ * @param {Function} collector.hook A function that receives the type of a
+ *      hook, such as "beforeEach", and the hook.
+ * @param {Function} fn The function to call.
+ * @returns {void}
+ * @private
+ */
+function interceptTests(replaceTest, collector, fn) {
+
+	var globalObject = getGlobalObject(),
+		originals = {},
+		names = ['it', 'test'].concat(collector ? ['describe'].concat(Object.keys(HOOK_GLOBALS)) : []);
+
+	names.forEach(function(name) {
+
+		var original = globalObject[name];
+
+		if (typeof original !== 'function') {
+			return;
+		}
+
+		originals[name] = original;
+		globalObject[name] = function(title, callback) {
+
+			if (name === 'describe') {
+				return collector.describe(callback, this);
+			}
+
+			// hooks may have a title before the function, as with Mocha
+			if (HOOK_GLOBALS.hasOwnProperty(name)) {
+				return collector.hook(HOOK_GLOBALS[name], typeof title === 'function' ? title : callback);
+			}
+
+			var replacement = replaceTest(title, callback);
+
+			return replacement && original.apply(this, [title, replacement].concat(Array.prototype.slice.call(arguments, 2)));
+		};
+
+		// keep it.only(), it.skip() and the like around
+		for (var key in original) {
+			if (Object.prototype.hasOwnProperty.call(original, key)) {
+				globalObject[name][key] = collector && typeof original[key] === 'function' ? globalObject[name] : original[key];
+			}
+		}
+	});
+
+	try {
+		fn();
+	} finally {
+		Object.keys(originals).forEach(function(name) {
+			globalObject[name] = originals[name];
+		});
+	}
+}
+
+/**
+ * Calls a function with the result of another, waiting for it first if it's
+ * a promise.
+ * @param {*} value The result, or a promise for it.
+ * @param {Function} fn The function to call with the result.
+ * @returns {*} What fn returns, or a promise for it.
+ * @private
+ */
+function whenSettled(value, fn) {
+	return isThenable(value) ? value.then(fn) : fn(value);
+}
+
+/**
+ * Calls each function in turn, waiting for the ones that return promises.
+ * @param {Function[]} fns The functions to call.
+ * @returns {*} A promise if any of the functions returned one.
+ * @throws {*} The error thrown by a function.
+ * @private
+ */
+function callInSequence(fns) {
+
+	var index = 0;
+
+	/**
+	 * Calls the next function.
+	 * @returns {*} See callInSequence().
+	 * @private
+	 */
+	function next() {
+		return index < fns.length ? whenSettled(fns[index++](), next) : undefined;
+	}
+
+	return next();
+}
+
+/**
+ * Calls a function and then a callback with whether the function failed,
+ * waiting for the function first if it returns a promise.
+ * @param {Function} fn The function to call.
+ * @param {Function} callback A function that receives true and the error if
+ *      the function threw or its promise was rejected, and false otherwise.
+ * @returns {*} What the callback returns, or a promise for it.
+ * @private
+ */
+function attempt(fn, callback) {
+
+	var result;
+
+	try {
+		result = fn();
+	} catch (ex) {
+		return callback(true, ex);
+	}
+
+	return isThenable(result) ? result.then(function() {
+		return callback(false);
+	}, function(error) {
+		return callback(true, error);
+	}) : callback(false);
+}
+
+/**
+ * Creates a function that calls a hook like a test runner does, with a done
+ * callback for hooks that take one.
+ * @param {Function} hook The hook.
+ * @param {Object} thisValue The value of this for the hook.
+ * @returns {Function} A function that calls the hook and returns what it
+ *      returns, or a promise when it takes a done callback.
+ * @private
+ */
+function createHookCall(hook, thisValue) {
+	return function() {
+
+		if (!hook.length) {
+			return hook.call(thisValue);
+		}
+
+		if (typeof Promise !== 'function') {
+			throw new Error('Hooks that take a done callback can only be run while shrinking where promises are supported.');
+		}
+
+		return new Promise(function(resolve, reject) {
+			hook.call(thisValue, function(error) {
+				if (error) {
+					reject(error);
+				} else {
+					resolve();
+				}
+			});
+		});
+	};
+}
+
+/**
+ * Gets the hooks of a type that apply to the tests in a block, including the
+ * hooks of the blocks around it.
+ * @param {Object} block The block. See collectCandidateTests().
+ * @param {string} type The type of hook, such as "beforeEach".
+ * @param {boolean} innermostFirst True to put the hooks of inner blocks
+ *      first, the order in which test runners call "after" hooks.
+ * @returns {Function[]} The hooks.
+ * @private
+ */
+function getBlockHooks(block, type, innermostFirst) {
+
+	var hooks = [];
+
+	for (; block; block = block.parent) {
+		hooks = innermostFirst ? hooks.concat(block.hooks[type]) : block.hooks[type].concat(hooks);
+	}
+
+	return hooks;
+}
+
+/**
+ * Calls a test function for a generated value that might replace the failing
+ * one, and collects the tests it defines, along with the block each one is
+ * in so its hooks can be run too. The hooks passed to withData() are added
+ * for the value, just like for the original one.
+ * @param {*} value The generated value.
+ * @param {Object} meta The metadata of the dataset item for the value.
+ * @param {Object} settings Settings for shrinking. See shrinkFailure().
+ * @returns {Object[]} The tests, each with its callback and block.
+ * @throws {*} The error thrown by the test function.
+ * @private
+ */
+function collectCandidateTests(value, meta, settings) {
+
+	var tests = [],
+		block = { parent: null, hooks: {} };
+
+	HOOK_TYPES.forEach(function(type) {
+		block.hooks[type] = [];
+	});
+
+	interceptTests(function(title, callback) {
+		tests.push({ callback: callback, block: block });
+		return null;
+	}, {
+		describe: function(callback, thisValue) {
+
+			var parent = block;
+
+			block = { parent: parent, hooks: {} };
+			HOOK_TYPES.forEach(function(type) {
+				block.hooks[type] = [];
+			});
+
+			try {
+				return callback.call(thisValue);
+			} finally {
+				block = parent;
+			}
+		},
+		hook: function(type, hook) {
+			block.hooks[type].push(hook);
+		}
+	}, function() {
+
+		var options = settings.options;
+
+		// the hooks passed to withData() go straight to the block, whatever the adapter
+		setItemMeta(settings.context, meta);
+		HOOK_TYPES.forEach(function(type) {
+			if (options[type]) {
+				block.hooks[type].push(createItemHook(options[type], value, meta, options));
+			}
+		});
+		settings.testFunction.apply(settings.context, getTestArgs(value, meta, options));
+	});
+
+	return tests;
+}
+
+/**
+ * Runs a test for a generated value that might replace the failing one, with
+ * the hooks of the blocks it's in. The "after" hooks run even when the test
+ * or the "before" hooks fail.
+ * @param {Object} test The test. See collectCandidateTests().
+ * @param {Object} thisValue The value of this for the test and its hooks.
+ * @returns {Object|Promise} An object with the error if the test failed,
+ *      which also has unrelated set to true if something other than the
+ *      test failed, null if everything passed, or a promise for either.
+ * @private
+ */
+function runCandidateTest(test, thisValue) {
+
+	/**
+	 * Creates the functions that call the hooks of a type for the test.
+	 * @param {string} type The type of hook.
+	 * @returns {Function[]} The functions.
+	 * @private
+	 */
+	function getHookCalls(type) {
+		return getBlockHooks(test.block, type, /^after/.test(type)).map(function(hook) {
+			return createHookCall(hook, thisValue);
+		});
+	}
+
+	var setup = getHookCalls('before').concat(getHookCalls('beforeEach')),
+		teardown = getHookCalls('afterEach').concat(getHookCalls('after'));
+
+	return attempt(function() {
+		return callInSequence(setup);
+	}, function(setupFailed, setupError) {
+		return attempt(function() {
+			return setupFailed ? undefined : test.callback.call(thisValue);
+		}, function(testFailed, testError) {
+			return attempt(function() {
+				return callInSequence(teardown);
+			}, function(teardownFailed, teardownError) {
+
+				if (setupFailed) {
+					return { error: setupError, unrelated: true };
+				}
+
+				if (testFailed) {
+					return { error: testError };
+				}
+
+				return teardownFailed ? { error: teardownError, unrelated: true } : null;
+			});
+		});
+	});
+}
+
+/**
+ * Runs one of the tests that a test function defines for a generated value
+ * that might replace the failing one.
+ * @param {Object} tree The shrink tree of the value.
+ * @param {Object} settings Settings for shrinking. See shrinkFailure().
+ * @returns {Object|Promise} An object with the error if the test failed,
+ *      which also has unrelated set to true if something other than the
+ *      test failed, null if it passed, or a promise for either.
+ * @private
+ */
+function runCandidate(tree, settings) {
+
+	var meta = {
+			label: settings.meta.label,
+			index: settings.meta.index,
+			row: tree.value,
+			context: {}
+		},
+		tests;
+
+	if (settings.flat) {
+		tests = [{
+			callback: function() {
+				return settings.testFunction.apply(this, getTestArgs(tree.value, meta, settings.options));
+			},
+			block: null
+		}];
+	} else {
+		try {
+			tests = collectCandidateTests(tree.value, meta, settings);
+		} catch (ex) {
+			setItemMeta(settings.context, settings.meta);
+			return { error: ex, unrelated: true };
+		}
+	}
+
+	if (!tests[settings.index] || typeof tests[settings.index].callback !== 'function') {
+		setItemMeta(settings.context, settings.meta);
+		return null;
+	}
+
+	// the tests of the original value keep using its metadata
+	return whenSettled(runCandidateTest(tests[settings.index], settings.thisValue), function(outcome) {
+		setItemMeta(settings.context, settings.meta);
+		return outcome;
+	});
+}
+
+/**
+ * Determines if an error that a test failed with for a smaller value is the
+ * same kind of failure as the original one, which means it has the same
+ * class, or the same type for values that aren't errors.
+ * @param {*} error The error for the smaller value.
+ * @param {*} original The error the test originally failed with.
+ * @returns {boolean} True if it's the same kind of failure, false if not.
+ * @private
+ */
+function isSameFailure(error, original) {
+
+	if (error instanceof Error || original instanceof Error) {
+		return error instanceof Error && original instanceof Error && error.constructor === original.constructor;
+	}
+
+	return typeof error === typeof original;
+}
+
+/**
+ * Shrinks the generated value of a failing test by trying smaller values
+ * until none of them fail, then adds the smallest failing value to the error.
+ * @param {*} error The error that the test failed with.
+ * @param {Object} settings Settings for shrinking.
+ * @param {Object} settings.entry The dataset entry of the failing test.
+ * @param {Function} settings.testFunction The function passed to withData().
+ * @param {Object} settings.context The value of this for the test function.
+ * @param {Object} settings.meta The metadata of the dataset item. See
+ *      createItemMeta().
+ * @param {Object} settings.options The options passed to withData().
+ * @param {boolean} [settings.flat] True when the test function is the test
+ *      itself, as with eachCase(), rather than a function that defines tests.
+ * @param {number} settings.index The position of the failing test among the
+ *      tests that the test function defines.
+ * @param {Object} settings.thisValue The value of this for the test.
+ * @returns {Promise} A promise that's rejected with the error, for tests
+ *      that return promises.
+ * @throws {*} The error, for tests that don't return promises.
+ * @private
+ */
+function shrinkFailure(error, settings) {
+
+	var runs = 0,
+		steps = 0,
+		skippedError;
+
+	/**
+	 * Tries the smaller values of a failing value in turn.
+	 * @param {Object} tree The shrink tree of the failing value.
+	 * @param {*} treeError The error that the test failed with for the value.
+	 * @returns {Object|Promise} An object with the smallest failing tree and
+	 *      its error, or a promise for it.
+	 * @private
+	 */
+	function shrink(tree, treeError) {
+
+		var candidates = tree.children(),
+			position = 0;
+
+		/**
+		 * Tries the next smaller value.
+		 * @returns {Object|Promise} See shrink().
+		 * @private
+		 */
+		function tryNext() {
+
+			if (position >= candidates.length || runs >= MAX_SHRINK_RUNS) {
+				return { tree: tree, error: treeError };
+			}
+
+			var candidate = candidates[position++];
+
+			runs++;
+
+			return whenSettled(runCandidate(candidate, settings), function(outcome) {
+
+				if (outcome && !outcome.unrelated && isSameFailure(outcome.error, error)) {
+					steps++;
+					return shrink(candidate, outcome.error);
+				}
+
+				// a different failure doesn't reproduce this one, but shouldn't go unnoticed
+				if (outcome && !skippedError) {
+					skippedError = outcome;
+				}
+
+				return tryNext();
+			});
+		}
+
+		return tryNext();
+	}
+
+	return whenSettled(shrink(settings.entry.generated.tree, error), function(smallest) {
+
+		var finalError = smallest.error instanceof Error ? smallest.error : new Error(String(smallest.error));
+
+		finalError.message += '\n\nCounterexample after shrinking ' + steps + (steps === 1 ? ' time' : ' times') + ': ' +
+			JSON.stringify(toArgs(smallest.tree.value)) + '\nRe-run with LECHE_SEED=' + settings.entry.generated.seed + ' to reproduce.';
+
+		if (skippedError) {
+			finalError.message += '\nSmaller values that failed in a different way were skipped. The first one failed with: ' +
+				String(skippedError.error);
+		}
+
+		throw finalError;
+	});
+}
+
+/**
+ * Wraps a test for a generated value so that when it fails, the value is
+ * shrunk to a minimal counterexample.
+ * @param {Function} test The test.
+ * @param {Object} settings Settings for shrinking. See shrinkFailure().
+ * @returns {Function} The wrapped test.
+ * @private
+ */
+function createShrinkingTest(test, settings) {
+	return function() {
+
+		var result;
+
+		settings.thisValue = this;
+
+		try {
+			result = test.call(this);
+		} catch (ex) {
+			return shrinkFailure(ex, settings);
+		}
+
+		return isThenable(result) ? result.then(null, function(error) {
+			return shrinkFailure(error, settings);
+		}) : result;
+	};
+}
+
+/**
+ * Creates the function to pass to describe() for a generated dataset item.
+ * The tests that the test function defines are wrapped so that when one
+ * fails, the value is shrunk to a minimal counterexample. Tests that take a
+ * done callback aren't shrunk.
+ * @param {Object} entry The dataset entry for the item.
+ * @param {Function} testFunction The function passed to withData().
+ * @param {Object} meta The metadata of the item. See createItemMeta().
+ * @param {Object} options The options passed to withData().
+ * @returns {Function} The describe() callback.
+ * @private
+ */
+function createGeneratedDataCallback(entry, testFunction, meta, options) {
+	return function() {
+
+		var context = this,
+			index = 0;
+
+		interceptTests(function(title, callback) {
+
+			var position = index++;
+
+			if (typeof callback !== 'function' || callback.length) {
+				return callback;
+			}
+
+			return createShrinkingTest(callback, {
+				entry: entry,
+				testFunction: testFunction,
+				context: context,
+				meta: meta,
+				options: options,
+				index: position,
+				thisValue: null
+			});
+		}, null, function() {
+			callTestFunction(testFunction, context, entry.value, meta, options);
+		});
+	};
+}
+
+/**
+ * Creates the metadata of a dataset item, which the test function can use
+ * to tell which item it's called for.
+ * @param {Object} entry The dataset entry for the item.
+ * @param {number} index The position of the item in the dataset.
+ * @returns {Object} An object with the label, index and original value (row)
+ *      of the item, and a context object for the values its hooks set up.
+ * @private
+ */
+function createItemMeta(entry, index) {
+	return {
+		label: entry.label,
+		index: index,
+		row: entry.value,
+		context: {}
+	};
+}
+
+/**
+ * Gets the arguments to pass to the test function for a dataset item, which
+ * end with the item's metadata when options.meta is true.
+ * @param {*} value The dataset item.
+ * @param {Object} meta The metadata of the item. See createItemMeta().
+ * @param {Object} options The options passed to withData().
+ * @returns {Array} The arguments.
+ * @private
+ */
+function getTestArgs(value, meta, options) {
+	return options.meta ? toArgs(value).concat([meta]) : toArgs(value);
+}
+
+/**
+ * Puts the metadata of a dataset item on the value of this for a test
+ * function as this.leche, and on the context that Mocha runs the tests and
+ * hooks of a describe() block with. Test runners that don't give test
+ * functions a this value are left alone.
+ * @param {*} context The value of this.
+ * @param {Object} meta The metadata of the item. See createItemMeta().
+ * @returns {void}
+ * @private
+ */
+function setItemMeta(context, meta) {
+
+	if (typeof context === 'object' && context !== null && context !== getGlobalObject()) {
+		context.leche = meta;
+
+		if (typeof context.ctx === 'object' && context.ctx !== null) {
+			context.ctx.leche = meta;
+		}
+	}
+}
+
+/**
+ * Creates a hook for a dataset item that calls the hook passed to withData()
+ * with the item's arguments. When the hook returns a plain object, or a
+ * promise for one, its properties are copied to the item's context.
+ * @param {Function} hook The hook passed to withData().
+ * @param {*} value The dataset item.
+ * @param {Object} meta The metadata of the item. See createItemMeta().
+ * @param {Object} options The options passed to withData().
+ * @returns {Function} The hook to register with the adapter.
+ * @private
+ */
+function createItemHook(hook, value, meta, options) {
+
+	/**
+	 * Copies the properties of a hook's result to the item's context.
+	 * @param {*} result The value the hook returned or resolved to.
+	 * @returns {void}
+	 * @private
+	 */
+	function updateContext(result) {
+
+		if (typeof result !== 'object' || result === null || !isPlainObject(result)) {
+			return;
+		}
+
+		Object.keys(result).forEach(function(key) {
+			meta.context[key] = result[key];
+		});
+	}
+
+	return function() {
+		return whenSettled(hook.apply(this, getTestArgs(value, meta, options)), updateContext);
+	};
+}
+
+/**
+ * Registers the hooks passed to withData() in the describe() block of a
+ * dataset item.
+ * @param {*} value The dataset item.
+ * @param {Object} meta The metadata of the item. See createItemMeta().
+ * @param {Object} options The options passed to withData().
+ * @returns {void}
+ * @private
+ */
+function addItemHooks(value, meta, options) {
+	HOOK_TYPES.forEach(function(type) {
+		if (options[type]) {
+			addHook(type, createItemHook(options[type], value, meta, options));
+		}
+	});
+}
+
+/**
+ * Calls the test function for a dataset item, after registering the item's
+ * hooks. The item's metadata is put on the value of this as this.leche, and
+ * on the context that Mocha runs tests and hooks with, so this.leche works
+ * inside them too.
+ * @param {Function} testFunction The function passed to withData().
+ * @param {Object} context The value of this for the describe() callback.
+ * @param {*} value The dataset item.
+ * @param {Object} meta The metadata of the item. See createItemMeta().
+ * @param {Object} options The options passed to withData().
+ * @returns {void}
+ * @private
+ */
+function callTestFunction(testFunction, context, value, meta, options) {
+	setItemMeta(context, meta);
+	addItemHooks(value, meta, options);
+	testFunction.apply(context, getTestArgs(value, meta, options));
+}
+
+/**
+ * Creates the function to pass to describe() for one item in a dataset.
+ * @param {Object} entry The dataset entry for the item.
+ * @param {Function} testFunction The function passed to withData().
+ * @param {number} index The position of the item in the dataset.
+ * @param {Object} options The options passed to withData().
+ * @returns {Function} The describe() callback.
+ * @private
+ */
+function createDataCallback(entry, testFunction, index, options) {
+
+	var meta = createItemMeta(entry, index);
+
+	if (entry.generated) {
+		return createGeneratedDataCallback(entry, testFunction, meta, options);
+	}
+
+	return function() {
+		callTestFunction(testFunction, this, entry.value, meta, options);
+	};
+}
+
+/**
+ * Creates the function to pass to it() for one item in a dataset, which
+ * calls the test function with the item's arguments. When the test function
+ * takes a done callback, it's passed as the last parameter the test function
+ * declares, and items with fewer values than the longest one have undefined
+ * for the missing ones.
+ * @param {Object} entry The dataset entry for the item.
+ * @param {Function} testFunction The function passed to eachCase().
+ * @param {number} index The position of the item in the dataset.
+ * @param {Object} options The options passed to eachCase().
+ * @param {boolean} takesDone True if the test function takes a done
+ *      callback. See defineDataCases().
+ * @returns {Function} The it() callback.
+ * @private
+ */
+function createCaseCallback(entry, testFunction, index, options, takesDone) {
+
+	var meta = createItemMeta(entry, index),
+		args = getTestArgs(entry.value, meta, options),
+		values,
+		test;
+
+	if (takesDone) {
+		values = toArgs(entry.value).slice();
+
+		while (values.length < testFunction.length - (options.meta ? 2 : 1)) {
+			values.push(undefined);
+		}
+
+		args = options.meta ? values.concat([meta]) : values;
+
+		return function(done) {
+			setItemMeta(this, meta);
+			return testFunction.apply(this, args.concat([done]));
+		};
+	}
+
+	test = function() {
+		setItemMeta(this, meta);
+		return testFunction.apply(this, args);
+	};
+
+	return entry.generated ? createShrinkingTest(test, {
+		entry: entry,
+		testFunction: testFunction,
+		meta: meta,
+		options: options,
+		flat: true,
+		index: 0,
+		thisValue: null
+	}) : test;
+}
+
+/**
+ * Determines if two values are deeply equal. Objects are equal when they have
+ * the same prototype and their own enumerable properties are deeply equal,
+ * regardless of order. NaN is equal to itself, dates are compared by time,
+ * and regular expressions by their source and flags.
+ * @param {*} actual The actual value.
+ * @param {*} expected The expected value.
+ * @param {Array[]} [seen] The pairs of objects being compared, so that
+ *      circular references don't recurse forever.
+ * @returns {boolean} True if the values are deeply equal, false if not.
+ * @private
+ */
+function isDeepEqual(actual, expected, seen) {
+
+	if (actual === expected) {
+		return actual !== 0 || 1 / actual === 1 / expected;
+	}
+
+	if (typeof actual !== 'object' || typeof expected !== 'object' || actual === null || expected === null) {
+
+		// NaN is the only value that isn't equal to itself
+		return actual !== actual && expected !== expected;
+	}
+
+	if (Object.getPrototypeOf(actual) !== Object.getPrototypeOf(expected)) {
+		return false;
+	}
+
+	if (actual instanceof Date) {
+		return isDeepEqual(actual.getTime(), expected.getTime());
+	}
+
+	if (actual instanceof RegExp) {
+		return String(actual) === String(expected);
+	}
+
+	seen = seen || [];
+
+	for (var i = 0; i < seen.length; i++) {
+		if (seen[i][0] === actual && seen[i][1] === expected) {
+			return true;
+		}
+	}
+
+	var actualKeys = Object.keys(actual),
+		expectedKeys = Object.keys(expected);
+
+	if (actualKeys.length !== expectedKeys.length || (actual instanceof Array && actual.length !== expected.length)) {
+		return false;
+	}
+
+	seen = seen.concat([[actual, expected]]);
+
+	return expectedKeys.every(function(key) {
+		return Object.prototype.hasOwnProperty.call(actual, key) && isDeepEqual(actual[key], expected[key], seen);
+	});
+}
+
+/**
+ * Creates a representation of a value for a diff, with one line for each
+ * property or array item so that only the lines that differ stand out.
+ * Object keys are sorted, since their order doesn't affect equality.
+ * @param {*} value The value to represent.
+ * @param {string} [indent=""] The indentation of nested lines.
+ * @param {Object[]} [seen] The objects containing the value, used to spot
+ *      circular references.
+ * @returns {string[]} The lines of the representation.
+ * @private
+ */
+function formatDiffValue(value, indent, seen) {
+
+	var lines,
+		name;
+
+	indent = indent || '';
+	seen = seen || [];
+
+	if (typeof value === 'string') {
+		return [JSON.stringify(value)];
+	} else if (typeof value === 'number') {
+		return [value === 0 && 1 / value < 0 ? '-0' : String(value)];
+	} else if (typeof value === 'function') {
+		return ['[Function' + (value.name ? ': ' + value.name : '') + ']'];
+	} else if (typeof value !== 'object' || value === null) {
+		return [String(value)];
+	} else if (value instanceof Date) {
+		return ['Date(' + (isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()) + ')'];
+	} else if (value instanceof RegExp) {
+		return [String(value)];
+	} else if (seen.indexOf(value) > -1) {
+		return ['[Circular]'];
+	}
+
+	seen = seen.concat([value]);
+
+	if (value instanceof Array) {
+		lines = value.map(function(item) {
+			return formatDiffValue(item, indent + '  ', seen);
+		});
+
+		return value.length ? ['['].concat(joinDiffLines(lines, indent + '  '), [indent + ']']) : ['[]'];
+	}
+
+	lines = Object.keys(value).sort().map(function(key) {
+		var valueLines = formatDiffValue(value[key], indent + '  ', seen);
+		valueLines[0] = (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)) + ': ' + valueLines[0];
+		return valueLines;
+	});
+
+	name = isPlainObject(value) ? '' : (value.constructor && value.constructor.name || 'Object') + ' ';
+
+	return lines.length ? [name + '{'].concat(joinDiffLines(lines, indent + '  '), [indent + '}']) : [name + '{}'];
+}
+
+/**
+ * Joins the lines of the items of an array or object for a diff, separating
+ * the items with commas.
+ * @param {Array[]} items The lines of each item. See formatDiffValue().
+ * @param {string} indent The indentation of the items.
+ * @returns {string[]} The lines.
+ * @private
+ */
+function joinDiffLines(items, indent) {
+	return items.reduce(function(result, itemLines, index) {
+		var last = itemLines.length - 1;
+
+		return result.concat(itemLines.map(function(line, lineIndex) {
+			var separator = lineIndex === last && index < items.length - 1 ? ',' : '';
+			return (lineIndex ? '' : indent) + line + separator;
+		}));
+	}, []);
+}
+
+/**
+ * Creates a line-by-line diff of two values, with lines only in the expected
+ * value marked with "-" and lines only in the actual value marked with "+".
+ * @param {*} actual The actual value.
+ * @param {*} expected The expected value.
+ * @returns {string} The diff.
+ * @private
+ */
+function diffValues(actual, expected) {
+
+	var actualLines = formatDiffValue(actual),
+		expectedLines = formatDiffValue(expected),
+		lengths = [],
+		lines = [],
+		i,
+		j;
+
+	// the lengths of the longest common subsequences of the remaining lines
+	for (i = expectedLines.length; i >= 0; i--) {
+		lengths[i] = [];
+
+		for (j = actualLines.length; j >= 0; j--) {
+			if (i === expectedLines.length || j === actualLines.length) {
+				lengths[i][j] = 0;
+			} else if (expectedLines[i] === actualLines[j]) {
+				lengths[i][j] = lengths[i + 1][j + 1] + 1;
+			} else {
+				lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+			}
+		}
+	}
+
+	i = 0;
+	j = 0;
+
+	while (i < expectedLines.length || j < actualLines.length) {
+		if (i < expectedLines.length && j < actualLines.length && expectedLines[i] === actualLines[j]) {
+			lines.push('  ' + expectedLines[i++]);
+			j++;
+		} else if (i < expectedLines.length && (j === actualLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+			lines.push('- ' + expectedLines[i++]);
+		} else {
+			lines.push('+ ' + actualLines[j++]);
+		}
+	}
+
+	return '- expected\n+ actual\n\n' + lines.join('\n');
+}
+
+/**
+ * Gets the kind of result that a row of a table expects.
+ * @param {Object} row The row.
+ * @returns {string} One of TABLE_EXPECTATIONS.
+ * @throws {Error} If the row doesn't expect exactly one kind of result.
+ * @private
+ */
+function getTableExpectation(row) {
+
+	if (typeof row !== 'object' || row === null || row instanceof Array) {
+		throw new Error('Each row of a table must be an object.');
+	}
+
+	var expectations = TABLE_EXPECTATIONS.filter(function(key) {
+		return Object.prototype.hasOwnProperty.call(row, key);
+	});
+
+	if (expectations.length !== 1) {
+		throw new Error('Each row of a table must have exactly one of: ' + TABLE_EXPECTATIONS.join(', ') + '.');
+	}
+
+	if (typeof row.args !== 'undefined' && !(row.args instanceof Array)) {
+		throw new Error('The args of a table row must be an array.');
+	}
+
+	if (/^(throws|rejects)$/.test(expectations[0])) {
+
+		if (row[expectations[0]] !== true && typeof row[expectations[0]] !== 'function') {
+			throw new Error('The ' + expectations[0] + ' of a table row must be an error class or true.');
+		}
+
+		if (typeof row.message !== 'undefined' && typeof row.message !== 'string' && !(row.message instanceof RegExp)) {
+			throw new Error('The message of a table row must be a string or a regular expression.');
+		}
+	} else if (typeof row.message !== 'undefined') {
+		throw new Error('The message of a table row can only be used with throws or rejects.');
+	}
+
+	return expectations[0];
+}
+
+/**
+ * Gets a string representation of a value for a test title or an error,
+ * which is the same as in labels except that strings are quoted.
+ * @param {*} value The value.
+ * @param {number} [maxLength] The number of characters to truncate JSON
+ *      representations to.
+ * @returns {string} The string representation.
+ * @private
+ */
+function formatTableValue(value, maxLength) {
+	return typeof value === 'string' ? JSON.stringify(value) : stringifyObject(value, maxLength, 1);
+}
+
+/**
+ * Describes the call that a row of a table makes, such as "add(1, 2)".
+ * @param {Function} fn The function being tested.
+ * @param {Object} row The row.
+ * @param {Object} options The options passed to table().
+ * @returns {string} The description.
+ * @private
+ */
+function describeTableCall(fn, row, options) {
+	return (options.name || fn.name || 'fn') + '(' + (row.args || []).map(function(arg) {
+		return formatTableValue(arg, options.maxLength);
+	}).join(', ') + ')';
+}
+
+/**
+ * Describes the error that a row of a table expects, such as "TypeError
+ * matching /null/".
+ * @param {Object} row The row.
+ * @param {string} expectation Either "throws" or "rejects".
+ * @returns {string} The description.
+ * @private
+ */
+function describeExpectedError(row, expectation) {
+
+	var description = row[expectation] === true ? 'an error' : row[expectation].name || 'an error';
+
+	if (row.message instanceof RegExp) {
+		description += ' matching ' + row.message;
+	} else if (typeof row.message === 'string') {
+		description += ' with a message containing ' + JSON.stringify(row.message);
+	}
+
+	return description;
+}
+
+/**
+ * Creates the title of the test for a row of a table, such as "add(1, 2)
+ * returns 3". Rows with a title property use it instead.
+ * @param {Function} fn The function being tested.
+ * @param {Object} row The row.
+ * @param {Object} options The options passed to table().
+ * @returns {string} The title.
+ * @private
+ */
+function createTableTitle(fn, row, options) {
+
+	var expectation = getTableExpectation(row),
+		call = describeTableCall(fn, row, options);
+
+	if (typeof row.title === 'string') {
+		return row.title;
+	}
+
+	switch (expectation) {
+		case 'returns':
+			return call + ' returns ' + formatTableValue(row.returns, options.maxLength);
+		case 'resolves':
+			return call + ' resolves to ' + formatTableValue(row.resolves, options.maxLength);
+		case 'throws':
+			return call + ' throws ' + describeExpectedError(row, expectation);
+		default:
+			return call + ' rejects with ' + describeExpectedError(row, expectation);
+	}
+}
+
+/**
+ * Checks that an error is the one a row of a table expects.
+ * @param {*} error The error.
+ * @param {Object} row The row.
+ * @param {string} expectation Either "throws" or "rejects".
+ * @param {string} call The description of the call. See describeTableCall().
+ * @returns {void}
+ * @throws {Error} If the error isn't the expected one.
+ * @private
+ */
+function checkTableError(error, row, expectation, call) {
+
+	var message = error instanceof Error ? error.message : String(error),
+		matches = row[expectation] === true || error instanceof row[expectation];
+
+	if (matches && row.message instanceof RegExp) {
+		matches = row.message.test(message);
+	} else if (matches && typeof row.message === 'string') {
+		matches = message.indexOf(row.message) > -1;
+	}
+
+	if (!matches) {
+		throw new Error('Expected ' + call + ' to ' + (expectation === 'throws' ? 'throw ' : 'reject with ') +
+			describeExpectedError(row, expectation) + ', but it ' + (expectation === 'throws' ? 'threw ' : 'rejected with ') +
+			(error instanceof Error ? (error.name || 'Error') + ': ' + JSON.stringify(error.message) : formatTableValue(error)) + '.');
+	}
+}
+
+/**
+ * Checks that a value is the one a row of a table expects.
+ * @param {*} actual The value the function returned or resolved to.
+ * @param {*} expected The value the row expects.
+ * @param {string} outcome What happened, either "returned" or "resolved to".
+ * @param {string} call The description of the call. See describeTableCall().
+ * @returns {void}
+ * @throws {Error} If the values aren't deeply equal.
+ * @private
+ */
+function checkTableValue(actual, expected, outcome, call) {
+	if (!isDeepEqual(actual, expected)) {
+		throw new Error(call + ' ' + outcome + ' an unexpected value:\n\n' + diffValues(actual, expected));
+	}
+}
+
+/**
+ * Runs the test for a row of a table: calls the function with the row's
+ * arguments and checks the result against what the row expects.
+ * @param {Function} fn The function being tested.
+ * @param {Object} row The row.
+ * @param {Object} options The options passed to table().
+ * @returns {Promise|void} A promise for rows that expect the function to
+ *      resolve or reject.
+ * @throws {Error} If the result isn't the expected one.
+ * @private
+ */
+function runTableRow(fn, row, options) {
+
+	var expectation = getTableExpectation(row),
+		call = describeTableCall(fn, row, options),
+		result;
+
+	if (expectation === 'throws') {
+
+		try {
+			result = fn.apply(null, row.args || []);
+		} catch (ex) {
+			checkTableError(ex, row, expectation, call);
+			return undefined;
+		}
+
+		throw new Error('Expected ' + call + ' to throw ' + describeExpectedError(row, expectation) +
+			', but it returned ' + formatTableValue(result) + '.');
+	}
+
+	result = fn.apply(null, row.args || []);
+
+	if (expectation === 'returns') {
+		checkTableValue(result, row.returns, 'returned', call);
+		return undefined;
+	}
+
+	if (!isThenable(result)) {
+		throw new Error('Expected ' + call + ' to return a promise, but it returned ' + formatTableValue(result) + '.');
+	}
+
+	return result.then(function(value) {
+
+		if (expectation === 'rejects') {
+			throw new Error('Expected ' + call + ' to reject with ' + describeExpectedError(row, expectation) +
+				', but it resolved to ' + formatTableValue(value) + '.');
+		}
+
+		checkTableValue(value, row.resolves, 'resolved to', call);
+	}, function(error) {
+
+		if (expectation === 'resolves') {
+			throw error;
+		}
+
+		checkTableError(error, row, expectation, call);
+	});
+}
+
+/**
+ * A timer created by a fake setTimeout(), setInterval() or setImmediate().
+ * Like the timers in Node.js, it has ref() and unref() methods, and like the
+ * IDs of timers in browsers, it converts to a number.
+ * @param {number} id The ID of the timer.
+ * @constructor
+ * @private
+ */
+function FakeTimer(id) {
+	this.id = id;
+	this.referenced = true;
+}
+
+/**
+ * Marks the timer as keeping the process alive, which fake timers never do.
+ * @returns {FakeTimer} The timer.
+ */
+FakeTimer.prototype.ref = function() {
+	this.referenced = true;
+	return this;
+};
+
+/**
+ * Marks the timer as not keeping the process alive.
+ * @returns {FakeTimer} The timer.
+ */
+FakeTimer.prototype.unref = function() {
+	this.referenced = false;
+	return this;
+};
+
+/**
+ * Determines if the timer is marked as keeping the process alive.
+ * @returns {boolean} True if ref() was called last, false if unref() was.
+ */
+FakeTimer.prototype.hasRef = function() {
+	return this.referenced;
+};
+
+/**
+ * Gets the ID of the timer.
+ * @returns {number} The ID.
+ */
+FakeTimer.prototype.valueOf = function() {
+	return this.id;
+};
+
+/**
+ * Converts a time for the fake clock to a number of milliseconds.
+ * @param {number|Date} time The time.
+ * @param {string} name What the time was passed as, for the error.
+ * @returns {number} The number of milliseconds since the epoch.
+ * @throws {Error} If the time isn't a number or a date.
+ * @private
+ */
+function getClockTime(time, name) {
+
+	var value = time instanceof Date ? time.getTime() : time;
+
+	if (typeof value !== 'number' || isNaN(value)) {
+		throw new Error(name + ' must be a number of milliseconds or a Date.');
+	}
+
+	return value;
+}
+
+/**
+ * Creates a replacement for Date that uses the time of a fake clock when
+ * it's called without arguments, and is the same as Date otherwise. Dates
+ * that it creates are real dates, so instanceof works either way.
+ * @param {Function} RealDate The real Date.
+ * @param {Function} getNow Gets the time of the fake clock.
+ * @returns {Function} The fake Date.
+ * @private
+ */
+function createFakeDate(RealDate, getNow) {
+
+	/**
+	 * Creates a date, or returns the current time as a string when it's
+	 * called as a function.
+	 * @returns {Date|string} The date.
+	 * @private
+	 */
+	function FakeDate() {
+
+		if (!(this instanceof FakeDate)) {
+			return String(new RealDate(getNow()));
+		}
+
+		if (!arguments.length) {
+			return new RealDate(getNow());
+		}
+
+		return new (Function.prototype.bind.apply(RealDate, [null].concat(Array.prototype.slice.call(arguments))))();
+	}
+
+	FakeDate.prototype = RealDate.prototype;
+	FakeDate.now = getNow;
+	FakeDate.parse = RealDate.parse;
+	FakeDate.UTC = RealDate.UTC;
+
+	return FakeDate;
+}
+
+/**
+ * Gets the properties to replace for the names passed to fakeGlobals(). The
+ * functions that create timers come with the functions that clear them.
+ * @param {string} name The name, one of FAKEABLE_GLOBALS.
+ * @returns {string[]} The paths of the properties, relative to the global
+ *      object.
+ * @private
+ */
+function getGlobalPaths(name) {
+	return /^set/.test(name) ? [name, name.replace(/^set/, 'clear')] : [name];
+}
+
+/**
+ * Creates fakes for globals that depend on time or randomness, along with a
+ * clock that controls them. Nothing is replaced until install() is called.
+ * @param {string[]} names The globals to fake, from FAKEABLE_GLOBALS.
+ * @param {Object} options The options passed to fakeGlobals().
+ * @returns {Object} The clock, with the seeded random number generator.
+ * @throws {Error} If the names or options aren't valid.
+ * @private
+ */
+function createFakeGlobals(names, options) {
+
+	var globalObject = getGlobalObject(),
+		seed = getSeed(options),
+		random = createRandom(seed),
+		now = typeof options.now === 'undefined' ? 0 : getClockTime(options.now, 'The now option'),
+		timers = [],
+		nextId = 1,
+		originals = null,
+		fakes;
+
+	if (!(names instanceof Array) || !names.length) {
+		throw new Error('First argument must be a non-empty array of globals to fake.');
+	}
+
+	names.forEach(function(name) {
+		if (FAKEABLE_GLOBALS.indexOf(name) === -1) {
+			throw new Error('Cannot fake "' + name + '". Use one of: ' + FAKEABLE_GLOBALS.join(', ') + '.');
+		}
+	});
+
+	/**
+	 * Gets the time of the clock.
+	 * @returns {number} The number of milliseconds since the epoch.
+	 * @private
+	 */
+	function getNow() {
+		return now;
+	}
+
+	/**
+	 * Creates a timer.
+	 * @param {Function} callback The function to call when the timer fires.
+	 * @param {number} delay The number of milliseconds until it fires.
+	 * @param {Array} args The arguments to call the function with.
+	 * @param {boolean} repeat True to fire the timer every delay milliseconds.
+	 * @returns {FakeTimer} The timer.
+	 * @throws {Error} If the callback isn't a function.
+	 * @private
+	 */
+	function addTimer(callback, delay, args, repeat) {
+
+		if (typeof callback !== 'function') {
+			throw new Error('Fake timers only support functions as callbacks.');
+		}
+
+		delay = Math.max(Number(delay) || 0, 0);
+
+		var timer = new FakeTimer(nextId++);
+
+		timers.push({
+			timer: timer,
+			callback: callback,
+			args: args,
+			at: now + delay,
+
+			// timers that repeat right away would run forever
+			interval: repeat ? Math.max(delay, 1) : null
+		});
+
+		return timer;
+	}
+
+	/**
+	 * Removes a timer, so it never fires.
+	 * @param {FakeTimer|number} timer The timer or its ID.
+	 * @returns {void}
+	 * @private
+	 */
+	function removeTimer(timer) {
+
+		var id = Number(timer);
+
+		timers = timers.filter(function(entry) {
+			return entry.timer.id !== id;
+		});
+	}
+
+	/**
+	 * Gets the next timer to fire, which is the one with the earliest time,
+	 * and of those, the one created first.
+	 * @param {number} limit The latest time of the timer.
+	 * @returns {Object} The timer, or undefined if no timers fire by then.
+	 * @private
+	 */
+	function getNextTimer(limit) {
+		return timers.reduce(function(next, entry) {
+			return entry.at <= limit && (!next || entry.at < next.at || (entry.at === next.at && entry.timer.id < next.timer.id)) ?
+				entry : next;
+		}, undefined);
+	}
+
+	/**
+	 * Fires a timer, moving the clock to its time first.
+	 * @param {Object} entry The timer.
+	 * @returns {void}
+	 * @private
+	 */
+	function fireTimer(entry) {
+
+		now = entry.at;
+
+		if (entry.interval) {
+			entry.at += entry.interval;
+		} else {
+			removeTimer(entry.timer);
+		}
+
+		entry.callback.apply(null, entry.args);
+	}
+
+	fakes = {
+		Date: createFakeDate(globalObject.Date, getNow),
+		setTimeout: function(callback, delay) {
+			return addTimer(callback, delay, Array.prototype.slice.call(arguments, 2), false);
+		},
+		clearTimeout: removeTimer,
+		setInterval: function(callback, delay) {
+			return addTimer(callback, delay, Array.prototype.slice.call(arguments, 2), true);
+		},
+		clearInterval: removeTimer,
+		setImmediate: function(callback) {
+			return addTimer(callback, 0, Array.prototype.slice.call(arguments, 1), false);
+		},
+		clearImmediate: removeTimer,
+		'Math.random': random
+	};
+
+	return {
+		seed: seed,
+		random: random,
+		now: getNow,
+
+		tick: function(milliseconds) {
+
+			if (typeof milliseconds !== 'number' || !(milliseconds >= 0)) {
+				throw new Error('tick() requires a non-negative number of milliseconds.');
+			}
+
+			var target = now + milliseconds,
+				entry;
+
+			while ((entry = getNextTimer(target))) {
+				fireTimer(entry);
+			}
+
+			now = target;
+			return now;
+		},
+
+		runAll: function() {
+
+			for (var runs = 0; timers.length; runs++) {
+
+				if (runs >= MAX_TIMER_RUNS) {
+					throw new Error('Stopped after running ' + MAX_TIMER_RUNS + ' timers. There may be a timer that keeps creating new timers.');
+				}
+
+				fireTimer(getNextTimer(Infinity));
+			}
+
+			return now;
+		},
+
+		setSystemTime: function(time) {
+
+			var difference = getClockTime(time, 'The time') - now;
+
+			// timers still fire after the same delay
+			timers.forEach(function(entry) {
+				entry.at += difference;
+			});
+
+			now += difference;
+		},
+
+		install: function() {
+
+			if (originals) {
+				return;
+			}
+
+			names.forEach(function(name) {
+				if (fakedGlobals[name]) {
+					throw new Error(name + ' is already faked by fakeGlobals().');
+				}
+			});
+
+			originals = [];
+
+			names.forEach(function(name) {
+
+				fakedGlobals[name] = true;
+
+				getGlobalPaths(name).forEach(function(path) {
+
+					var parts = path.split('.'),
+						owner = parts.length > 1 ? globalObject[parts[0]] : globalObject,
+						key = parts[parts.length - 1];
+
+					originals.push({ name: name, owner: owner, key: key, exists: key in owner, value: owner[key] });
+					owner[key] = fakes[path];
+				});
+			});
+		},
+
+		restore: function() {
+
+			if (!originals) {
+				return;
+			}
+
+			originals.forEach(function(original) {
+
+				if (original.exists) {
+					original.owner[original.key] = original.value;
+				} else {
+					delete original.owner[original.key];
+				}
+
+				delete fakedGlobals[original.name];
+			});
+
+			originals = null;
+		}
+	};
+}
+
+/**
+ * Determines if calls to a new fake should be recorded. Unless the record
+ * option says otherwise, they are while a sandbox from useSandbox() is
+ * active, so the sandbox can check for unexpected calls.
+ * @param {Object} [options] The options the fake is created with.
+ * @returns {boolean} True to record calls, false if not.
+ * @private
+ */
+function shouldRecord(options) {
+	return options && typeof options.record !== 'undefined' ? Boolean(options.record) : activeSandboxes.length > 0;
+}
+
+/**
+ * Marks an object as a fake and adds it to the active sandbox, if there is
+ * one.
+ * @param {Object|Function} fake The fake.
+ * @returns {Object|Function} The fake.
+ * @private
+ */
+function trackFake(fake) {
+
+	madeFakes.set(fake, true);
+
+	if (activeSandboxes.length) {
+		activeSandboxes[activeSandboxes.length - 1].track(fake);
+	}
+
+	return fake;
+}
+
+/**
+ * Creates a sandbox, which keeps track of fakes and of everything else that
+ * has to be verified or restored after a test, such as Sinon mocks.
+ * @returns {Object} The sandbox.
+ * @private
+ */
+function createSandbox() {
+
+	var fakes = [],
+		others = [],
+		sandbox;
+
+	/**
+	 * Copies options, recording calls unless the record option says
+	 * otherwise.
+	 * @param {Object} [options] The options.
+	 * @returns {Object} The copy.
+	 * @private
+	 */
+	function withRecording(options) {
+
+		var copy = { record: true };
+
+		Object.keys(options || {}).forEach(function(key) {
+			copy[key] = options[key];
+		});
+
+		return copy;
+	}
+
+	/**
+	 * Gets the unexpected calls made to the fakes in the sandbox, in the
+	 * order they were made.
+	 * @returns {Object[]} The calls.
+	 * @private
+	 */
+	function getUnexpectedCalls() {
+
+		var calls = [];
+
+		fakes.forEach(function(fake) {
+
+			var recorder = recorders.get(fake);
+
+			(recorder ? recorder.calls : []).forEach(function(call) {
+				if (call.unexpected && calls.indexOf(call) === -1) {
+					calls.push(call);
+				}
+			});
+		});
+
+		return calls.sort(function(first, second) {
+			return first.order - second.order;
+		});
+	}
+
+	sandbox = {
+
+		create: function(methods, options) {
+			return sandbox.track(module.exports.create(methods, withRecording(options)));
+		},
+
+		fake: function(template, options) {
+			return sandbox.track(module.exports.fake(template, withRecording(options)));
+		},
+
+		fakeClass: function(Class, options) {
+			return sandbox.track(module.exports.fakeClass(Class, withRecording(options)));
+		},
+
+		fakeModule: function(source, options) {
+			return sandbox.track(module.exports.fakeModule(source, withRecording(options)));
+		},
+
+		fromContract: function(contract, options) {
+			return sandbox.track(module.exports.fromContract(contract, withRecording(options)));
+		},
+
+		installModule: function(id, exports) {
+
+			var restore = installModule(id, exports);
+
+			sandbox.track({ restore: restore });
+			return restore;
+		},
+
+		fakeGlobals: function(names, options) {
+
+			var clock = createFakeGlobals(names, options || {});
+
+			clock.install();
+			return sandbox.track(clock);
+		},
+
+		replace: function(object, key, value) {
+
+			var exists = key in object,
+				original = object[key];
+
+			object[key] = value;
+
+			sandbox.track({
+				restore: function() {
+					if (exists) {
+						object[key] = original;
+					} else {
+						delete object[key];
+					}
+				}
+			});
+
+			return value;
+		},
+
+		track: function(object) {
+
+			var isFake = (typeof object === 'object' || typeof object === 'function') && object !== null &&
+				Boolean(madeFakes.get(object));
+
+			if (isFake && fakes.indexOf(object) === -1) {
+				fakes.push(object);
+			} else if (!isFake && others.indexOf(object) === -1) {
+				others.push(object);
+			}
+
+			return object;
+		},
+
+		verify: function() {
+
+			var calls = getUnexpectedCalls(),
+				problems = [];
+
+			if (calls.length) {
+				problems.push('Unexpected calls were made:\n' + calls.map(function(call) {
+					return '    ' + formatCall(call);
+				}).join('\n'));
+			}
+
+			others.forEach(function(object) {
+				if (typeof object.verify === 'function') {
+					try {
+						object.verify();
+					} catch (ex) {
+						problems.push(ex instanceof Error ? ex.message : String(ex));
+					}
+				}
+			});
+
+			if (problems.length) {
+				throw new Error('The sandbox found ' + problems.length + (problems.length === 1 ? ' problem' : ' problems') +
+					':\n\n' + problems.join('\n\n'));
+			}
+		},
+
+		restore: function() {
+
+			var restoring = others.slice().reverse();
+
+			fakes = [];
+			others = [];
+
+			restoring.forEach(function(object) {
+				if (typeof object.restore === 'function') {
+					object.restore();
+				}
+			});
+		},
+
+		verifyAndRestore: function() {
+			try {
+				sandbox.verify();
+			} finally {
+				sandbox.restore();
+			}
+		}
+	};
+
+	return sandbox;
+}
+
+//------------------------------------------------------------------------------
+// Adapters
+//------------------------------------------------------------------------------
+
+/*
+ * An adapter maps the way Leche groups tests onto the primitives of a test
+ * runner. Every adapter has these methods:
+ *
+ * - describe(title, fn, mode, reason): Creates a group of tests. The mode is
+ *   either undefined, "only" to focus the group, or "skip" to skip it, in
+ *   which case reason may explain why.
+ * - it(title, fn, mode, reason, timeout): Creates a test, with the same
+ *   modes. The timeout is the number of milliseconds the test may take, or
+ *   undefined to use the test runner's default.
+ * - before(fn), after(fn), beforeEach(fn), afterEach(fn): Register hooks in
+ *   the current group.
+ *
+ * Adapters may also have a defer(promise, callback) method, which waits for
+ * the promise to resolve and then calls callback with the resolved value and
+ * an adapter that creates groups in the right place. Without it, datasets
+ * that are resolved asynchronously aren't supported.
+ */
+
+/**
+ * Gets the global object in both Node.js and browsers.
+ * @returns {Object} The global object.
+ * @private
+ */
+function getGlobalObject() {
+	return typeof window !== 'undefined' ? window : global;
+}
+
+/**
+ * Calls a test runner function or its only() or skip() variant.
+ * @param {Function} fn The test runner function, such as describe().
+ * @param {string} title The title to pass.
+ * @param {Function} callback The callback to pass.
+ * @param {string} [mode] Either "only" or "skip".
+ * @param {number} [timeout] A timeout to pass after the callback, for test
+ *      runners that accept one there.
+ * @returns {*} The return value of the test runner function.
+ * @private
+ */
+function callWithMode(fn, title, callback, mode, timeout) {
+
+	var variant = fn;
+
+	if (mode === 'only') {
+		variant = fn.only;
+	} else if (mode === 'skip') {
+		variant = fn.skip;
+	}
+
+	return typeof timeout === 'undefined' ? variant.call(fn, title, callback) : variant.call(fn, title, callback, timeout);
+}
+
+/**
+ * Creates a function that calls the global function with the given name at
+ * the time it's called, so adapters keep working when test runners replace
+ * their globals.
+ * @param {string} name The name of the global function.
+ * @returns {Function} A function that calls the global function.
+ * @private
+ */
+function callGlobal(name) {
+	return function() {
+		var globalObject = getGlobalObject();
+		return globalObject[name].apply(globalObject, arguments);
+	};
+}
+
+/**
+ * Loads Node's built-in test runner.
+ * @returns {Object} The node:test module or null if it's not available.
+ * @private
+ */
+function loadNodeTest() {
+	try {
+		return typeof require === 'function' ? require(NODE_TEST_MODULE) : null;
+	} catch (ex) {
+		return null;
+	}
+}
+
+/**
+ * Creates the options that node:test uses to focus or skip a test. Options
+ * are only set when needed, since node:test warns about the only option
+ * when it's not run with --test-only.
+ * @param {string} [mode] Either "only" or "skip".
+ * @param {string} [reason] Why the test is skipped.
+ * @returns {Object} The options for node:test.
+ * @private
+ */
+function createNodeTestOptions(mode, reason) {
+	if (mode === 'only') {
+		return { only: true };
+	} else if (mode === 'skip') {
+		return { skip: reason || true };
+	} else {
+		return {};
+	}
+}
+
+/**
+ * Creates a set of functions that mirror Mocha's BDD interface but add suites,
+ * tests and hooks to the given suite. These are used to create tests after
+ * Mocha has already started running, which isn't possible with the global
+ * functions.
+ * @param {Suite} rootSuite The suite to add everything to.
+ * @param {Function} Test The Mocha Test class.
+ * @returns {Object} An object with the interface functions.
+ * @private
+ */
+function createSuiteInterface(rootSuite, Test) {
+
+	var suites = [rootSuite],
+		ui = {};
+
+	function unsupported(name) {
+		return function() {
+			throw new Error(name + '() is not supported for datasets that are resolved asynchronously.');
+		};
+	}
+
+	function addSuite(title, fn, pending) {
+		var suite = rootSuite.constructor.create(suites[0], title);
+		suite.pending = Boolean(pending || suites[0].pending);
+
+		suites.unshift(suite);
+		try {
+			fn.call(suite);
+		} finally {
+			suites.shift();
+		}
+
+		return suite;
+	}
+
+	function addTest(title, fn) {
+		var test = new Test(title, suites[0].pending ? null : fn);
+		suites[0].addTest(test);
+		return test;
+	}
+
+	function addHook(type) {
+		return function() {
+			return suites[0][type].apply(suites[0], arguments);
+		};
+	}
+
+	ui.describe = ui.context = function(title, fn) {
+		return addSuite(title, fn, false);
+	};
+	ui.describe.skip = ui.context.skip = ui.xdescribe = ui.xcontext = function(title, fn) {
+		return addSuite(title, fn, true);
+	};
+	ui.describe.only = ui.context.only = unsupported('describe.only');
+
+	ui.it = ui.specify = addTest;
+	ui.it.skip = ui.specify.skip = ui.xit = ui.xspecify = function(title) {
+		return addTest(title);
+	};
+	ui.it.only = ui.specify.only = unsupported('it.only');
+
+	ui.before = addHook('beforeAll');
+	ui.after = addHook('afterAll');
+	ui.beforeEach = addHook('beforeEach');
+	ui.afterEach = addHook('afterEach');
+
+	return ui;
+}
+
+/**
+ * Calls a function while the global Mocha interface functions add everything
+ * to the given suite instead of the current one.
+ * @param {Suite} suite The suite to add everything to.
+ * @param {Function} Test The Mocha Test class.
+ * @param {Function} fn The function to call.
+ * @returns {void}
+ * @private
+ */
+function runInSuite(suite, Test, fn) {
+
+	var globalObject = getGlobalObject(),
+		ui = createSuiteInterface(suite, Test),
+		originals = {},
+		name;
+
+	for (name in ui) {
+		if (ui.hasOwnProperty(name)) {
+			originals[name] = globalObject[name];
+			globalObject[name] = ui[name];
+		}
+	}
+
+	try {
+		fn();
+	} finally {
+		for (name in originals) {
+			if (originals.hasOwnProperty(name)) {
+				globalObject[name] = originals[name];
+			}
+		}
+	}
+}
+
+/**
+ * The built-in adapters, by name.
+ * @private
+ */
+var ADAPTERS = {
+
+	mocha: {
+		name: 'mocha',
+
+		describe: function(title, fn, mode) {
+			callWithMode(getGlobalObject().describe, title, fn, mode);
+		},
+
+		// Mocha's it() doesn't take a timeout, so it's set on the test it returns instead
+		it: function(title, fn, mode, reason, timeout) {
+			var test = callWithMode(getGlobalObject().it, title, fn, mode);
+
+			if (typeof timeout !== 'undefined') {
+				test.timeout(timeout);
+			}
+		},
+
+		before: callGlobal('before'),
+		after: callGlobal('after'),
+		beforeEach: callGlobal('beforeEach'),
+		afterEach: callGlobal('afterEach'),
+
+		/*
+		 * Mocha requires all suites to be defined before tests start running,
+		 * so this adds a before() hook to the current suite that waits for the
+		 * dataset and then adds a suite, or a test for eachCase(), for each
+		 * item to the current suite. A
+		 * pending placeholder test keeps Mocha from skipping the current suite
+		 * when it has no other tests, and it's removed as soon as the hook runs.
+		 */
+		defer: function(promise, callback) {
+
+			var globalObject = getGlobalObject(),
+				placeholder = globalObject.it('with data that has not been resolved yet');
+
+			globalObject.before(function() {
+
+				var parentSuite = this.test.parent;
+
+				parentSuite.tests.splice(parentSuite.tests.indexOf(placeholder), 1);
+
+				return promise.then(function(dataset) {
+					callback(dataset, {
+						name: 'mocha',
+						describe: function(title, fn, mode) {
+							var suite = parentSuite.constructor.create(parentSuite, title);
+							suite.pending = mode === 'skip';
+							runInSuite(suite, placeholder.constructor, function() {
+								fn.call(suite);
+							});
+						},
+						it: function(title, fn, mode, reason, timeout) {
+							runInSuite(parentSuite, placeholder.constructor, function() {
+								ADAPTERS.mocha.it(title, fn, mode, reason, timeout);
+							});
+						}
+					});
+				});
+			});
+		}
+	},
+
+	jest: {
+		name: 'jest',
+
+		describe: function(title, fn, mode) {
+			callWithMode(getGlobalObject().describe, title, fn, mode);
+		},
+
+		it: function(title, fn, mode, reason, timeout) {
+			callWithMode(getGlobalObject().test, title, fn, mode, timeout);
+		},
+
+		before: callGlobal('beforeAll'),
+		after: callGlobal('afterAll'),
+		beforeEach: callGlobal('beforeEach'),
+		afterEach: callGlobal('afterEach')
+	},
+
+	jasmine: {
+		name: 'jasmine',
+
+		describe: function(title, fn, mode) {
+			var globalObject = getGlobalObject();
+			globalObject[{ only: 'fdescribe', skip: 'xdescribe' }[mode] || 'describe'](title, fn);
+		},
+
+		it: function(title, fn, mode, reason, timeout) {
+			var globalObject = getGlobalObject();
+			globalObject[{ only: 'fit', skip: 'xit' }[mode] || 'it'](title, fn, timeout);
+		},
+
+		before: callGlobal('beforeAll'),
+		after: callGlobal('afterAll'),
+		beforeEach: callGlobal('beforeEach'),
+		afterEach: callGlobal('afterEach')
+	},
+
+	'node:test': {
+		name: 'node:test',
+
+		describe: function(title, fn, mode, reason) {
+			loadNodeTest().describe(title, createNodeTestOptions(mode, reason), function() {
+				return fn.call(this);
+			});
+		},
+
+		it: function(title, fn, mode, reason, timeout) {
+			var options = createNodeTestOptions(mode, reason);
+
+			if (typeof timeout !== 'undefined') {
+				options.timeout = timeout;
+			}
+
+			// node:test passes a done callback only to functions that declare two parameters
+			if (fn.length) {
+				loadNodeTest().it(title, options, function(context, done) {
+					return fn.call(this, done);
+				});
+			} else {
+				loadNodeTest().it(title, options, function() {
+					return fn.call(this);
+				});
+			}
+		},
+
+		before: function(fn) {
+			loadNodeTest().before(fn);
+		},
+
+		after: function(fn) {
+			loadNodeTest().after(fn);
+		},
+
+		beforeEach: function(fn) {
+			loadNodeTest().beforeEach(fn);
+		},
+
+		afterEach: function(fn) {
+			loadNodeTest().afterEach(fn);
+		},
+
+		/*
+		 * node:test lets suite functions return promises and waits for them
+		 * before running the suite, so the blocks can be created as soon as
+		 * the dataset is available, as long as the caller returns or awaits
+		 * the promise that withData() returns.
+		 */
+		defer: function(promise, callback) {
+			var adapter = this;
+
+			return promise.then(function(dataset) {
+				callback(dataset, adapter);
+			});
+		}
+	}
+};
+
+/**
+ * Detects which test runner is being used by looking at the globals it
+ * defines. Mocha is checked first so that it stays the default, and Node's
+ * built-in test runner, which doesn't define globals, is used only if no
+ * other runner is found.
+ * @returns {Object} The adapter for the detected test runner.
+ * @throws {Error} If no test runner can be detected.
+ * @private
+ */
+function detectAdapter() {
+
+	var globalObject = getGlobalObject();
+
+	if (typeof globalObject.describe === 'function') {
+
+		if (typeof globalObject.before === 'function') {
+			return ADAPTERS.mocha;
+		}
+
+		if (typeof globalObject.test === 'function' && typeof globalObject.beforeAll === 'function') {
+			return ADAPTERS.jest;
+		}
+
+		if (typeof globalObject.fdescribe === 'function') {
+			return ADAPTERS.jasmine;
+		}
+	}
+
+	if (loadNodeTest()) {
+		return ADAPTERS['node:test'];
+	}
+
+	throw new Error('Could not detect a test runner. Use leche.useAdapter() to choose one.');
+}
+
+/**
+ * Gets the adapter to use, either the one chosen with useAdapter() or the
+ * one for the detected test runner.
+ * @returns {Object} The adapter.
+ * @private
+ */
+function getAdapter() {
+	return currentAdapter || detectAdapter();
+}
+
+/**
+ * Gets the name of an adapter for error messages.
+ * @param {Object} adapter The adapter.
+ * @returns {string} The name of the adapter.
+ * @private
+ */
+function getAdapterName(adapter) {
+	return adapter.name || 'custom';
+}
+
+/**
+ * Registers a hook in the current group of tests with the adapter.
+ * @param {string} type The type of hook: "before", "after", "beforeEach" or
+ *      "afterEach".
+ * @param {Function} fn The hook.
+ * @returns {void}
+ * @throws {Error} If the adapter doesn't support the type of hook.
+ * @private
+ */
+function addHook(type, fn) {
+
+	var adapter = getAdapter();
+
+	if (typeof adapter[type] !== 'function') {
+		throw new Error('The ' + getAdapterName(adapter) + ' adapter doesn\'t support ' + type + '() hooks.');
+	}
+
+	adapter[type](fn);
+}
+
+/**
+ * For each entry, create a new describe() block containing the label.
+ * This causes the dataset info to be output into the console, making
+ * it easier to determine which dataset caused a problem when there's an
+ * error. The reason an item is skipped is added to the title.
+ * @param {Object[]} entries The normalized dataset.
+ * @param {Function} testFunction The function passed to withData().
+ * @param {Object} adapter The adapter to create the blocks with.
+ * @param {Object} options The options passed to withData().
+ * @returns {void}
+ * @private
+ */
+function defineDataSuites(entries, testFunction, adapter, options) {
+
+	var entry,
+		title;
+
+	for (var i = 0, len = entries.length; i < len; i++) {
+		entry = entries[i];
+		title = 'with ' + entry.label;
+
+		if (entry.mode === 'skip' && entry.reason) {
+			title += ' (skipped: ' + entry.reason + ')';
+		}
+
+		adapter.describe(title, createDataCallback(entry, testFunction, i, options), entry.mode, entry.reason);
+	}
+}
+
+/**
+ * For each entry, create an it() block in the current describe() block,
+ * with the label as its title. The reason an item is skipped is added to
+ * the title.
+ * @param {Object[]} entries The normalized dataset.
+ * @param {Function} testFunction The function passed to eachCase().
+ * @param {Object} adapter The adapter to create the tests with.
+ * @param {Object} options The options passed to eachCase().
+ * @returns {void}
+ * @private
+ */
+function defineDataCases(entries, testFunction, adapter, options) {
+
+	var entry,
+		title,
+		timeout,
+		takesDone;
+
+	// a test function that declares more parameters than the longest item has arguments takes a done callback
+	takesDone = testFunction.length > entries.reduce(function(count, item) {
+		return Math.max(count, toArgs(item.value).length);
+	}, 0) + (options.meta ? 1 : 0);
+
+	for (var i = 0, len = entries.length; i < len; i++) {
+		entry = entries[i];
+		title = entry.label;
+
+		if (entry.mode === 'skip' && entry.reason) {
+			title += ' (skipped: ' + entry.reason + ')';
+		}
+
+		timeout = typeof options.timeout === 'function' ? options.timeout.apply(null, toArgs(entry.value)) : options.timeout;
+
+		adapter.it(title, createCaseCallback(entry, testFunction, i, options, takesDone), entry.mode, entry.reason, timeout);
+	}
+}
+
+/**
+ * Test runners decide which tests are focused before they start running, so
+ * items focused with only() in a dataset that is resolved asynchronously
+ * can't be focused in the usual way. Instead, all other items in the dataset
+ * are skipped.
+ * @param {Object[]} entries The dataset entries.
+ * @returns {Object[]} The dataset entries.
+ * @private
+ */
+function focusDeferredEntries(entries) {
+
+	var hasOnly = entries.some(function(entry) {
+		return entry.mode === 'only';
+	});
+
+	if (hasOnly) {
+		entries.forEach(function(entry) {
+			entry.mode = entry.mode === 'only' ? null : 'skip';
+		});
+	}
+
+	return entries;
+}
+
+/**
+ * Creates describe() blocks for each item in a dataset. This is the
+ * implementation of withData(), withData.only() and withData.skip(), and,
+ * with defineDataCases(), of eachCase().
+ * @param {*} dataset The dataset passed to withData().
+ * @param {Object} [options] The options passed to withData().
+ * @param {Function} testFunction The function passed to withData().
+ * @param {string} [mode] Either "only" or "skip" to apply to every item.
+ * @param {Function} [defineEntries=defineDataSuites] The function that
+ *      creates the blocks for the entries.
+ * @returns {*} Whatever the adapter returns for datasets that are resolved
+ *      asynchronously, and undefined otherwise.
+ * @throws {Error} If the dataset is resolved asynchronously and the adapter
+ *      doesn't support that.
+ * @private
+ */
+function defineDataProvider(dataset, options, testFunction, mode, defineEntries) {
+
+	if (typeof options === 'function') {
+		testFunction = options;
+		options = {};
+	}
+
+	options = options || {};
+	defineEntries = defineEntries || defineDataSuites;
+
+	var adapter = getAdapter(),
+		source;
+
+	HOOK_TYPES.forEach(function(type) {
+		if (typeof options[type] !== 'undefined' && typeof options[type] !== 'function') {
+			throw new Error('The ' + type + ' option must be a function.');
+		}
+	});
+
+	if (dataset instanceof Generator) {
+		defineEntries(applyMode(generateEntries(dataset, options), mode), testFunction, adapter, options);
+		return undefined;
+	}
+
+	source = resolveDatasetSource(dataset);
+
+	if (isThenable(source)) {
+
+		if (typeof adapter.defer !== 'function') {
+			throw new Error('The ' + getAdapterName(adapter) + ' adapter doesn\'t support datasets that are resolved asynchronously.');
+		}
+
+		return adapter.defer(source, function(resolvedDataset, suiteAdapter) {
+			var entries = applyMode(normalizeDataset(resolvedDataset, options), mode);
+			defineEntries(focusDeferredEntries(entries), testFunction, suiteAdapter, options);
+		});
+	}
+
+	defineEntries(applyMode(normalizeDataset(source, options), mode), testFunction, adapter, options);
+	return undefined;
+}
+
+/**
+ * Creates it() blocks for each item in a dataset. This is the implementation
+ * of eachCase(), eachCase.only() and eachCase.skip().
+ * @param {*} dataset The dataset passed to eachCase().
+ * @param {string|Function} title The title template passed to eachCase().
+ * @param {Object} [options] The options passed to eachCase().
+ * @param {Function} testFunction The function passed to eachCase().
+ * @param {string} [mode] Either "only" or "skip" to apply to every item.
+ * @returns {*} The same as defineDataProvider().
+ * @throws {Error} If the title or test function is missing, or if the
+ *      options aren't valid.
+ * @private
+ */
+function defineCaseProvider(dataset, title, options, testFunction, mode) {
+
+	if (typeof options === 'function') {
+		testFunction = options;
+		options = {};
+	}
+
+	var settings = {};
+
+	if ((typeof title !== 'string' && typeof title !== 'function') || typeof testFunction !== 'function') {
+		throw new Error('eachCase() requires a title and a test function.');
+	}
+
+	Object.keys(options || {}).forEach(function(key) {
+		settings[key] = options[key];
+	});
+
+	HOOK_TYPES.forEach(function(type) {
+		if (settings[type]) {
+			throw new Error('The ' + type + ' option isn\'t supported by eachCase(). Use ' + type + '() in the surrounding describe() block instead.');
+		}
+	});
+
+	if (typeof settings.timeout !== 'undefined' && typeof settings.timeout !== 'function' &&
+			(typeof settings.timeout !== 'number' || settings.timeout < 0)) {
+		throw new Error('The timeout option must be a number of milliseconds or a function that returns one.');
+	}
+
+	settings.title = title;
+
+	return defineDataProvider(dataset, settings, testFunction, mode, defineDataCases);
+}
+
+/**
+ * Creates an it() block for each row of a table. This is the implementation
+ * of table().
+ * @param {Function} fn The function to test.
+ * @param {Array} rows The rows of the table.
+ * @param {Object} [options] The options passed to table().
+ * @returns {*} The same as defineDataProvider().
+ * @throws {Error} If the function or any of the rows aren't valid.
+ * @private
+ */
+function defineTable(fn, rows, options) {
+
+	if (typeof fn !== 'function') {
+		throw new Error('First argument must be the function to test.');
+	}
+
+	if (!(rows instanceof Array) || !rows.length) {
+		throw new Error('Second argument must be a non-empty array of rows.');
+	}
+
+	options = options || {};
+
+	// check every row up front, rather than failing the tests one by one
+	rows.forEach(function(row) {
+		getTableExpectation(row instanceof MarkedItem ? row.value : row);
+	});
+
+	return defineCaseProvider(rows, function(row) {
+		return createTableTitle(fn, row, options);
+	}, options, function(row) {
+		return runTableRow(fn, row, options);
+	});
+}
+
+/**
+ * Used by eos.create() as the default implementation for each method.
+ * @returns {void}
+ * @private
+ */
+function noop() {
+	// intentionally blank
+}
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+/**
+ * @module leche
+ */
+module.exports = {
+
+	/**
+	 * Creates a new object with the specified methods. By default, methods do
+	 * nothing, so the resulting object is suitable for use in a variety of
+	 * situations. To control what a method does, pass an object that maps
+	 * method names to behaviors, such as returns() or sequence(), or to
+	 * functions. Names and such objects can be mixed in an array. Every method
+	 * is a separate function, so spying on one doesn't affect the others.
+	 * @param {Array|Object} methods The method names to create methods for,
+	 *      objects that map method names to behaviors, or a mix of both.
+	 * @param {Object} [options] Options for creating the object.
+	 * @param {boolean} [options.record=false] True to record every call made
+	 *      to the object's methods. See calls(). Defaults to true while a
+	 *      sandbox from useSandbox() is active.
+	 * @param {Object|Function} [options.real] The real object or class that
+	 *      the object stands in for. See useVerifiedFakes().
+	 * @returns {Object} A new object with the specified methods defined.
+	 * @throws {Error} If methods is null or undefined, or a method has a
+	 *      behavior that isn't recognized, or the object doesn't match
+	 *      options.real while verified fakes are on.
+	 */
+	create: function(methods, options) {
+
+		var object = {},
+			shape = {},
+			recorder = shouldRecord(options) ? { calls: [] } : null;
+
+		getMethodSpecs(methods).forEach(function(spec) {
+			object[spec.name] = recorder ?
+				createRecordingMethod(spec.name, spec.implementation, recorder) :
+				createMethod(spec.implementation);
+			shape[spec.name] = { kind: 'method', min: spec.arity, max: spec.arity };
+		});
+
+		if (recorder) {
+			recorders.set(object, recorder);
+		}
+
+		shapes.set(object, shape);
+
+		return trackFake(verifyFake(object, options));
+
+	},
+
+	/**
+	 * Creates a behavior for create() where the method returns a value.
+	 * @param {*} value The value to return.
+	 * @returns {Object} The behavior.
+	 */
+	returns: function(value) {
+		return new MethodBehavior(function() {
+			return function() {
+				return value;
+			};
+		});
+	},
+
+	/**
+	 * Creates a behavior for create() where the method throws an error.
+	 * @param {*} [error] The error to throw. Defaults to a generic error.
+	 * @returns {Object} The behavior.
+	 */
+	throws: function(error) {
+		return new MethodBehavior(function() {
+			return function() {
+				throw typeof error === 'undefined' ? new Error('Error thrown by leche.throws().') : error;
+			};
+		});
+	},
+
+	/**
+	 * Creates a behavior for create() where the method returns a promise that
+	 * is resolved with a value.
+	 * @param {*} [value] The value to resolve the promise with.
+	 * @returns {Object} The behavior.
+	 */
+	resolves: function(value) {
+		return new MethodBehavior(function() {
+			return function() {
+				return Promise.resolve(value);
+			};
+		});
+	},
+
+	/**
+	 * Creates a behavior for create() where the method returns a promise that
+	 * is rejected. The promise is created when the method is called, so there
+	 * are no unhandled rejections for methods that are never called.
+	 * @param {*} [error] The reason to reject the promise with. Defaults to a
+	 *      generic error.
+	 * @returns {Object} The behavior.
+	 */
+	rejects: function(error) {
+		return new MethodBehavior(function() {
+			return function() {
+				return Promise.reject(typeof error === 'undefined' ? new Error('Promise rejected by leche.rejects().') : error);
+			};
+		});
+	},
+
+	/**
+	 * Creates a behavior for create() where the method returns each of the
+	 * given values in turn, and undefined once they have all been returned.
+	 * @param {...*} values The values to return.
+	 * @returns {Object} The behavior.
+	 */
+	sequence: function() {
+
+		var values = Array.prototype.slice.call(arguments);
+
+		return new MethodBehavior(function() {
+			var index = 0;
+
+			return function() {
+				return index < values.length ? values[index++] : undefined;
+			};
+		});
+	},
+
+	/**
+	 * Creates a fake based on the given object. The fake has the template as
+	 * its prototype and all methods are stubbed out to throw an error when
+	 * called. The intent is to create an object that can be used with
+	 * sinon.mock().
+	 *
+	 * When options.strict is true, the fake is backed by a Proxy that checks
+	 * every property read against the template as it happens, so members added
+	 * to the template later also throw, as do reads of names that don't exist
+	 * on the template at all. Strict fakes require Proxy support.
+	 *
+	 * To create a partial fake, name the members that should keep their real
+	 * implementation in options.passthrough, and supply implementations for
+	 * others in options.stub. Error messages name the class of the template,
+	 * such as "Person#sayHi", unless the template is a plain object.
+	 *
+	 * By default, data properties of the template itself throw when they're
+	 * read before being set, while inherited data properties and accessors
+	 * start as undefined. Use options.properties to treat every data property
+	 * and accessor the same way:
+	 *
+	 * - "throw": Reading the property throws until it has been set.
+	 * - "default": The property starts with the template's value. Accessors
+	 *   start as undefined, since getting their value would run real code.
+	 * - "undefined": The property starts as undefined.
+	 * - "record": Like "default", and every read and write is recorded. See
+	 *   accesses().
+	 *
+	 * When options.frozen is true, writing a property that the template
+	 * doesn't have throws, which catches typos in the code under test.
+	 *
+	 * @param {Object} template The object to base the fake off of.
+	 * @param {Object} [options] Options for creating the fake.
+	 * @param {boolean} [options.strict=false] True to create a Proxy-based
+	 *      strict fake.
+	 * @param {boolean} [options.record=false] True to record every call made
+	 *      to the fake's methods. Calls to methods that throw because they
+	 *      weren't expected are recorded as unexpected. See calls(). Defaults
+	 *      to true while a sandbox from useSandbox() is active.
+	 * @param {Array} [options.passthrough] The names of members that delegate
+	 *      to the template's real implementation.
+	 * @param {Object} [options.stub] An object that maps member names to the
+	 *      values to use instead. Functions and behaviors such as returns()
+	 *      become methods.
+	 * @param {boolean} [options.deep=false] True to replace object-valued
+	 *      data properties with fakes too, recursively, using the same
+	 *      options except passthrough and stub. Each object is faked once.
+	 * @param {number} [options.depth=10] How many levels of nested objects a
+	 *      deep fake includes. Objects below that are treated like any other
+	 *      property.
+	 * @param {string} [options.properties] How to fake data properties and
+	 *      accessors: "throw", "default", "undefined" or "record".
+	 * @param {boolean} [options.frozen=false] True to throw when a property
+	 *      that the template doesn't have is written. Requires Proxy support.
+	 * @param {Object|Function} [options.real] The real object or class that
+	 *      the fake stands in for. See useVerifiedFakes().
+	 * @returns {Object} A fake with the same methods as template.
+	 * @throws {Error} If a strict or frozen fake is requested and Proxy isn't
+	 *      available, options.properties isn't recognized, a member named in
+	 *      options.passthrough or options.stub doesn't exist on the template,
+	 *      or the fake doesn't match options.real while verified fakes are on.
+	 */
+	fake: function(template, options) {
+		return trackFake(verifyFake(createFake(template, options), options));
+	},
+
+	/**
+	 * Creates a fake version of a class (constructor function). Instances
+	 * created with the returned constructor are fakes of the class prototype,
+	 * so they pass instanceof checks for both the original class and the fake
+	 * class. Static members of the class, including inherited ones, are faked
+	 * on the returned constructor.
+	 * @param {Function} Class The class to base the fake off of.
+	 * @param {Object} [options] Options to use when creating fake instances.
+	 *      These are the same as the options for fake(). The real option is
+	 *      checked against the fake class rather than each instance.
+	 * @returns {Function} A constructor that creates fake instances.
+	 * @throws {Error} If Class isn't a function, or the fake class doesn't
+	 *      match options.real while verified fakes are on.
+	 */
+	fakeClass: function(Class, options) {
+
+		if (typeof Class !== 'function') {
+			throw new Error('First argument must be a function.');
+		}
+
+		/*
+		 * Returning an object from a constructor replaces the newly-created
+		 * instance, so each instance gets its own fake.
+		 */
+		function FakeClass() {
+			return trackFake(createFake(Class.prototype, options));
+		}
+
+		var recorder = shouldRecord(options) ? { calls: [] } : null;
+
+		FakeClass.prototype = Class.prototype;
+		fakeMembers(FakeClass, Class, Function.prototype, {
+			skipKeys: FUNCTION_KEYS,
+			recorder: recorder,
+			prefix: getMemberPrefix(Class)
+		});
+
+		if (recorder) {
+			recorders.set(FakeClass, recorder);
+		}
+
+		shapes.set(FakeClass, getShape(Class, Function.prototype, FUNCTION_KEYS));
+
+		return trackFake(verifyFake(FakeClass, options));
+	},
+
+	/**
+	 * Returns the calls that have been recorded for an object created by
+	 * create(), fake() or fakeClass() with the record option. Each call is an
+	 * object with the following properties:
+	 *
+	 * - method: The name of the method that was called.
+	 * - args: An array of the arguments that were passed.
+	 * - thisValue: The value of this during the call.
+	 * - returnValue: The value the method returned, if any.
+	 * - exception: The error the method threw, if any.
+	 * - unexpected: True if the call was made to a method that wasn't expected
+	 *   to be called.
+	 * - order: The position of the call among all calls recorded by Leche,
+	 *   which can be used to check the order of calls across objects.
+	 *
+	 * @param {Object} object The object to get calls for.
+	 * @param {string} [methodName] The name of the method to get calls for.
+	 *      If omitted, calls to all methods are returned.
+	 * @returns {Object[]} The recorded calls in the order they were made.
+	 * @throws {Error} If calls to the object aren't being recorded.
+	 */
+	calls: function(object, methodName) {
+		return getRecorder(object).calls.filter(function(call) {
+			return !methodName || call.method === methodName;
+		});
+	},
+
+	/**
+	 * Returns the property reads and writes that have been recorded for a
+	 * fake created with { properties: "record" }. Each access is an object
+	 * with the following properties:
+	 *
+	 * - property: The name of the property.
+	 * - type: "get" for reads and "set" for writes.
+	 * - value: The value that was read or written.
+	 * - order: The position of the access among all calls and accesses
+	 *   recorded by Leche.
+	 *
+	 * @param {Object} fake The fake to get accesses for.
+	 * @param {string} [propertyName] The name of the property to get
+	 *      accesses for. If omitted, accesses to all properties are returned.
+	 * @returns {Object[]} The recorded accesses in the order they were made.
+	 * @throws {Error} If property accesses of the fake aren't being recorded.
+	 */
+	accesses: function(fake, propertyName) {
+
+		var log = (typeof fake === 'object' || typeof fake === 'function') && fake !== null ?
+			accessLogs.get(fake) : undefined;
+
+		if (!log) {
+			throw new Error('Property accesses are not being recorded for this object. Pass { properties: "record" } when creating it.');
+		}
+
+		return log.accesses.filter(function(access) {
+			return !propertyName || access.property === propertyName;
+		});
+	},
+
+	/**
+	 * Verifies that none of the calls recorded for an object were unexpected.
+	 * This catches calls to faked methods whose errors were swallowed by the
+	 * code under test.
+	 * @param {Object} object The object to verify.
+	 * @returns {void}
+	 * @throws {Error} If any unexpected calls were recorded or calls to the
+	 *      object aren't being recorded.
+	 */
+	verifyNoUnexpectedCalls: function(object) {
+
+		var unexpectedCalls = getRecorder(object).calls.filter(function(call) {
+			return call.unexpected;
+		});
+
+		if (unexpectedCalls.length) {
+			throw new Error('Unexpected calls were made:\n' + unexpectedCalls.map(function(call) {
+				return '    ' + formatCall(call);
+			}).join('\n'));
+		}
+	},
+
+	/**
+	 * Verifies that a fake still matches the real object or class it stands
+	 * in for, so that tests notice when the real implementation changes. The
+	 * names of members, the number of arguments of methods, and whether
+	 * members are methods, data properties or accessors are compared, and
+	 * every difference is reported in a single error:
+	 *
+	 *     Fake doesn't match Person:
+	 *         ~ greet: a method with 1 argument in the fake but a method with 2 arguments in Person
+	 *         - sayName: a method with 0 arguments that the fake is missing
+	 *         + sayFullName: a method that Person doesn't have
+	 *
+	 * Fakes created by Leche are compared using what they were created from,
+	 * so methods from create() only have their number of arguments checked
+	 * when they were given as functions. When the real counterpart is a
+	 * class, an object is compared with its prototype, and data properties
+	 * that only the fake has are allowed because they may be set by the
+	 * constructor. A fake class is compared with both the static members and
+	 * the prototype of the real class.
+	 * @param {Object|Function} fake The fake to check.
+	 * @param {Object|Function} real The real object or class.
+	 * @returns {void}
+	 * @throws {Error} If the fake doesn't match the real object or class.
+	 */
+	assertMatches: function(fake, real) {
+		assertMatches(fake, real);
+	},
+
+	/**
+	 * Turns verified fakes on or off. While they're on, create(), fake(),
+	 * fakeClass() and fromContract() check each new fake that has a real
+	 * option against it with assertMatches(), and throw if they don't match.
+	 * The real option is ignored while verified fakes are off, so fakes can
+	 * name their real counterparts without paying for the check.
+	 * @param {boolean} enabled True to turn verified fakes on.
+	 * @returns {void}
+	 */
+	useVerifiedFakes: function(enabled) {
+		verifiedFakes = Boolean(enabled);
+	},
+
+	/**
+	 * Creates a fake of everything a module exports. Functions throw when
+	 * called, classes are faked with fakeClass(), and plain objects and ES
+	 * module namespaces are faked recursively, so nested objects such as
+	 * fs.promises become fakes too. Primitive values, such as constants, are
+	 * kept as they are. Loading a module by ID only works in Node.js, where
+	 * relative IDs are resolved from the current working directory.
+	 * @param {string|Object|Function} source The ID of the module or its
+	 *      exports, such as an ES module namespace.
+	 * @param {Object} [options] Options for creating the fake.
+	 * @param {string} [options.name] The name of the module in error
+	 *      messages. Defaults to the module ID, or the base name of the file
+	 *      for relative and absolute IDs.
+	 * @param {boolean} [options.record=false] True to record every call made
+	 *      to the fake's functions on the fake itself, with names such as
+	 *      "promises.readFile". Classes record calls on their own. See calls().
+	 *      Defaults to true while a sandbox from useSandbox() is active.
+	 * @returns {Object|Function} The fake.
+	 * @throws {Error} If the module can't be loaded or doesn't export an
+	 *      object or function.
+	 */
+	fakeModule: function(source, options) {
+
+		options = options || {};
+
+		var exports = source,
+			name = options.name;
+
+		if (typeof source === 'string') {
+			exports = require(resolveModule(source));
+			name = name || getModuleName(source);
+		}
+
+		if ((typeof exports !== 'object' && typeof exports !== 'function') || exports === null) {
+			throw new Error('First argument must be a module ID or the exports of a module.');
+		}
+
+		var settings = {
+				name: name || 'module',
+				prefix: name ? name + '.' : '',
+				recorder: shouldRecord(options) ? { calls: [] } : null,
+				seen: createRegistry()
+			},
+			fake = fakeModuleValue(exports, '', settings);
+
+		// classes already have a recorder of their own
+		if (settings.recorder && !recorders.get(fake)) {
+			recorders.set(fake, settings.recorder);
+		}
+
+		return trackFake(fake);
+	},
+
+	/**
+	 * Puts a module into require.cache so that require() returns the given
+	 * exports, such as a fake from fakeModule(), instead of the real module.
+	 * Only code that requires the module afterwards gets the exports. Node.js
+	 * only. A sandbox from useSandbox() that's active restores the real
+	 * module after the test.
+	 * @param {string} id The module ID, resolved from the current working
+	 *      directory.
+	 * @param {*} exports The exports to use for the module.
+	 * @returns {Function} A function that restores the real module.
+	 * @throws {Error} If the module can't be found or is built into Node.js.
+	 */
+	installModule: function(id, exports) {
+
+		var restore = installModule(id, exports);
+
+		if (activeSandboxes.length) {
+			activeSandboxes[activeSandboxes.length - 1].track({ restore: restore });
+		}
+
+		return restore;
+	},
+
+	/**
+	 * Fakes a module with fakeModule() and puts the fake into require.cache
+	 * for the duration of the current describe() block, restoring the real
+	 * module in an after() hook. Call it inside describe(). Node.js only.
+	 * @param {string} id The module ID, resolved from the current working
+	 *      directory.
+	 * @param {Object} [options] Options for creating the fake. See
+	 *      fakeModule().
+	 * @returns {Object|Function} The fake.
+	 * @throws {Error} If the module can't be found or is built into Node.js.
+	 */
+	useFakeModule: function(id, options) {
+
+		var fake = module.exports.fakeModule(id, options),
+			uninstall;
+
+		// fail early instead of in the hook
+		resolveInstallableModule(id);
+
+		addHook('before', function() {
+			uninstall = installModule(id, fake);
+		});
+
+		addHook('after', function() {
+			uninstall();
+		});
+
+		return fake;
+	},
+
+	/**
+	 * Replaces globals that depend on time or randomness with fakes for the
+	 * duration of the current describe() block. The fakes are installed in a
+	 * before() hook and the real globals are restored in an after() hook, so
+	 * call it inside describe(). The globals can be:
+	 *
+	 * - Date: new Date() and Date.now() use the time of the clock.
+	 * - setTimeout, setInterval, setImmediate: Timers only fire when the clock
+	 *   is moved forward. The functions that clear the timers are faked too.
+	 * - Math.random: Returns numbers from a random number generator with a
+	 *   seed, the same way as the generators in gen.
+	 *
+	 * The clock that's returned controls the fakes. Its tick() method moves
+	 * the time forward, firing the timers that are due, runAll() fires timers
+	 * until there are none left, and setSystemTime() changes the time without
+	 * firing any. It also has the seed and the random() function, which
+	 * works whether or not Math.random is faked.
+	 *
+	 * Inside a test while a sandbox from useSandbox() is active, the fakes are
+	 * installed right away and the sandbox restores the real globals after
+	 * the test instead.
+	 * @param {string[]} names The globals to fake.
+	 * @param {Object} [options] Options for the fakes.
+	 * @param {number|Date} [options.now=0] The time to start the clock at.
+	 * @param {number} [options.seed] The seed for random numbers. Defaults
+	 *      to LECHE_SEED or a random seed.
+	 * @returns {Object} The clock.
+	 * @throws {Error} If the names or options aren't valid.
+	 */
+	fakeGlobals: function(names, options) {
+
+		var clock = createFakeGlobals(names, options || {});
+
+		// inside a test, the sandbox puts the globals back when the test is done
+		if (activeSandboxes.length) {
+			clock.install();
+			return activeSandboxes[activeSandboxes.length - 1].track(clock);
+		}
+
+		addHook('before', clock.install);
+		addHook('after', clock.restore);
+
+		return clock;
+	},
+
+	/**
+	 * Creates a sandbox, which keeps track of fakes and everything else that
+	 * has to be checked or put back after a test. The sandbox has:
+	 *
+	 * - create(), fake(), fakeClass(), fakeModule(), fromContract(): Like the
+	 *   functions of the same name, except calls are recorded by default.
+	 * - installModule(), fakeGlobals(): Install right away, and are restored
+	 *   by restore().
+	 * - replace(object, key, value): Sets a property, which restore() puts
+	 *   back.
+	 * - track(object): Adds a fake, or an object with verify() or restore()
+	 *   methods such as a Sinon mock, stub, or fake timer.
+	 * - verify(): Throws an error that lists every problem found, which are
+	 *   unexpected calls to the fakes and errors thrown by the verify()
+	 *   methods of tracked objects.
+	 * - restore(): Calls the restore() methods of tracked objects, newest
+	 *   first, and empties the sandbox.
+	 * - verifyAndRestore(): Both, restoring even when verify() throws.
+	 * @returns {Object} The sandbox.
+	 */
+	sandbox: function() {
+		return createSandbox();
+	},
+
+	/**
+	 * Creates a sandbox for each test in the current describe() block. Call
+	 * it inside describe(). While a test runs, every fake made with create(),
+	 * fake(), fakeClass(), fakeModule() or fromContract() records its calls
+	 * and is tracked by the sandbox, as are modules put in place with
+	 * installModule() and globals faked with fakeGlobals(). An afterEach()
+	 * hook then verifies and restores the sandbox, so the test fails with a
+	 * summary of the unexpected calls and failed verifications. With Mocha,
+	 * the sandbox is only restored after a test that already failed, and the
+	 * summary is reported against the test rather than the hook, so the rest
+	 * of the tests still run. See sandbox().
+	 * @returns {Object} The sandbox, which can track other objects such as
+	 *      Sinon mocks.
+	 * @throws {Error} If the adapter doesn't support beforeEach() and
+	 *      afterEach() hooks.
+	 */
+	useSandbox: function() {
+
+		var sandbox = createSandbox();
+
+		addHook('beforeEach', function() {
+			activeSandboxes.push(sandbox);
+		});
+
+		addHook('afterEach', function() {
+
+			var test = this && this.currentTest,
+				hook = this && this.test;
+
+			activeSandboxes.splice(activeSandboxes.lastIndexOf(sandbox), 1);
+
+			// the test's own error usually explains why the expectations weren't met
+			if (test && test.state === 'failed') {
+				sandbox.restore();
+				return;
+			}
+
+			try {
+				sandbox.verifyAndRestore();
+			} catch (ex) {
+
+				// Mocha skips the rest of the block when an afterEach() hook fails, but not when the test does
+				if (test && hook && typeof hook.error === 'function') {
+					hook.error(ex);
+				} else {
+					throw ex;
+				}
+			}
+		});
+
+		return sandbox;
+	},
+
+	/**
+	 * Creates a fake from a contract that describes an object, for when the
+	 * real implementation isn't available. A contract is either a plain
+	 * object or JSON file like this:
+	 *
+	 *     {
+	 *         "name": "UserService",
+	 *         "methods": {
+	 *             "getUser": { "params": ["id", "options?"], "returns": { "type": "object" } },
+	 *             "listUsers": { "arity": 0, "async": true, "returns": { "type": "array" } }
+	 *         },
+	 *         "properties": { "baseUrl": { "type": "string" } }
+	 *     }
+	 *
+	 * or an OpenAPI or Swagger document, which has a method for each
+	 * operationId. Methods throw when called with the wrong number of
+	 * arguments. Otherwise, they throw like any other faked method unless
+	 * they're given an implementation in options.stub, in which case their
+	 * return values (or what their promises resolve to for async methods) are
+	 * checked against the JSON schema in returns. Properties throw when read
+	 * before they're set, and when they're set to a value that doesn't match
+	 * their JSON schema.
+	 * @param {Object|string} contract The contract or the path of a JSON file
+	 *      with the contract, resolved from the current working directory.
+	 * @param {Object} [options] Options for creating the fake.
+	 * @param {Object} [options.stub] An object that maps member names to
+	 *      implementations, such as returns() or a function, or to property
+	 *      values.
+	 * @param {string} [options.name] The name of the object in error
+	 *      messages. Defaults to the name in the contract or the title of the
+	 *      OpenAPI document.
+	 * @param {boolean} [options.record=false] True to record every call made
+	 *      to the fake's methods. See calls(). Defaults to true while a
+	 *      sandbox from useSandbox() is active.
+	 * @param {Object|Function} [options.real] The real object or class that
+	 *      the fake stands in for. See useVerifiedFakes().
+	 * @returns {Object} A fake with the methods and properties in the contract.
+	 * @throws {Error} If the contract can't be read, a member named in
+	 *      options.stub isn't in the contract, or the fake doesn't match
+	 *      options.real while verified fakes are on.
+	 */
+	fromContract: function(contract, options) {
+
+		options = options || {};
+
+		if (typeof contract === 'string') {
+			contract = readContractFile(contract);
+		}
+
+		if (typeof contract !== 'object' || contract === null) {
+			throw new Error('First argument must be a contract or the path to a contract file.');
+		}
+
+		var isOpenApi = Boolean(contract.openapi || contract.swagger),
+			methods = isOpenApi ? getOpenApiMethods(contract) : getPlainContractMethods(contract),
+			properties = isOpenApi ? {} : contract.properties || {},
+			name = options.name || (isOpenApi ? contract.info && contract.info.title : contract.name),
+			stub = options.stub || {},
+			settings = {
+				prefix: name ? name + '#' : '',
+				recorder: shouldRecord(options) ? { calls: [] } : null,
+				contract: contract
+			},
+			shape = {},
+			fake = {};
+
+		Object.keys(stub).forEach(function(key) {
+
+			var isMethod = methods.some(function(method) {
+				return method.name === key;
+			});
+
+			if (!isMethod && !Object.prototype.hasOwnProperty.call(properties, key)) {
+				throw new Error('Cannot stub "' + key + '" because the contract has no member with that name.');
+			}
+		});
+
+		methods.forEach(function(method) {
+			var implementation = Object.prototype.hasOwnProperty.call(stub, method.name) ?
+				getImplementation(method.name, stub[method.name]) : null;
+
+			fake[method.name] = createContractMethod(method, implementation, settings);
+			shape[method.name] = { kind: 'method', min: method.min, max: method.max };
+		});
+
+		Object.keys(properties).forEach(function(key) {
+			defineContractProperty(fake, key, properties[key], settings);
+			shape[key] = { kind: 'property' };
+
+			if (Object.prototype.hasOwnProperty.call(stub, key)) {
+				fake[key] = stub[key];
+			}
+		});
+
+		if (settings.recorder) {
+			recorders.set(fake, settings.recorder);
+		}
+
+		shapes.set(fake, shape);
+
+		return trackFake(verifyFake(fake, options));
+	},
+
+	/**
+	 * A data provider for use with Mocha. Use this around a call to it() to run
+	 * the test over a series of data.
+	 *
+	 * The dataset may also be a function that returns the data, an iterable
+	 * (such as a generator), a promise, or an async iterable. Data that isn't
+	 * available right away is resolved in a before() hook, and the describe()
+	 * blocks for it are created once it's available. Those blocks run after
+	 * everything else that's defined in the same describe() block, whatever
+	 * the order of the calls.
+	 *
+	 * The test function can tell which item it's called for from this.leche,
+	 * an object with the label, the index and the original value (row) of
+	 * the item. With Mocha, this.leche also works inside the tests and hooks
+	 * of the item. Other test runners don't give the test function a this
+	 * value, so pass { meta: true } to receive the object as an extra
+	 * argument after the item's arguments instead.
+	 *
+	 * Setup and teardown that every item needs can be passed as the before,
+	 * after, beforeEach and afterEach options. These are registered as hooks
+	 * in each item's describe() block and are called with the item's
+	 * arguments. When a hook returns a plain object, or a promise for one,
+	 * its properties are copied to this.leche.context, so tests can use what
+	 * the hook set up.
+	 *
+	 * @param {Object|Array|Function|Iterable|Promise} dataset The data to test.
+	 * @param {Object} [options] Options for the describe() blocks.
+	 * @param {string|Function} [options.title] A template for the label of
+	 *      each item, such as "%s plus %s equals %s" or "{name} as {role}",
+	 *      or a function that receives the item's arguments and returns the
+	 *      label. This is used instead of the labels of object datasets.
+	 * @param {number} [options.maxLength=30] The number of characters to
+	 *      truncate the JSON representation of objects to in labels.
+	 * @param {string} [options.duplicates="suffix"] What to do when items end
+	 *      up with the same label. Use "suffix" to number the labels of later
+	 *      items ("#2", "#3", and so on) or "error" to throw an error.
+	 * @param {boolean} [options.meta=false] True to pass the metadata of each
+	 *      item to the test function as an extra argument.
+	 * @param {Function} [options.before] A hook to run once before the tests
+	 *      of each item.
+	 * @param {Function} [options.after] A hook to run once after the tests
+	 *      of each item.
+	 * @param {Function} [options.beforeEach] A hook to run before each test
+	 *      of each item.
+	 * @param {Function} [options.afterEach] A hook to run after each test of
+	 *      each item.
+	 * @param {Function} testFunction The function to call for each piece of data.
+	 * @returns {Promise|void} For data that isn't available right away, a
+	 *      promise that the describe() block must return when the adapter
+	 *      needs one, such as with node:test.
+	 * @throws {Error} If dataset is missing or an empty array, if a hook
+	 *      option isn't a function, or if items have
+	 *      duplicate labels and options.duplicates is "error". For data that
+	 *      isn't available right away, the error is thrown from the before()
+	 *      hook instead.
+	 */
+	withData: function(dataset, options, testFunction) {
+		return defineDataProvider(dataset, options, testFunction);
+	},
+
+	/**
+	 * Like withData(), but creates an it() block for each item directly in
+	 * the current describe() block, instead of a describe() block around
+	 * the tests of each item. The test function is the test itself: it's
+	 * called with the item's arguments, and may return a promise, or take a
+	 * done callback as its last parameter when it declares more parameters
+	 * than the longest item has arguments.
+	 * @param {Object|Array|Function|Iterable|Promise} dataset The data to test.
+	 * @param {string|Function} title A template for the title of each test,
+	 *      such as "should add %s and %s", or a function that receives the
+	 *      item's arguments and returns the title.
+	 * @param {Object} [options] Options for the tests. These are the same as
+	 *      for withData(), except for hooks, plus the timeout.
+	 * @param {number|Function} [options.timeout] The number of milliseconds
+	 *      each test may take, or a function that receives the item's
+	 *      arguments and returns it.
+	 * @param {Function} testFunction The test to run for each piece of data.
+	 * @returns {Promise|void} The same as withData().
+	 * @throws {Error} If the title or options aren't valid, and for the same
+	 *      reasons as withData().
+	 */
+	eachCase: function(dataset, title, options, testFunction) {
+		return defineCaseProvider(dataset, title, options, testFunction);
+	},
+
+	/**
+	 * Creates a test for each row of a table, which calls the function with
+	 * the row's arguments and checks the result. Each row has the arguments
+	 * (args) and exactly one of:
+	 *
+	 * - returns: The value the function should return.
+	 * - throws: The class of the error the function should throw, or true
+	 *   for any error.
+	 * - resolves: The value the promise the function returns should resolve to.
+	 * - rejects: The class of the error the promise should be rejected with,
+	 *   or true for any error.
+	 *
+	 * Values are compared for deep equality, and a diff is included in the
+	 * error when they're not equal. Rows that expect an error may also have a
+	 * message, which is a string that the error's message must contain or a
+	 * regular expression that it must match. The titles of the tests describe
+	 * the rows, such as "add(1, 2) returns 3", unless a row has a title.
+	 * @param {Function} fn The function to test.
+	 * @param {Object[]} rows The rows of the table.
+	 * @param {Object} [options] Options for the tests. These are the same as
+	 *      for eachCase(), plus the name.
+	 * @param {string} [options.name] The name of the function in titles and
+	 *      errors. Defaults to the name of the function.
+	 * @returns {void}
+	 * @throws {Error} If the function or any of the rows aren't valid.
+	 */
+	table: function(fn, rows, options) {
+		return defineTable(fn, rows, options);
+	},
+
+	/**
+	 * Creates a dataset that contains every combination of the items in the
+	 * given datasets (the Cartesian product). Each item's label is made by
+	 * joining the labels of the items it combines, and its arguments are the
+	 * arguments of those items, in order.
+	 * @param {...(Object|Array)} datasets The datasets to combine.
+	 * @returns {Object} A dataset that can be passed to withData().
+	 * @throws {Error} If no datasets are passed or any of them is empty.
+	 */
+	cross: function() {
+
+		var entryLists = getEntriesForEach(arguments, 'cross'),
+			combinations = [[]];
+
+		entryLists.forEach(function(entries) {
+			var next = [];
+
+			combinations.forEach(function(combination) {
+				entries.forEach(function(entry) {
+					next.push(combination.concat([entry]));
+				});
+			});
+
+			combinations = next;
+		});
+
+		return createDatasetFromEntries(combinations.map(combineEntries));
+	},
+
+	/**
+	 * Creates a dataset in which every pair of items from any two of the
+	 * given datasets appears at least once (all-pairs testing). This usually
+	 * needs far fewer items than cross() while still catching problems caused
+	 * by the interaction of two values. Labels and arguments are created the
+	 * same way as for cross().
+	 * @param {...(Object|Array)} datasets The datasets to combine.
+	 * @returns {Object} A dataset that can be passed to withData().
+	 * @throws {Error} If no datasets are passed or any of them is empty.
+	 */
+	pairwise: function() {
+
+		var entryLists = getEntriesForEach(arguments, 'pairwise');
+
+		// with fewer than two datasets, there are no pairs to reduce
+		if (entryLists.length < 2) {
+			return createDatasetFromEntries(entryLists[0]);
+		}
+
+		var rows = createPairwiseRows(entryLists.map(function(entries) {
+			return entries.length;
+		}));
+
+		return createDatasetFromEntries(rows.map(function(row) {
+			return combineEntries(row.map(function(index, param) {
+				return entryLists[param][index];
+			}));
+		}));
+	},
+
+	/**
+	 * Creates a dataset by combining the items at the same position in each of
+	 * the given datasets. Labels and arguments are created the same way as for
+	 * cross().
+	 * @param {...(Object|Array)} datasets The datasets to combine.
+	 * @returns {Object} A dataset that can be passed to withData().
+	 * @throws {Error} If no datasets are passed, any of them is empty, or they
+	 *      don't all have the same number of items.
+	 */
+	zip: function() {
+
+		var entryLists = getEntriesForEach(arguments, 'zip'),
+			length = entryLists[0].length;
+
+		entryLists.forEach(function(entries) {
+			if (entries.length !== length) {
+				throw new Error('zip() requires datasets with the same number of items.');
+			}
+		});
+
+		return createDatasetFromEntries(entryLists[0].map(function(entry, index) {
+			return combineEntries(entryLists.map(function(entries) {
+				return entries[index];
+			}));
+		}));
+	},
+
+	/**
+	 * Creates a dataset that contains the items of each of the given datasets,
+	 * one after the other.
+	 * @param {...(Object|Array)} datasets The datasets to combine.
+	 * @returns {Object} A dataset that can be passed to withData().
+	 * @throws {Error} If no datasets are passed or any of them is empty.
+	 */
+	concat: function() {
+		return createDatasetFromEntries(getEntriesForEach(arguments, 'concat').reduce(function(result, entries) {
+			return result.concat(entries);
+		}, []));
+	},
+
+	/**
+	 * Loads a dataset from a fixture file, so test cases can be kept in
+	 * spreadsheets and JSON or YAML files. The format is chosen by the file's
+	 * extension:
+	 *
+	 * - .json: An array of items, or an object whose keys are labels.
+	 * - .ndjson and .jsonl: An item on each line.
+	 * - .csv and .tsv: A header row that names the columns, then an item on
+	 *   each row. Each item is an object that maps column names to the
+	 *   values, which are strings.
+	 * - .yaml and .yml: Like .json. Requires the js-yaml package.
+	 *
+	 * Items that are arrays are the arguments of the test function, and other
+	 * items are its only argument, just like in withData(). Labels are created
+	 * from the items unless options.label names the column or property that
+	 * has them, which is then left out of the items. Errors in the file are
+	 * reported with the line and column where they are. Node.js only.
+	 * @param {string} filename The name of the file, resolved from the current
+	 *      working directory.
+	 * @param {Object} [options] Options for loading the file.
+	 * @param {string} [options.format] The format of the file, for files
+	 *      whose extension doesn't say: "json", "ndjson", "csv", "tsv" or
+	 *      "yaml".
+	 * @param {string} [options.label] The column or property with each
+	 *      item's label.
+	 * @returns {Object} A dataset that can be passed to withData().
+	 * @throws {Error} If the file can't be read or parsed, has no items, or
+	 *      has an item without a label.
+	 */
+	fromFile: function(filename, options) {
+		return loadDatasetFile(filename, options);
+	},
+
+	/**
+	 * Generators for datasets with random values. Pass a generator to
+	 * withData() instead of a dataset to test with values it creates, such
+	 * as withData(leche.gen.tuple(leche.gen.integer(), leche.gen.integer()),
+	 * fn). The options of withData() also accept:
+	 *
+	 * - runs: The number of values to generate. Defaults to 25.
+	 * - seed: The seed for the pseudorandom numbers, an unsigned 32-bit
+	 *   integer. Defaults to the LECHE_SEED environment variable, or to a
+	 *   random seed picked once per test run.
+	 *
+	 * The seed is part of the label of every item, so setting LECHE_SEED to
+	 * it reproduces the same values. When a test fails, the value is shrunk
+	 * to a minimal counterexample by running the test again with smaller
+	 * values, and the counterexample is added to the error message. Only
+	 * tests defined with global it() or test() functions are shrunk, and
+	 * tests that take a done callback aren't.
+	 * @namespace
+	 */
+	gen: {
+
+		/**
+		 * Creates a generator for integers, which shrink towards 0 or the end
+		 * of the range that's closest to it.
+		 * @param {Object} [options] Options for the integers.
+		 * @param {number} [options.min=-1000] The smallest integer.
+		 * @param {number} [options.max=1000] The largest integer.
+		 * @returns {Object} The generator.
+		 * @throws {Error} If min is greater than max.
+		 */
+		integer: function(options) {
+
+			options = options || {};
+
+			var max = typeof options.max === 'number' ? options.max : DEFAULT_INTEGER_MAX,
+				min = typeof options.min === 'number' ? options.min : Math.min(DEFAULT_INTEGER_MIN, max),
+				target;
+
+			// a range that's only bounded on one side still includes that bound
+			if (typeof options.max !== 'number') {
+				max = Math.max(max, min);
+			}
+
+			target = Math.min(Math.max(0, min), max);
+
+			if (min > max) {
+				throw new Error('The min option must not be greater than the max option.');
+			}
+
+			return new Generator(function(random) {
+				return createIntegerTree(randomInteger(random, Math.ceil(min), Math.floor(max)), target);
+			});
+		},
+
+		/**
+		 * Creates a generator for strings, which shrink towards shorter
+		 * strings made of the first of the characters.
+		 * @param {Object} [options] Options for the strings.
+		 * @param {number} [options.minLength=0] The shortest length.
+		 * @param {number} [options.maxLength=10] The longest length.
+		 * @param {string} [options.characters] The characters to use.
+		 *      Defaults to letters, digits and spaces.
+		 * @returns {Object} The generator.
+		 * @throws {Error} If the options aren't valid.
+		 */
+		string: function(options) {
+
+			options = options || {};
+
+			var characters = typeof options.characters === 'string' ? options.characters : DEFAULT_CHARACTERS;
+
+			if (!characters.length) {
+				throw new Error('The characters option must not be empty.');
+			}
+
+			return module.exports.gen.arrayOf(module.exports.gen.oneOf.apply(null, characters.split('')), options).map(function(values) {
+				return values.join('');
+			});
+		},
+
+		/**
+		 * Creates a generator that picks one of the given values, or a value
+		 * from one of the given generators. Values shrink towards the values
+		 * that are given first.
+		 * @param {...*} values The values and generators to pick from.
+		 * @returns {Object} The generator.
+		 * @throws {Error} If no values are given.
+		 */
+		oneOf: function() {
+
+			var values = Array.prototype.slice.call(arguments);
+
+			if (!values.length) {
+				throw new Error('oneOf() requires at least one value.');
+			}
+
+			return new Generator(function(random) {
+
+				var index = randomInteger(random, 0, values.length - 1),
+					tree = generateTree(values[index], random);
+
+				return createTree(tree.value, function() {
+					return values.slice(0, index).filter(function(value) {
+						return !(value instanceof Generator);
+					}).map(function(value) {
+						return createTree(value);
+					}).concat(tree.children());
+				});
+			});
+		},
+
+		/**
+		 * Creates a generator for arrays of values from another generator.
+		 * Arrays shrink by dropping items and by shrinking the items.
+		 * @param {Object} generator The generator for the items.
+		 * @param {Object} [options] Options for the arrays.
+		 * @param {number} [options.minLength=0] The shortest length.
+		 * @param {number} [options.maxLength=10] The longest length.
+		 * @returns {Object} The generator.
+		 * @throws {Error} If the options aren't valid.
+		 */
+		arrayOf: function(generator, options) {
+
+			options = options || {};
+
+			var minLength = getLengthOption(options.minLength, 0, 'minLength'),
+				maxLength = getLengthOption(options.maxLength, Math.max(DEFAULT_MAX_LENGTH, minLength), 'maxLength');
+
+			if (minLength > maxLength) {
+				throw new Error('The minLength option must not be greater than the maxLength option.');
+			}
+
+			return new Generator(function(random) {
+
+				var trees = [],
+					length = randomInteger(random, minLength, maxLength);
+
+				for (var i = 0; i < length; i++) {
+					trees.push(generateTree(generator, random));
+				}
+
+				return createArrayTree(trees, minLength);
+			});
+		},
+
+		/**
+		 * Creates a generator for objects whose properties come from other
+		 * generators. Values that aren't generators are used as they are.
+		 * The object is the only argument of the test function.
+		 * @param {Object} shape An object that maps property names to
+		 *      generators.
+		 * @returns {Object} The generator.
+		 */
+		record: function(shape) {
+
+			var keys = Object.keys(shape);
+
+			return new Generator(function(random) {
+				return createProductTree(keys.map(function(key) {
+					return generateTree(shape[key], random);
+				}), function(values) {
+
+					var result = {};
+
+					keys.forEach(function(key, index) {
+						result[key] = values[index];
+					});
+
+					return result;
+				});
+			});
+		},
+
+		/**
+		 * Creates a generator for arrays with a value from each of the given
+		 * generators, in order. Since withData() treats arrays as arguments,
+		 * each value is a separate argument of the test function.
+		 * @param {...Object} generators The generators.
+		 * @returns {Object} The generator.
+		 */
+		tuple: function() {
+
+			var generators = Array.prototype.slice.call(arguments);
+
+			return new Generator(function(random) {
+				return createProductTree(generators.map(function(generator) {
+					return generateTree(generator, random);
+				}), function(values) {
+					return values;
+				});
+			});
+		}
+	},
+
+	/**
+	 * Marks a dataset item so that only the tests for it (and for any other
+	 * items marked this way) are run, using describe.only().
+	 * @param {*} item The dataset item.
+	 * @returns {Object} The marked item, to be used in place of the item.
+	 */
+	only: function(item) {
+		return new MarkedItem(item, 'only');
+	},
+
+	/**
+	 * Marks a dataset item so that the tests for it are skipped, using
+	 * describe.skip(). The tests show up as pending, with the reason in the
+	 * title of the describe() block.
+	 * @param {*} item The dataset item.
+	 * @param {string} [reason] Why the item is skipped.
+	 * @returns {Object} The marked item, to be used in place of the item.
+	 */
+	skip: function(item, reason) {
+		return new MarkedItem(item, 'skip', reason);
+	},
+
+	/**
+	 * Chooses the adapter that maps withData() onto a test runner. By default,
+	 * the test runner is detected automatically, with Mocha taking precedence.
+	 * @param {string|Object} adapter The name of a built-in adapter ("mocha",
+	 *      "jest", "jasmine" or "node:test"), a custom adapter object, or null
+	 *      to go back to detecting the test runner.
+	 * @returns {void}
+	 * @throws {Error} If the adapter isn't recognized.
+	 */
+	useAdapter: function(adapter) {
+
+		if (adapter === null || typeof adapter === 'undefined') {
+			currentAdapter = null;
+		} else if (typeof adapter === 'string') {
+
+			if (!ADAPTERS.hasOwnProperty(adapter)) {
+				throw new Error('Unknown adapter "' + adapter + '". Use one of: ' + Object.keys(ADAPTERS).join(', ') + '.');
+			}
+
+			currentAdapter = ADAPTERS[adapter];
+		} else if (typeof adapter === 'object' && typeof adapter.describe === 'function' &&
+			typeof adapter.it === 'function') {
+			currentAdapter = adapter;
+		} else {
+			throw new Error('Adapters must have describe() and it() methods.');
+		}
+	}
+
+};
+
+/**
+ * Like withData(), but only the tests for this dataset are run, using
+ * describe.only() for each item. Items marked with skip() are still skipped.
+ * @param {*} dataset The data to test.
+ * @param {Object} [options] Options for naming the describe() blocks.
+ * @param {Function} testFunction The function to call for each piece of data.
+ * @returns {Promise|void} The same as withData().
+ */
+module.exports.withData.only = function(dataset, options, testFunction) {
+	return defineDataProvider(dataset, options, testFunction, 'only');
+};
+
+/**
+ * Like withData(), but the tests for this dataset are skipped, using
+ * describe.skip() for each item.
+ * @param {*} dataset The data to test.
+ * @param {Object} [options] Options for naming the describe() blocks.
+ * @param {Function} testFunction The function to call for each piece of data.
+ * @returns {Promise|void} The same as withData().
+ */
+module.exports.withData.skip = function(dataset, options, testFunction) {
+	return defineDataProvider(dataset, options, testFunction, 'skip');
+};
+
+/**
+ * Like eachCase(), but only the tests for this dataset are run, using
+ * it.only() for each item. Items marked with skip() are still skipped.
+ * @param {*} dataset The data to test.
+ * @param {string|Function} title A template for the title of each test.
+ * @param {Object} [options] Options for the tests.
+ * @param {Function} testFunction The test to run for each piece of data.
+ * @returns {Promise|void} The same as withData().
+ */
+module.exports.eachCase.only = function(dataset, title, options, testFunction) {
+	return defineCaseProvider(dataset, title, options, testFunction, 'only');
+};
+
+/**
+ * Like eachCase(), but the tests for this dataset are skipped, using
+ * it.skip() for each item.
+ * @param {*} dataset The data to test.
+ * @param {string|Function} title A template for the title of each test.
+ * @param {Object} [options] Options for the tests.
+ * @param {Function} testFunction The test to run for each piece of data.
+ * @returns {Promise|void} The same as withData().
+ */
+module.exports.eachCase.skip = function(dataset, title, options, testFunction) {
+	return defineCaseProvider(dataset, title, options, testFunction, 'skip');
+};
+
+// withData.it() reads well next to withData(), so it's another name for eachCase()
+module.exports.withData.it = module.exports.eachCase;
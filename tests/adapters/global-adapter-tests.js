@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Tests for the adapters of test runners that define global
+ * functions, shared by the Jest and Jasmine adapter tests
+ */
+
+/* global describe, it, afterAll */
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require('assert'),
+	leche = require('../../lib/leche');
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+var withData = leche.withData;
+
+/**
+ * Defines the tests for the adapter of the test runner that's running them.
+ * @param {string} name The name of the adapter, such as "jest".
+ * @returns {void}
+ */
+module.exports = function(name) {
+
+	describe(name + ' adapter', function() {
+
+		var calls = [];
+
+		afterAll(function() {
+			assert.deepStrictEqual(calls, [[1, 'a'], [2, 'b']]);
+		});
+
+		withData({
+			one: [1, 'a'],
+			two: [2, 'b'],
+			three: leche.skip([3, 'c'], 'not ready')
+		}, function(number, letter) {
+			it('should run the tests for each item that is not skipped', function() {
+				calls.push([number, letter]);
+			});
+		});
+
+		it('should throw an error for datasets that are resolved asynchronously', function() {
+			assert.throws(function() {
+				withData(Promise.resolve([1]), function() {});
+			}, new RegExp('The ' + name + ' adapter doesn\'t support datasets that are resolved asynchronously\\.'));
+		});
+
+	});
+
+	describe(name + ' adapter with eachCase()', function() {
+
+		var calls = [];
+
+		afterAll(function() {
+			assert.deepStrictEqual(calls, [1, 2]);
+		});
+
+		leche.eachCase([1, 2, leche.skip(3, 'not ready')], 'should run a test for %s', { timeout: 1000 }, function(number, done) {
+			setTimeout(function() {
+				calls.push(number);
+				done();
+			}, 0);
+		});
+
+	});
+};
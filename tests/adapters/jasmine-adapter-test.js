@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Tests for the Jasmine adapter, run with Jasmine
+ */
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+require('./global-adapter-tests')('jasmine');
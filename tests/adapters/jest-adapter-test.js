@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Tests for the Jest adapter, run with Jest
+ */
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+require('./global-adapter-tests')('jest');
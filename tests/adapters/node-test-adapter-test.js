@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Tests for the node:test adapter, run with Node's test runner
+ */
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require('assert'),
+	nodeTest = require('node:test'),
+	leche = require('../../lib/leche');
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+var describe = nodeTest.describe,
+	it = nodeTest.it,
+	after = nodeTest.after,
+	withData = leche.withData;
+
+describe('node:test adapter', function() {
+
+	var calls = [];
+
+	after(function() {
+		assert.deepStrictEqual(calls, [[1, 'a'], [2, 'b'], [4, 'd']]);
+	});
+
+	withData({
+		one: [1, 'a'],
+		two: [2, 'b'],
+		three: leche.skip([3, 'c'], 'not ready')
+	}, function(number, letter) {
+		it('should run the tests for each item that is not skipped', function() {
+			calls.push([number, letter]);
+		});
+	});
+
+	describe('with a promise for a dataset', function() {
+		return withData(Promise.resolve({ four: [4, 'd'] }), function(number, letter) {
+			it('should run the tests once the dataset is resolved', function() {
+				calls.push([number, letter]);
+			});
+		});
+	});
+
+});
+
+describe('node:test adapter with eachCase()', function() {
+
+	var calls = [];
+
+	after(function() {
+		assert.deepStrictEqual(calls, [1, 2]);
+	});
+
+	leche.eachCase([1, 2, leche.skip(3, 'not ready')], 'should run a test for %s', { timeout: 1000 }, function(number, done) {
+		setTimeout(function() {
+			calls.push(number);
+			done();
+		}, 0);
+	});
+
+});
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview A module to fake in tests of fakeModule()
+ */
+
+'use strict';
+
+//------------------------------------------------------------------------------
+// Public
+//------------------------------------------------------------------------------
+
+function Greeter(name) {
+	this.name = name;
+}
+
+Greeter.prototype.greet = function() {
+	return 'Hello, ' + this.name + '!';
+};
+
+module.exports = {
+	LANGUAGE: 'en',
+	greet: function(name) {
+		return 'Hello, ' + name + '!';
+	},
+	formats: {
+		shout: function(text) {
+			return text.toUpperCase();
+		}
+	},
+	Greeter: Greeter
+};
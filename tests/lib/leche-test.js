@@ -3,7 +3,7 @@
  * @author nzakas
  */
 
-/* global describe, it, afterEach, sinon, assert */
+/* global describe, it, before, after, afterEach, sinon, assert, Proxy, Symbol, Promise, window */
 
 'use strict';
 
@@ -19,10 +19,102 @@ var leche = require('../../lib/leche');
 
 // constants
 var TEST_PREFIX = 'with ';
+var FIXTURES_DIR = typeof window === 'undefined' ? require('path').join(__dirname, '../fixtures/') : '';
+var GREETING_MODULE = FIXTURES_DIR + 'greeting.js';
 
 // variables
 var withData = leche.withData;
 
+// some features are only available in newer environments
+var describeWithProxy = typeof Proxy === 'function' ? describe : describe.skip;
+var itWithSymbol = typeof Symbol === 'function' ? it : it.skip;
+var describeWithPromise = typeof Promise === 'function' ? describe : describe.skip;
+var itWithPromise = typeof Promise === 'function' ? it : it.skip;
+
+var describeWithAsyncIterator = typeof Symbol === 'function' && Symbol.asyncIterator && typeof Promise === 'function' ?
+	describe : describe.skip;
+
+// modules can only be loaded by ID in Node.js
+var describeInNode = typeof window === 'undefined' ? describe : describe.skip;
+
+// the name of Node's built-in test runner, kept out of a literal require() so browserify skips it
+var NODE_TEST_MODULE = 'node:test';
+
+// the object that holds the global Mocha functions
+var globalObject = typeof window !== 'undefined' ? window : global;
+
+/**
+ * Creates a constructor that behaves like an ES6 class, with non-enumerable
+ * prototype methods and static methods, without requiring ES6 syntax.
+ * @param {Function} [Parent] The class to inherit from.
+ * @returns {Function} The class.
+ */
+function createClass(Parent) {
+
+	function Person() {}
+
+	if (Parent) {
+		Person.prototype = Object.create(Parent.prototype);
+
+		// PhantomJS doesn't have Object.setPrototypeOf(), so copy the static members there
+		if (Object.setPrototypeOf) {
+			Object.setPrototypeOf(Person, Parent);
+		} else {
+			Object.getOwnPropertyNames(Parent).forEach(function(name) {
+				if (!Person.hasOwnProperty(name)) {
+					Object.defineProperty(Person, name, Object.getOwnPropertyDescriptor(Parent, name));
+				}
+			});
+		}
+	}
+
+	Object.defineProperties(Person.prototype, {
+		constructor: {
+			value: Person,
+			writable: true,
+			configurable: true
+		},
+		sayName: {
+			value: function() {},
+			writable: true,
+			configurable: true
+		},
+		fullName: {
+			get: function() {
+				return this.first + ' ' + this.last;
+			},
+			configurable: true
+		}
+	});
+
+	Object.defineProperty(Person, 'create', {
+		value: function() {
+			return new Person();
+		},
+		writable: true,
+		configurable: true
+	});
+
+	Person.species = 'human';
+
+	return Person;
+}
+
+/**
+ * Loads Node's built-in test runner, which only Node.js 18 and later have.
+ * @returns {Object} The node:test module or null if it's not available.
+ */
+function loadNodeTest() {
+	try {
+		return typeof window === 'undefined' ? require(NODE_TEST_MODULE) : null;
+	} catch (ex) {
+		return null;
+	}
+}
+
+var describeWithNodeTest = loadNodeTest() ? describe : describe.skip;
+var describeWithoutNodeTest = loadNodeTest() ? describe.skip : describe;
+
 //------------------------------------------------------------------------------
 // Public
 //------------------------------------------------------------------------------
@@ -61,6 +153,272 @@ describe('leche', function() {
 
 		});
 
+		it('should create a separate function for each method', function() {
+
+			var object = leche.create(['method1', 'method2']);
+
+			sandbox.spy(object, 'method1');
+			object.method2();
+
+			assert.notEqual(object.method1, object.method2);
+			assert.isFalse(object.method1.called);
+		});
+
+		it('should create methods with the behaviors in a spec object', function() {
+
+			var error = new Error('Oops'),
+				object = leche.create({
+					getUser: leche.returns({ id: 1 }),
+					remove: leche.throws(error),
+					next: leche.sequence(1, 2)
+				});
+
+			assert.deepEqual(object.getUser(), { id: 1 });
+			assert.throws(function() {
+				object.remove();
+			}, error);
+			assert.equal(object.next(), 1);
+			assert.equal(object.next(), 2);
+			assert.isUndefined(object.next());
+		});
+
+		it('should create methods from a mix of names and spec objects', function() {
+
+			var object = leche.create(['save', { load: leche.returns(1) }, { add: function(a, b) {
+				return a + b;
+			} }]);
+
+			assert.isUndefined(object.save());
+			assert.equal(object.load(), 1);
+			assert.equal(object.add(1, 2), 3);
+		});
+
+		it('should keep a separate sequence for each method using the same behavior', function() {
+
+			var sequence = leche.sequence('a', 'b'),
+				object = leche.create({ first: sequence, second: sequence });
+
+			assert.equal(object.first(), 'a');
+			assert.equal(object.second(), 'a');
+		});
+
+		it('should record calls to methods with behaviors', function() {
+
+			var object = leche.create({ getUser: leche.returns(1) }, { record: true });
+
+			object.getUser('x');
+
+			assert.equal(leche.calls(object, 'getUser')[0].returnValue, 1);
+		});
+
+		itWithPromise('should create methods that return promises with resolves() and rejects()', function() {
+
+			var error = new Error('Oops'),
+				object = leche.create({
+					save: leche.resolves(),
+					load: leche.resolves('data'),
+					remove: leche.rejects(error)
+				});
+
+			return Promise.all([object.save(), object.load()]).then(function(values) {
+				assert.deepEqual(values, [undefined, 'data']);
+				return object.remove();
+			}).then(function() {
+				throw new Error('The promise should have been rejected.');
+			}, function(reason) {
+				assert.equal(reason, error);
+			});
+		});
+
+		it('should throw an error when a method has an unknown behavior', function() {
+			assert.throws(function() {
+				leche.create({ getUser: 1 });
+			}, /Method "getUser" must be a function or a behavior such as leche\.returns\(\)\./);
+		});
+
+		it('should use items that are not spec objects as method names', function() {
+
+			var object = leche.create(['save', 1]);
+
+			assert.deepEqual(Object.keys(object).sort(), ['1', 'save']);
+			assert.isUndefined(object[1]());
+		});
+
+		itWithPromise('should use default errors for throws() and rejects() without an error', function() {
+
+			var object = leche.create({
+				remove: leche.throws(),
+				load: leche.rejects()
+			});
+
+			assert.throws(function() {
+				object.remove();
+			}, 'Error thrown by leche.throws().');
+
+			return object.load().then(function() {
+				throw new Error('The promise should have been rejected.');
+			}, function(reason) {
+				assert.equal(reason.message, 'Promise rejected by leche.rejects().');
+			});
+		});
+
+		it('should create a method for each character of a string, like earlier versions', function() {
+			assert.deepEqual(Object.keys(leche.create('abc')), ['a', 'b', 'c']);
+		});
+
+		it('should throw an error when the first argument is missing', function() {
+			assert.throws(function() {
+				leche.create(null);
+			}, /First argument must be an array or an object\./);
+		});
+
+	});
+
+	describe('calls()', function() {
+
+		it('should throw an error when calls are not being recorded', function() {
+			assert.throws(function() {
+				leche.calls(leche.create(['method']));
+			}, /Calls are not being recorded for this object/);
+		});
+
+		it('should return calls made to a created object', function() {
+
+			var object = leche.create(['save', 'remove'], { record: true });
+			object.save(1, 2);
+			object.remove('a');
+
+			var calls = leche.calls(object);
+
+			assert.equal(calls.length, 2);
+			assert.equal(calls[0].method, 'save');
+			assert.deepEqual(calls[0].args, [1, 2]);
+			assert.strictEqual(calls[0].thisValue, object);
+			assert.isUndefined(calls[0].returnValue);
+			assert.isFalse(calls[0].unexpected);
+			assert.equal(calls[1].method, 'remove');
+			assert.isTrue(calls[0].order < calls[1].order);
+		});
+
+		it('should return only calls to the given method', function() {
+
+			var object = leche.create(['save', 'remove'], { record: true });
+			object.save(1);
+			object.remove(2);
+			object.save(3);
+
+			var calls = leche.calls(object, 'save');
+
+			assert.equal(calls.length, 2);
+			assert.deepEqual(calls[0].args, [1]);
+			assert.deepEqual(calls[1].args, [3]);
+		});
+
+		it('should record unexpected calls made to a fake', function() {
+
+			var fake = leche.fake({ save: function() {} }, { record: true });
+
+			assert.throws(function() {
+				fake.save('x');
+			});
+
+			var calls = leche.calls(fake, 'save');
+
+			assert.equal(calls.length, 1);
+			assert.deepEqual(calls[0].args, ['x']);
+			assert.isTrue(calls[0].unexpected);
+			assert.match(calls[0].exception.message, /Unexpected call to method "save"/);
+		});
+
+		it('should order calls across objects', function() {
+
+			var first = leche.create(['method'], { record: true });
+			var second = leche.create(['method'], { record: true });
+
+			second.method();
+			first.method();
+
+			assert.isTrue(leche.calls(second)[0].order < leche.calls(first)[0].order);
+		});
+
+		it('should record calls that pass through a Sinon spy', function() {
+
+			var object = leche.create(['save'], { record: true });
+			var spy = sandbox.spy(object, 'save');
+
+			object.save(1);
+
+			assert.isTrue(spy.calledWith(1));
+			assert.equal(leche.calls(object, 'save').length, 1);
+		});
+
+		it('should record calls to static methods of a fake class', function() {
+
+			var FakePerson = leche.fakeClass(createClass(), { record: true });
+
+			assert.throws(function() {
+				FakePerson.create();
+			});
+
+			assert.equal(leche.calls(FakePerson, 'create').length, 1);
+			assert.equal(leche.calls(new FakePerson()).length, 0);
+		});
+
+		describeWithProxy('with strict fakes', function() {
+
+			it('should record unexpected calls', function() {
+
+				var fake = leche.fake({ save: function() {} }, { record: true, strict: true });
+
+				assert.throws(function() {
+					fake.save();
+				});
+
+				assert.isTrue(leche.calls(fake, 'save')[0].unexpected);
+			});
+
+		});
+
+	});
+
+	describe('verifyNoUnexpectedCalls()', function() {
+
+		it('should not throw an error when only expected calls were made', function() {
+
+			var object = leche.create(['save'], { record: true });
+			object.save();
+
+			leche.verifyNoUnexpectedCalls(object);
+		});
+
+		it('should throw an error listing unexpected calls whose errors were swallowed', function() {
+
+			var fake = leche.fake({ save: function() {} }, { record: true });
+
+			try {
+				fake.save(1, 'a');
+			} catch (ex) {
+				// swallowed by the code under test
+			}
+
+			assert.throws(function() {
+				leche.verifyNoUnexpectedCalls(fake);
+			}, /Unexpected calls were made:\n {4}save\(1, a\)/);
+		});
+
+	});
+
+	describe('accesses()', function() {
+
+		it('should throw an error when accesses are not being recorded', function() {
+			assert.throws(function() {
+				leche.accesses(leche.fake({ name: 'Nicholas' }));
+			}, 'Property accesses are not being recorded for this object. Pass { properties: "record" } when creating it.');
+			assert.throws(function() {
+				leche.accesses(null);
+			}, 'Property accesses are not being recorded for this object. Pass { properties: "record" } when creating it.');
+		});
+
 	});
 
 	describe('fake()', function() {
@@ -72,6 +430,12 @@ describe('leche', function() {
 			assert.isTrue(template.isPrototypeOf(fake));
 		});
 
+		it('should create an empty fake when the template is null', function() {
+			var fake = leche.fake(null);
+
+			assert.deepEqual(Object.keys(fake), []);
+		});
+
 		it('should create an object whose methods throw an error when called on an object with own methods only', function() {
 
 			var template = {
@@ -172,234 +536,4673 @@ describe('leche', function() {
 			assert.isUndefined(fake.data);
 		});
 
+		it('should create an object whose non-enumerable methods throw an error when called', function() {
 
-	});
+			var Person = createClass();
+			var fake = leche.fake(Person.prototype);
 
-	describe('withData()', function(){
+			assert.throws(function() {
+				fake.sayName();
+			}, /Unexpected call to method "Person#sayName"\./);
+		});
 
-		it('should call the passed-in function multiple times with an object dataset', function() {
-			var spy = sandbox.spy();
+		it('should create an object whose inherited non-enumerable methods throw an error when called', function() {
 
-			withData({
-				name1: [ 1, 2 ],
-				name2: [ 3, 4 ]
-			}, spy);
+			var Person = createClass();
+			var Employee = createClass(Person);
+			Object.defineProperty(Employee.prototype, 'work', {
+				value: function() {},
+				writable: true,
+				configurable: true
+			});
 
-			var firstCall = spy.getCall(0),
-				secondCall = spy.getCall(1);
+			var fake = leche.fake(Object.create(Employee.prototype));
 
-			assert.isTrue(spy.calledTwice);
-			assert.isTrue(firstCall.calledWith(1, 2));
-			assert.isTrue(secondCall.calledWith(3, 4));
+			assert.throws(function() {
+				fake.work();
+			}, /Unexpected call to method "Person#work"\./);
+			assert.throws(function() {
+				fake.sayName();
+			}, /Unexpected call to method "Person#sayName"\./);
 		});
 
-		it('should call the passed-in function multiple times with an object dataset and non-array values', function() {
-			var spy = sandbox.spy();
-
-			withData({
-				name1: 1,
-				name2: 2
-			}, spy);
+		it('should create an object with a data property when called on an object with a non-enumerable accessor property', function() {
 
-			var firstCall = spy.getCall(0),
-				secondCall = spy.getCall(1);
+			var Person = createClass();
+			var fake = leche.fake(Person.prototype);
 
-			assert.isTrue(spy.calledTwice);
-			assert.isTrue(firstCall.calledWith(1));
-			assert.isTrue(secondCall.calledWith(2));
+			assert.isTrue(fake.hasOwnProperty('fullName'));
+			assert.isUndefined(fake.fullName);
 		});
 
-		it('should call the passed-in function multiple times with an array dataset', function() {
-			var spy = sandbox.spy();
-
-			withData([
-				[ 1, 2 ],
-				[ 3, 4 ]
-			], spy);
+		it('should leave the constructor of a class alone', function() {
 
-			var firstCall = spy.getCall(0),
-				secondCall = spy.getCall(1);
+			var Person = createClass();
+			var fake = leche.fake(Person.prototype);
 
-			assert.isTrue(spy.calledTwice);
-			assert.isTrue(firstCall.calledWith(1, 2));
-			assert.isTrue(secondCall.calledWith(3, 4));
+			assert.strictEqual(fake.constructor, Person);
 		});
 
-		it('should call the passed-in function multiple times with an array of objects', function() {
-			var spy = sandbox.spy();
-
-			withData([
-				[ {a: 1}, {b: 2} ],
-				[ {c: 3}, {d: 4} ]
-			], spy);
+		it('should leave Object.prototype methods alone', function() {
 
-			var firstCall = spy.getCall(0),
-				secondCall = spy.getCall(1);
+			var fake = leche.fake({ name: 'leche' });
 
-			assert.isTrue(spy.calledTwice);
-			assert.isTrue(firstCall.calledWith({a: 1}, {b: 2}));
-			assert.isTrue(secondCall.calledWith({c: 3}, {d: 4}));
+			assert.isTrue(fake.hasOwnProperty('name'));
+			assert.equal(fake.toString(), '[object Object]');
 		});
 
-		it('should call the passed-in function multiple times with an array dataset and non-array values', function() {
-			var spy = sandbox.spy();
+		itWithSymbol('should create an object whose symbol-keyed methods throw an error when called', function() {
 
-			withData([
-				1,
-				2
-			], spy);
+			var key = Symbol('method');
+			var template = {};
+			template[key] = function() {};
 
-			var firstCall = spy.getCall(0),
-				secondCall = spy.getCall(1);
+			var fake = leche.fake(template);
 
-			assert.isTrue(spy.calledTwice);
-			assert.isTrue(firstCall.calledWith(1));
-			assert.isTrue(secondCall.calledWith(2));
+			assert.throws(function() {
+				fake[key]();
+			}, /Unexpected call to method "Symbol\(method\)"\./);
 		});
 
-		it('should call the passed-in function multiple times with an array dataset of plain object values', function() {
-			var spy = sandbox.spy();
+		it('should create a fake of Date.prototype', function() {
 
-			withData([
-				{a: 1},
-				{b: 2}
-			], spy);
+			var fake = leche.fake(Date.prototype);
 
-			var firstCall = spy.getCall(0),
-				secondCall = spy.getCall(1);
+			assert.throws(function() {
+				fake.getTime();
+			}, /Unexpected call to method "Date#getTime"\./);
+		});
 
-			assert.isTrue(spy.calledTwice);
-			assert.isTrue(firstCall.calledWith({a: 1}));
-			assert.isTrue(secondCall.calledWith({b: 2}));
+		it('should create a fake of an array', function() {
+
+			var fake = leche.fake([1, 2]);
+
+			assert.throws(function() {
+				fake.push(3);
+			}, /Unexpected call to method "Array#push"\./);
 		});
 
-		it('should throw an error when the first argument is null', function() {
+		it('should create a fake of a function that keeps its length', function() {
+
+			var fake = leche.fake(function(a, b) {});	// eslint-disable-line no-unused-vars
+
+			assert.equal(fake.length, 2);
 			assert.throws(function() {
-				withData(null, function() {});
-			}, /First argument must be/);
+				fake.call(null);
+			}, /Unexpected call to method "call"\./);
 		});
 
-		it('should throw an error when the first argument is an empty array', function() {
+		it('should create a fake of a boxed primitive that keeps its length', function() {
+
+			var fake = leche.fake(new String('ab'));	// eslint-disable-line no-new-wrappers
+
+			assert.equal(fake.length, 2);
 			assert.throws(function() {
-				withData([], function() {});
-			}, /First argument must be/);
+				fake.toUpperCase();
+			}, /Unexpected call to method "String#toUpperCase"\./);
 		});
 
-		describe('explicit test names', function() {
+		it('should create an object whose methods throw an error when the template is frozen', function() {
 
-			withData({
-				testName: 'testName',
-				'wonderful test name': 'wonderful test name'
-			}, function(expected) {
-				it('should report the test name', function() {
+			var Person = createClass();
+			Object.freeze(Person.prototype);
 
-					// @REVIEW(naeims) 2014-02-26: Make 'with ' a constant because it is used multiple times.
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + expected);
-				});
-			});
+			var fake = leche.fake(Person.prototype);
 
+			assert.throws(function() {
+				fake.sayName();
+			}, /Unexpected call to method "Person#sayName"\./);
 		});
 
-		describe('implicit test names with arrays', function() {
+		describeWithProxy('with strict option', function() {
 
-			withData([
-				[ 1, 2 ],
-				[ 3, 4 ]
-			], function(first, second) {
-				it('should report the test name', function() {
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + [first, second]);
+			it('should throw an error when a method is called', function() {
+
+				var template = {
+					method: function() {}
+				};
+
+				var fake = leche.fake(template, { strict: true });
+				assert.throws(function() {
+					fake.method();
+				}, /Unexpected call to method "method"\./);
+			});
+
+			it('should throw an error when a method added to the template later is called', function() {
+
+				var template = {};
+				var fake = leche.fake(template, { strict: true });
+
+				template.method = function() {};
+
+				assert.throws(function() {
+					fake.method();
+				}, /Unexpected call to method "method"\./);
+			});
+
+			it('should return the same method every time it is read', function() {
+
+				var template = {
+					method: function() {}
+				};
+
+				var fake = leche.fake(template, { strict: true });
+				assert.strictEqual(fake.method, fake.method);
+			});
+
+			it('should throw an error when a property is read', function() {
+
+				var template = {
+					name: 'leche'
+				};
+
+				var fake = leche.fake(template, { strict: true });
+				assert.throws(function() {
+					fake.name; // eslint-disable-line no-unused-expressions
+				}, /Unexpected use of property "name"\./);
+			});
+
+			it('should throw an error when an accessor property is read', function() {
+
+				var template = Object.create({}, {
+					data: {
+						get: function() {
+							return this.foo.bar;
+						}
+					}
 				});
+
+				var fake = leche.fake(template, { strict: true });
+				assert.throws(function() {
+					fake.data; // eslint-disable-line no-unused-expressions
+				}, /Unexpected use of property "data"\./);
 			});
 
-		});
+			it('should throw an error when a property that is not on the template is read', function() {
 
-		describe('implicit test names with arrays of objects', function() {
+				var fake = leche.fake({}, { strict: true });
+				assert.throws(function() {
+					fake.missing; // eslint-disable-line no-unused-expressions
+				}, /Unexpected use of property "missing"\./);
+			});
 
-			withData([
-				[ {a: 1}, {b: 2} ],
-				[ {c: 3}, {d: 4} ]
-			], function(first, second) {
-				it('should report the test name', function() {
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + [JSON.stringify(first), JSON.stringify(second)]);
+			it('should return a value that has been assigned without calling template setters', function() {
+
+				var setter = sandbox.spy();
+				var template = Object.create({}, {
+					name: {
+						get: function() {},
+						set: setter
+					}
 				});
+
+				var fake = leche.fake(template, { strict: true });
+				fake.name = 'box';
+
+				assert.equal(fake.name, 'box');
+				assert.isFalse(setter.called);
 			});
 
-		});
+			it('should pass Object.prototype methods through', function() {
 
-		describe('implicit test names with null', function() {
+				var fake = leche.fake({ name: 'leche' }, { strict: true });
 
-			withData([
-				null,
-			], function(expected) {
-				it('should report the test name', function() {
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + 'null');
+				assert.isFalse(fake.hasOwnProperty('name'));
+				assert.equal(typeof fake.toString, 'function');
+			});
+
+			it('should pass instanceof checks', function() {
+
+				function Person() {}
+				Person.prototype.sayName = function() {};
+
+				var fake = leche.fake(Person.prototype, { strict: true });
+				assert.instanceOf(fake, Person);
+			});
+
+			it('should be serializable when the template has no toJSON() method', function() {
+
+				var fake = leche.fake({ save: function() {} }, { strict: true });
+
+				fake.name = 'leche';
+
+				assert.isUndefined(fake.toJSON);
+				assert.isUndefined(fake.inspect);
+				assert.equal(JSON.stringify(fake), '{"name":"leche"}');
+			});
+
+			itWithPromise('should resolve promises with the fake when the template has no then() method', function() {
+
+				var fake = leche.fake({ save: function() {} }, { strict: true });
+
+				return Promise.resolve(fake).then(function(value) {
+					assert.strictEqual(value, fake);
 				});
 			});
 
+			it('should throw an error when a then() method on the template is read', function() {
+
+				var fake = leche.fake({ then: function() {} }, { strict: true });
+
+				assert.throws(function() {
+					fake.then();
+				}, /Unexpected call to method "then"\./);
+			});
+
+			it('should work with sinon.mock()', function() {
+
+				var template = {
+					method: function() {},
+					otherMethod: function() {}
+				};
+
+				var fake = leche.fake(template, { strict: true });
+				var mock = sandbox.mock(fake);
+				mock.expects('method').returns(1);
+
+				assert.equal(fake.method(), 1);
+				assert.throws(function() {
+					fake.otherMethod();
+				}, /Unexpected call to method "otherMethod"\./);
+			});
+
 		});
 
-		describe('implicit test names with undefined', function() {
+		describe('with passthrough and stub options', function() {
 
-			withData([
-				undefined,
-			], function(expected) {
-				it('should report the test name', function() {
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + 'undefined');
+			/**
+			 * Creates a template with a method to pass through, a method to stub
+			 * and a method that should keep throwing.
+			 * @returns {Object} The template.
+			 */
+			function createTemplate() {
+
+				function Formatter() {}
+
+				Formatter.prototype.format = function(value) {
+					return '<' + value + '>';
+				};
+				Formatter.prototype.load = function() {};
+				Formatter.prototype.save = function() {};
+
+				Object.defineProperty(Formatter.prototype, 'label', {
+					get: function() {
+						return this.format('label');
+					},
+					configurable: true
 				});
+
+				return new Formatter();
+			}
+
+			it('should call the real implementation of members named in passthrough', function() {
+
+				var fake = leche.fake(createTemplate(), { passthrough: ['format', 'label'] });
+
+				assert.equal(fake.format(1), '<1>');
+				assert.equal(fake.label, '<label>');
+				assert.throws(function() {
+					fake.save();
+				}, /Unexpected call to method "Formatter#save"\./);
 			});
 
-		});
+			it('should use the implementations supplied in stub', function() {
 
-		describe('implicit test names with primitives', function() {
+				var fake = leche.fake(createTemplate(), {
+					stub: {
+						load: leche.returns('data'),
+						save: function(value) {
+							return value + 1;
+						}
+					}
+				});
 
-			withData([
-				'testName',
-				123
-			], function(expected) {
-				it('should report the test name', function() {
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + expected);
+				assert.equal(fake.load(), 'data');
+				assert.equal(fake.save(1), 2);
+				assert.throws(function() {
+					fake.format();
+				}, /Unexpected call to method "Formatter#format"\./);
+			});
+
+			it('should record calls to methods that are passed through or stubbed', function() {
+
+				var fake = leche.fake(createTemplate(), {
+					passthrough: ['format'],
+					stub: { load: leche.returns(1) },
+					record: true
 				});
+
+				fake.format(1);
+				fake.load();
+
+				assert.deepEqual(leche.calls(fake).map(function(call) {
+					return [call.method, call.returnValue];
+				}), [['format', '<1>'], ['load', 1]]);
+			});
+
+			it('should throw an error when a member named in passthrough does not exist', function() {
+				assert.throws(function() {
+					leche.fake(createTemplate(), { passthrough: ['missing'] });
+				}, /Cannot pass through "missing" because the template has no member with that name\./);
+			});
+
+			it('should throw an error when a member named in stub does not exist', function() {
+				assert.throws(function() {
+					leche.fake(createTemplate(), { stub: { missing: function() {} } });
+				}, /Cannot stub "missing" because the template has no member with that name\./);
+			});
+
+			it('should use the bare member name in errors for plain objects', function() {
+
+				var fake = leche.fake({ method: function() {} });
+
+				assert.throws(function() {
+					fake.method();
+				}, /Unexpected call to method "method"\./);
+			});
+
+			describeWithProxy('with strict option', function() {
+
+				it('should pass through and stub members', function() {
+
+					var fake = leche.fake(createTemplate(), {
+						strict: true,
+						passthrough: ['format'],
+						stub: { load: leche.returns(1) }
+					});
+
+					assert.equal(fake.format(1), '<1>');
+					assert.equal(fake.load(), 1);
+					assert.throws(function() {
+						fake.missing; // eslint-disable-line no-unused-expressions
+					}, /Unexpected use of property "Formatter#missing"\./);
+				});
+
 			});
 
 		});
 
-		describe('implicit test names with plain objects', function() {
+		describe('with deep option', function() {
 
-			withData([
-				{a: 1}
-			], function(object) {
-				it('should report the test name', function() {
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + JSON.stringify(object));
+			/**
+			 * Creates a client with nested objects and a circular reference.
+			 * @returns {Object} The client.
+			 */
+			function createClient() {
+
+				function Users() {
+					this.cache = { size: 1 };
+				}
+
+				Users.prototype.list = function() {};
+
+				function Client() {
+					this.users = new Users();
+					this.self = this;
+				}
+
+				Client.prototype.connect = function() {};
+
+				return new Client();
+			}
+
+			it('should fake nested objects', function() {
+
+				var fake = leche.fake(createClient(), { deep: true });
+
+				assert.throws(function() {
+					fake.users.list();
+				}, /Unexpected call to method "Client#users\.list"\./);
+				assert.throws(function() {
+					fake.users.cache.size; // eslint-disable-line no-unused-expressions
+				}, /Unexpected use of property "Client#users\.cache\.size"\./);
+			});
+
+			it('should create nested fakes that pass instanceof checks', function() {
+
+				var client = createClient(),
+					fake = leche.fake(client, { deep: true });
+
+				assert.instanceOf(fake.users, client.users.constructor);
+				assert.isTrue(client.users.isPrototypeOf(fake.users));
+			});
+
+			it('should reuse fakes for circular references', function() {
+
+				var fake = leche.fake(createClient(), { deep: true });
+
+				assert.equal(fake.self, fake);
+			});
+
+			it('should not fake objects below the depth limit', function() {
+
+				var fake = leche.fake(createClient(), { deep: true, depth: 1 });
+
+				assert.throws(function() {
+					fake.users.list();
+				}, /Unexpected call to method "Client#users\.list"\./);
+				assert.throws(function() {
+					fake.users.cache; // eslint-disable-line no-unused-expressions
+				}, /Unexpected use of property "Client#users\.cache"\./);
+			});
+
+			it('should let nested fakes be replaced', function() {
+
+				var fake = leche.fake(createClient(), { deep: true }),
+					users = {};
+
+				fake.users = users;
+
+				assert.equal(fake.users, users);
+			});
+
+			it('should record calls on each nested fake when record is true', function() {
+
+				var fake = leche.fake(createClient(), { deep: true, record: true });
+
+				assert.throws(function() {
+					fake.users.list(1);
 				});
+				assert.equal(leche.calls(fake.users, 'list').length, 1);
+				assert.equal(leche.calls(fake).length, 0);
+			});
+
+			describeWithProxy('with strict option', function() {
+
+				it('should create strict nested fakes when they are read', function() {
+
+					var client = createClient(),
+						fake = leche.fake(client, { deep: true, strict: true });
+
+					assert.instanceOf(fake.users, client.users.constructor);
+					assert.equal(fake.users, fake.users);
+					assert.equal(fake.self, fake);
+					assert.throws(function() {
+						fake.users.missing; // eslint-disable-line no-unused-expressions
+					}, /Unexpected use of property "Client#users\.missing"\./);
+				});
+
 			});
 
 		});
 
-		describe('implicit test names with class instances', function() {
+		describe('with properties option', function() {
 
-			function TestClass() {
-				this.a = 1;
+			var Person;
+
+			before(function() {
+				Person = createClass();
+				Person.prototype.age = 40;
+			});
+
+			/**
+			 * Creates an instance of Person with a name.
+			 * @returns {Object} The person.
+			 */
+			function createPerson() {
+				var person = new Person();
+				person.first = 'Nicholas';
+				return person;
 			}
 
-			withData([
-				new TestClass()
-			], function(object) {
-				it('should report the test name', function() {
+			it('should throw when any property is read before being set with "throw"', function() {
 
-					// checks the previous describe()'s title
-					assert.equal(this.test.parent.title, TEST_PREFIX + JSON.stringify(object));
+				var fake = leche.fake(createPerson(), { properties: 'throw' });
+
+				['first', 'age', 'fullName'].forEach(function(key) {
+					assert.throws(function() {
+						fake[key]; // eslint-disable-line no-unused-expressions
+					}, 'Unexpected use of property "Person#' + key + '".');
+				});
+
+				fake.age = 41;
+				assert.equal(fake.age, 41);
+			});
+
+			it('should use the values of the template with "default"', function() {
+
+				var fake = leche.fake(createPerson(), { properties: 'default' });
+
+				assert.equal(fake.first, 'Nicholas');
+				assert.equal(fake.age, 40);
+				assert.isUndefined(fake.fullName);
+				assert.throws(function() {
+					fake.sayName();
+				}, /Unexpected call to method "Person#sayName"\./);
+			});
+
+			it('should start every property as undefined with "undefined"', function() {
+
+				var fake = leche.fake(createPerson(), { properties: 'undefined' });
+
+				assert.isUndefined(fake.first);
+				assert.isUndefined(fake.age);
+				assert.isUndefined(fake.fullName);
+			});
+
+			it('should record reads and writes with "record"', function() {
+
+				var fake = leche.fake(createPerson(), { properties: 'record' });
+
+				assert.equal(fake.first, 'Nicholas');
+				fake.age = 41;
+
+				var accesses = leche.accesses(fake);
+
+				assert.equal(accesses.length, 2);
+				assert.include(accesses[0], { property: 'first', type: 'get', value: 'Nicholas' });
+				assert.include(accesses[1], { property: 'age', type: 'set', value: 41 });
+				assert.isAbove(accesses[1].order, accesses[0].order);
+				assert.deepEqual(leche.accesses(fake, 'age'), [accesses[1]]);
+			});
+
+			it('should throw an error when the policy is not recognized', function() {
+				assert.throws(function() {
+					leche.fake(createPerson(), { properties: 'ignore' });
+				}, 'The properties option must be one of: "throw", "default", "undefined", "record".');
+			});
+
+			describeWithProxy('with strict option', function() {
+
+				it('should apply the policy to properties when they are read', function() {
+
+					var fake = leche.fake(createPerson(), { strict: true, properties: 'default' });
+
+					assert.equal(fake.first, 'Nicholas');
+					assert.equal(fake.age, 40);
+					assert.throws(function() {
+						fake.missing; // eslint-disable-line no-unused-expressions
+					}, /Unexpected use of property "Person#missing"\./);
+				});
+
+				it('should record reads and writes with "record"', function() {
+
+					var fake = leche.fake(createPerson(), { strict: true, properties: 'record' });
+
+					fake.age = 41;
+					assert.equal(fake.age, 41);
+					assert.deepEqual(leche.accesses(fake).map(function(access) {
+						return access.type + ' ' + access.property;
+					}), ['set age', 'get age']);
 				});
+
+			});
+
+		});
+
+		describeWithProxy('with frozen option', function() {
+
+			var template = {
+				name: 'Nicholas',
+				sayName: function() {}
+			};
+
+			it('should throw an error when a property the template does not have is written', function() {
+
+				var fake = leche.fake(template, { frozen: true });
+
+				assert.throws(function() {
+					fake.nmae = 'Nick';
+				}, 'Unexpected write to property "nmae".');
+				assert.throws(function() {
+					Object.defineProperty(fake, 'age', { value: 40 });
+				}, 'Unexpected write to property "age".');
+			});
+
+			it('should allow writes to properties the template has', function() {
+
+				var fake = leche.fake(template, { frozen: true, strict: true });
+
+				fake.name = 'Nick';
+				fake.sayName = function() {
+					return this.name;
+				};
+
+				assert.equal(fake.sayName(), 'Nick');
+			});
+
+			it('should work with Sinon', function() {
+
+				var fake = leche.fake(template, { frozen: true });
+
+				sandbox.mock(fake).expects('sayName').returns('Nicholas');
+
+				assert.equal(fake.sayName(), 'Nicholas');
 			});
 
 		});
 
 	});
 
+	describe('fakeClass()', function() {
+
+		it('should throw an error when the argument is not a function', function() {
+			assert.throws(function() {
+				leche.fakeClass({});
+			}, /First argument must be a function\./);
+		});
+
+		it('should create instances that pass instanceof checks', function() {
+
+			var Person = createClass();
+			var FakePerson = leche.fakeClass(Person);
+			var fake = new FakePerson();
+
+			assert.instanceOf(fake, Person);
+			assert.instanceOf(fake, FakePerson);
+		});
+
+		it('should create instances whose methods throw an error when called', function() {
+
+			var Person = createClass();
+			var FakePerson = leche.fakeClass(Person);
+			var fake = new FakePerson();
+
+			assert.throws(function() {
+				fake.sayName();
+			}, /Unexpected call to method "Person#sayName"\./);
+		});
+
+		it('should create a new fake for each instance', function() {
+
+			var FakePerson = leche.fakeClass(createClass());
+
+			assert.notStrictEqual(new FakePerson(), new FakePerson());
+		});
+
+		it('should create a constructor whose static methods throw an error when called', function() {
+
+			var FakePerson = leche.fakeClass(createClass());
+
+			assert.throws(function() {
+				FakePerson.create();
+			}, /Unexpected call to method "Person\.create"\./);
+		});
+
+		it('should create a constructor whose inherited static methods throw an error when called', function() {
+
+			var Employee = createClass(createClass());
+			delete Employee.create;
+
+			var FakeEmployee = leche.fakeClass(Employee);
+
+			assert.isTrue(FakeEmployee.hasOwnProperty('create'));
+			assert.throws(function() {
+				FakeEmployee.create();
+			}, /Unexpected call to method "Person\.create"\./);
+		});
+
+		it('should create a constructor whose static properties throw an error when accessed', function() {
+
+			var FakePerson = leche.fakeClass(createClass());
+
+			assert.throws(function() {
+				FakePerson.species; // eslint-disable-line no-unused-expressions
+			}, /Unexpected use of property "Person\.species"\./);
+		});
+
+		describeWithProxy('with strict option', function() {
+
+			it('should create strict instances', function() {
+
+				var FakePerson = leche.fakeClass(createClass(), { strict: true });
+				var fake = new FakePerson();
+
+				assert.throws(function() {
+					fake.missing; // eslint-disable-line no-unused-expressions
+				}, /Unexpected use of property "Person#missing"\./);
+			});
+
+		});
+
+	});
+
+	describe('fakeModule()', function() {
+
+		it('should create functions that throw an error when called', function() {
+
+			var fake = leche.fakeModule({ greet: function() {} });
+
+			assert.throws(function() {
+				fake.greet();
+			}, /Unexpected call to method "greet"\./);
+		});
+
+		it('should fake nested objects and keep primitive values', function() {
+
+			var fake = leche.fakeModule({
+				VERSION: 1,
+				promises: {
+					readFile: function() {}
+				}
+			}, { name: 'fs' });
+
+			assert.equal(fake.VERSION, 1);
+			assert.throws(function() {
+				fake.promises.readFile();
+			}, /Unexpected call to method "fs\.promises\.readFile"\./);
+		});
+
+		it('should fake classes with fakeClass()', function() {
+
+			var Person = createClass(),
+				fake = leche.fakeModule({ Person: Person });
+
+			assert.instanceOf(new fake.Person(), Person);
+			assert.throws(function() {
+				new fake.Person().sayName();
+			}, /Unexpected call to method "Person#sayName"\./);
+		});
+
+		it('should fake a module that exports a function', function() {
+
+			function greet() {}
+			greet.formal = function() {};
+
+			var fake = leche.fakeModule(greet, { name: 'greet' });
+
+			assert.throws(function() {
+				fake();
+			}, /Unexpected call to method "greet"\./);
+			assert.throws(function() {
+				fake.formal();
+			}, /Unexpected call to method "greet\.formal"\./);
+		});
+
+		it('should fake objects with circular references once', function() {
+
+			var exports = { method: function() {} };
+			exports.self = exports;
+
+			var fake = leche.fakeModule(exports);
+
+			assert.equal(fake.self, fake);
+		});
+
+		it('should fake module namespaces without a prototype', function() {
+
+			var namespace = Object.create(null);
+			namespace.default = function() {};
+
+			var fake = leche.fakeModule(namespace, { name: 'esm' });
+
+			assert.throws(function() {
+				fake.default();
+			}, /Unexpected call to method "esm\.default"\./);
+		});
+
+		it('should record calls with the path of each function when record is true', function() {
+
+			var fake = leche.fakeModule({ promises: { readFile: function() {} } }, { record: true });
+
+			assert.throws(function() {
+				fake.promises.readFile('a.txt');
+			});
+			assert.equal(leche.calls(fake, 'promises.readFile')[0].args[0], 'a.txt');
+		});
+
+		it('should throw an error when the first argument is not a module', function() {
+			assert.throws(function() {
+				leche.fakeModule(null);
+			}, /First argument must be a module ID or the exports of a module\./);
+		});
+
+		describeInNode('with a module ID', function() {
+
+			it('should load and fake the module', function() {
+
+				var fake = leche.fakeModule('fs');
+
+				assert.throws(function() {
+					fake.promises.readFile('a.txt');
+				}, /Unexpected call to method "fs\.promises\.readFile"\./);
+			});
+
+			it('should fake core modules that have read-only members', function() {
+
+				var http = leche.fakeModule('http'),
+					util = leche.fakeModule('util'),
+					crypto = leche.fakeModule('crypto');
+
+				assert.throws(function() {
+					http.createServer();
+				}, /Unexpected call to method "http\.createServer"\./);
+				assert.throws(function() {
+					util.format('%s', 'leche');
+				}, /Unexpected call to method "util\.format"\./);
+				assert.throws(function() {
+					crypto.randomBytes(8);
+				}, /Unexpected call to method "crypto\.randomBytes"\./);
+			});
+
+		});
+
+	});
+
+	describeInNode('installModule()', function() {
+
+		it('should make require() return the exports until it is restored', function() {
+
+			var real = require(GREETING_MODULE),
+				fake = {},
+				uninstall = leche.installModule(GREETING_MODULE, fake);
+
+			assert.equal(require(GREETING_MODULE), fake);
+			uninstall();
+			assert.equal(require(GREETING_MODULE), real);
+		});
+
+		it('should throw an error for built-in modules', function() {
+			assert.throws(function() {
+				leche.installModule('fs', {});
+			}, /Cannot install a fake for built-in module "fs"/);
+		});
+
+	});
+
+	describeInNode('useFakeModule()', function() {
+
+		afterEach(function() {
+			leche.useAdapter(null);
+		});
+
+		it('should install the fake in a before() hook and restore the module in an after() hook', function() {
+
+			var adapter = {
+					describe: function() {},
+					it: function() {},
+					before: sandbox.spy(),
+					after: sandbox.spy()
+				},
+				real = require(GREETING_MODULE);
+
+			leche.useAdapter(adapter);
+
+			var fake = leche.useFakeModule(GREETING_MODULE);
+
+			assert.notEqual(fake, real);
+			assert.equal(fake.LANGUAGE, 'en');
+
+			adapter.before.firstCall.args[0]();
+			assert.equal(require(GREETING_MODULE), fake);
+
+			adapter.after.firstCall.args[0]();
+			assert.equal(require(GREETING_MODULE), real);
+		});
+
+		it('should throw an error when the adapter does not support hooks', function() {
+			leche.useAdapter({ describe: function() {}, it: function() {} });
+
+			assert.throws(function() {
+				leche.useFakeModule(GREETING_MODULE);
+			}, /The custom adapter doesn't support before\(\) hooks\./);
+		});
+
+		it('should throw an error for built-in modules before adding hooks', function() {
+			assert.throws(function() {
+				leche.useFakeModule('fs');
+			}, /Cannot install a fake for built-in module "fs"/);
+		});
+
+		describe('in a suite', function() {
+
+			var fakeGreeting = leche.useFakeModule(GREETING_MODULE);
+
+			it('should make require() return the fake', function() {
+				assert.equal(require(GREETING_MODULE), fakeGreeting);
+				assert.throws(function() {
+					require(GREETING_MODULE).formats.shout('hi');
+				}, /Unexpected call to method "greeting\.formats\.shout"\./);
+			});
+
+		});
+
+	});
+
+	describe('fromContract()', function() {
+
+		var CONTRACT = {
+			name: 'UserService',
+			methods: {
+				getUser: {
+					params: ['id', 'options?'],
+					returns: { $ref: '#/definitions/User' }
+				},
+				listUsers: {
+					arity: 0,
+					async: true,
+					returns: { type: 'array', items: { $ref: '#/definitions/User' } }
+				},
+				log: {
+					params: ['message', '...details']
+				}
+			},
+			properties: {
+				baseUrl: { type: 'string' }
+			},
+			definitions: {
+				User: {
+					type: 'object',
+					properties: {
+						id: { type: 'integer' },
+						name: { type: 'string' },
+						role: { enum: ['admin', 'member'] }
+					},
+					required: ['id', 'name'],
+					additionalProperties: false
+				}
+			}
+		};
+
+		it('should create methods that throw an error when called', function() {
+
+			var fake = leche.fromContract(CONTRACT);
+
+			assert.throws(function() {
+				fake.getUser(1);
+			}, /Unexpected call to method "UserService#getUser"\./);
+		});
+
+		it('should create methods from an array of names', function() {
+
+			var fake = leche.fromContract({ methods: ['save'] });
+
+			assert.throws(function() {
+				fake.save(1, 2, 3);
+			}, /Unexpected call to method "save"\./);
+		});
+
+		it('should throw an error when a method is called with too few arguments', function() {
+
+			var fake = leche.fromContract(CONTRACT);
+
+			assert.throws(function() {
+				fake.getUser();
+			}, /UserService#getUser expects 1 to 2 arguments but was called with 0\./);
+			assert.throws(function() {
+				fake.log();
+			}, /UserService#log expects at least 1 argument but was called with 0\./);
+		});
+
+		it('should throw an error when a method is called with too many arguments', function() {
+
+			var fake = leche.fromContract(CONTRACT);
+
+			assert.throws(function() {
+				fake.listUsers(1);
+			}, /UserService#listUsers expects 0 arguments but was called with 1\./);
+		});
+
+		it('should return values from implementations that match the contract', function() {
+
+			var fake = leche.fromContract(CONTRACT, {
+				stub: {
+					getUser: leche.returns({ id: 1, name: 'Nicholas', role: 'admin' }),
+					log: function() {}
+				}
+			});
+
+			assert.deepEqual(fake.getUser(1), { id: 1, name: 'Nicholas', role: 'admin' });
+			assert.isUndefined(fake.log('a', 'b', 'c'));
+		});
+
+		it('should throw an error listing every problem when a return value violates the contract', function() {
+
+			var fake = leche.fromContract(CONTRACT, {
+				stub: {
+					getUser: leche.returns({ id: 1.5, role: 'owner', extra: true })
+				}
+			});
+
+			assert.throws(function() {
+				fake.getUser(1);
+			}, 'UserService#getUser returned a value that violates the contract:\n' +
+				'    return value.name is required\n' +
+				'    return value.id should be an integer but is a number\n' +
+				'    return value.role should be one of: "admin", "member"\n' +
+				'    return value.extra is not allowed');
+		});
+
+		itWithPromise('should check what promises returned by async methods resolve to', function() {
+
+			var fake = leche.fromContract(CONTRACT, {
+				stub: {
+					listUsers: leche.resolves([{ id: 'a', name: 'Nicholas' }])
+				}
+			});
+
+			return fake.listUsers().then(function() {
+				throw new Error('The promise should have been rejected.');
+			}, function(error) {
+				assert.match(error.message, /return value\[0\]\.id should be an integer but is a string/);
+			});
+		});
+
+		it('should throw an error when an async method does not return a promise', function() {
+
+			var fake = leche.fromContract(CONTRACT, {
+				stub: {
+					listUsers: leche.returns([])
+				}
+			});
+
+			assert.throws(function() {
+				fake.listUsers();
+			}, /UserService#listUsers should return a promise according to the contract\./);
+		});
+
+		it('should create properties that throw an error until they are set', function() {
+
+			var fake = leche.fromContract(CONTRACT);
+
+			assert.throws(function() {
+				fake.baseUrl; // eslint-disable-line no-unused-expressions
+			}, /Unexpected use of property "UserService#baseUrl"\./);
+
+			fake.baseUrl = 'https://example.com';
+			assert.equal(fake.baseUrl, 'https://example.com');
+		});
+
+		it('should throw an error when a property is set to a value that violates the contract', function() {
+
+			var fake = leche.fromContract(CONTRACT);
+
+			assert.throws(function() {
+				fake.baseUrl = 1;
+			}, /UserService#baseUrl was set to a value that violates the contract:\n {4}baseUrl should be a string but is an integer/);
+		});
+
+		it('should set properties from the stub option', function() {
+
+			var fake = leche.fromContract(CONTRACT, { stub: { baseUrl: 'https://example.com' } });
+
+			assert.equal(fake.baseUrl, 'https://example.com');
+		});
+
+		it('should throw an error when a member named in stub is not in the contract', function() {
+			assert.throws(function() {
+				leche.fromContract(CONTRACT, { stub: { missing: function() {} } });
+			}, /Cannot stub "missing" because the contract has no member with that name\./);
+		});
+
+		it('should throw an error when the first argument is not a contract', function() {
+			assert.throws(function() {
+				leche.fromContract(null);
+			}, /First argument must be a contract or the path to a contract file\./);
+		});
+
+		it('should check additional properties, combined schemas and numbers against the contract', function() {
+
+			var contract = {
+				methods: {
+					get: {
+						returns: {
+							type: 'object',
+							additionalProperties: { type: 'number' },
+							allOf: [{ required: ['a'] }],
+							anyOf: [{ required: ['b'] }, { required: ['c'] }]
+						}
+					}
+				}
+			};
+
+			assert.deepEqual(leche.fromContract(contract, { stub: { get: leche.returns({ a: 1, b: 2.5 }) } }).get(), { a: 1, b: 2.5 });
+			assert.throws(function() {
+				leche.fromContract(contract, { stub: { get: leche.returns({ a: 'x' }) } }).get();
+			}, 'get returned a value that violates the contract:\n' +
+				'    return value.a should be a number but is a string\n' +
+				'    return value doesn\'t match any of the schemas in anyOf');
+		});
+
+		it('should accept any value for methods without a description or with a schema of true', function() {
+
+			var fake = leche.fromContract({
+				methods: {
+					ping: null,
+					echo: { returns: true }
+				}
+			}, {
+				stub: {
+					ping: leche.returns(1),
+					echo: leche.returns('a')
+				}
+			});
+
+			assert.equal(fake.ping(1, 2, 3), 1);
+			assert.equal(fake.echo(), 'a');
+		});
+
+		it('should throw an error when a reference in the contract cannot be resolved', function() {
+			assert.throws(function() {
+				leche.fromContract({ methods: { get: { returns: { $ref: 'other.json#/User' } } } }, { stub: { get: leche.returns({}) } }).get();
+			}, /Cannot resolve "other\.json#\/User"\. Only references within the contract are supported\./);
+			assert.throws(function() {
+				leche.fromContract({ methods: { get: { returns: { $ref: '#/definitions/User' } } } }, { stub: { get: leche.returns({}) } }).get();
+			}, /Cannot resolve "#\/definitions\/User"\./);
+		});
+
+		itWithPromise('should check return values against the response schema of a Swagger 2 operation', function() {
+
+			var fake = leche.fromContract({
+				swagger: '2.0',
+				info: { title: 'Api' },
+				paths: {
+					'/a': {
+						get: { operationId: 'getA', responses: { 200: { schema: { type: 'string' } } } },
+						post: { operationId: 'createA', responses: { 404: {} } },
+						put: { operationId: 'replaceA' }
+					},
+					'/b': {
+						get: {}
+					}
+				}
+			}, {
+				stub: {
+					getA: leche.resolves(1),
+					createA: leche.resolves(1),
+					replaceA: leche.resolves(1)
+				}
+			});
+
+			assert.deepEqual(Object.keys(fake), ['getA', 'replaceA', 'createA']);
+			assert.deepEqual(Object.keys(leche.fromContract({ openapi: '3.0.0' })), []);
+
+			return Promise.all([fake.createA(), fake.replaceA()]).then(function(values) {
+				assert.deepEqual(values, [1, 1]);
+				return fake.getA();
+			}).then(function() {
+				throw new Error('The promise should have been rejected.');
+			}, function(error) {
+				assert.match(error.message, /return value should be a string but is an integer/);
+			});
+		});
+
+		it('should record calls when record is true', function() {
+
+			var fake = leche.fromContract(CONTRACT, { stub: { log: function() {} }, record: true });
+
+			fake.log('a');
+
+			assert.deepEqual(leche.calls(fake, 'log')[0].args, ['a']);
+		});
+
+		describeInNode('with a contract file', function() {
+
+			it('should read the contract from the file', function() {
+
+				var fake = leche.fromContract(FIXTURES_DIR + 'user-service.json');
+
+				assert.throws(function() {
+					fake.getUser();
+				}, /UserService#getUser expects 1 to 2 arguments but was called with 0\./);
+			});
+
+			it('should create a method for each operationId in an OpenAPI document', function() {
+
+				var fake = leche.fromContract(FIXTURES_DIR + 'petstore.json');
+
+				assert.deepEqual(Object.keys(fake), ['listPets', 'createPet', 'showPetById']);
+				assert.throws(function() {
+					fake.listPets();
+				}, /Unexpected call to method "PetStore#listPets"\./);
+				assert.throws(function() {
+					fake.showPetById();
+				}, /PetStore#showPetById expects 1 argument but was called with 0\./);
+				assert.throws(function() {
+					fake.createPet();
+				}, /PetStore#createPet expects 1 argument but was called with 0\./);
+			});
+
+			itWithPromise('should check return values against the response schema of an OpenAPI operation', function() {
+
+				var fake = leche.fromContract(FIXTURES_DIR + 'petstore.json', {
+					stub: {
+						showPetById: leche.resolves({ id: 1, name: 'Rex', tag: null }),
+						listPets: leche.resolves([{ id: 1 }])
+					}
+				});
+
+				return fake.showPetById('1').then(function(pet) {
+					assert.equal(pet.name, 'Rex');
+					return fake.listPets();
+				}).then(function() {
+					throw new Error('The promise should have been rejected.');
+				}, function(error) {
+					assert.match(error.message, /return value\[0\]\.name is required/);
+				});
+			});
+
+			it('should throw an error when the file is not valid JSON', function() {
+				assert.throws(function() {
+					leche.fromContract(GREETING_MODULE);
+				}, /Contract file ".*greeting\.js" is not valid JSON/);
+			});
+
+		});
+
+	});
+
+	describe('assertMatches()', function() {
+
+		var Person;
+
+		before(function() {
+			Person = createClass();
+		});
+
+		it('should not throw when a fake matches the class', function() {
+			leche.assertMatches(leche.fake(Person.prototype), Person);
+			leche.assertMatches(leche.fakeClass(Person), Person);
+		});
+
+		it('should not throw when a fake matches the object', function() {
+
+			var real = {
+				count: 1,
+				increment: function(amount) {
+					this.count += amount;
+				}
+			};
+
+			leche.assertMatches(leche.fake(real), real);
+			leche.assertMatches(leche.create([{ increment: function(amount) {} }]), { increment: real.increment });
+		});
+
+		it('should report missing, extra and mismatched members in one error', function() {
+
+			var fake = leche.create([{ sayName: function(first) {} }, 'sayFullName']);
+
+			assert.throws(function() {
+				leche.assertMatches(fake, Person);
+			}, 'Fake doesn\'t match Person:\n' +
+				'    ~ sayName: a method with 1 argument in the fake but a method with 0 arguments in Person\n' +
+				'    - fullName: an accessor that the fake is missing\n' +
+				'    + sayFullName: a method that Person doesn\'t have');
+		});
+
+		it('should not check the arity of methods created without a function', function() {
+			leche.assertMatches(leche.create(['increment']), { increment: function(amount) {} });
+			leche.assertMatches(leche.create({ increment: leche.returns(1) }), { increment: function(amount) {} });
+		});
+
+		it('should report members that have a different kind', function() {
+			assert.throws(function() {
+				leche.assertMatches({ count: function() {} }, { count: 1 });
+			}, 'Fake doesn\'t match the real object:\n' +
+				'    ~ count: a method with 0 arguments in the fake but a property in the real object');
+		});
+
+		it('should compare a fake with what it was created from', function() {
+
+			var fake = leche.fake({ sayHi: function(name) {} });
+
+			assert.throws(function() {
+				leche.assertMatches(fake, { sayHi: function() {} });
+			}, /~ sayHi: a method with 1 argument in the fake but a method with 0 arguments in the real object/);
+		});
+
+		it('should allow data properties that only a fake of an instance has', function() {
+
+			var fake = {
+				first: 'Nicholas',
+				sayName: function() {},
+				fullName: 'Nicholas Zakas'
+			};
+
+			assert.throws(function() {
+				leche.assertMatches(fake, Person);
+			}, 'Fake doesn\'t match Person:\n' +
+				'    ~ fullName: a property in the fake but an accessor in Person');
+		});
+
+		it('should compare the static members of a fake class', function() {
+
+			var Other = createClass();
+
+			Other.create = function(name) {};
+			delete Other.species;
+
+			assert.throws(function() {
+				leche.assertMatches(leche.fakeClass(Other), Person);
+			}, 'Fake doesn\'t match Person:\n' +
+				'    ~ static create: a method with 1 argument in the fake but a method with 0 arguments in Person\n' +
+				'    - static species: a property that the fake is missing');
+		});
+
+		it('should compare a fake from a contract using the arity in the contract', function() {
+
+			var fake = leche.fromContract({
+				methods: {
+					sayName: { params: ['first?'] },
+					fullName: {}
+				}
+			});
+
+			assert.throws(function() {
+				leche.assertMatches(fake, Person);
+			}, 'Fake doesn\'t match Person:\n' +
+				'    ~ fullName: a method in the fake but an accessor in Person');
+		});
+
+		it('should throw an error when the second argument is not an object', function() {
+			assert.throws(function() {
+				leche.assertMatches({}, 'Person');
+			}, 'Second argument must be the real object or class.');
+		});
+
+	});
+
+	describe('useVerifiedFakes()', function() {
+
+		var Person;
+
+		before(function() {
+			Person = createClass();
+		});
+
+		afterEach(function() {
+			leche.useVerifiedFakes(false);
+		});
+
+		it('should check fakes with a real option when verified fakes are on', function() {
+
+			leche.useVerifiedFakes(true);
+
+			assert.throws(function() {
+				leche.create(['sayName'], { real: Person });
+			}, /- fullName: an accessor that the fake is missing/);
+			assert.throws(function() {
+				leche.fake({ sayName: function() {} }, { real: Person });
+			}, /Fake doesn't match Person/);
+			assert.throws(function() {
+				leche.fakeClass(createClass(), { real: function Person() {} });
+			}, /\+ sayName: a method with 0 arguments that Person doesn't have/);
+			assert.throws(function() {
+				leche.fromContract({ methods: ['sayName'] }, { real: Person });
+			}, /- fullName: an accessor that the fake is missing/);
+			leche.fake(Person.prototype, { real: Person });
+		});
+
+		it('should ignore the real option when verified fakes are off', function() {
+			leche.create(['sayName'], { real: Person });
+		});
+
+	});
+
+	describe('fakeGlobals()', function() {
+
+		var RealDate = Date,
+			realSetTimeout = globalObject.setTimeout,
+			realRandom = Math.random;
+
+		/**
+		 * Creates the clock for fakes with a custom adapter, which ignores
+		 * the hooks so the tests can install and restore the fakes themselves.
+		 * @param {string[]} names The globals to fake.
+		 * @param {Object} [options] The options for fakeGlobals().
+		 * @returns {Object} The clock.
+		 */
+		function createClock(names, options) {
+
+			leche.useAdapter({
+				describe: function() {},
+				it: function() {},
+				before: function() {},
+				after: function() {}
+			});
+
+			try {
+				return leche.fakeGlobals(names, options);
+			} finally {
+				leche.useAdapter(null);
+			}
+		}
+
+		describe('in a describe() block', function() {
+
+			var clock = leche.fakeGlobals(['Date', 'setTimeout', 'Math.random'], { now: new Date(1000), seed: 7 });
+
+			it('should fake Date', function() {
+				assert.equal(Date.now(), 1000);
+				assert.equal(new Date().getTime(), 1000);
+				assert.equal(new Date(5).getTime(), 5);
+				assert.instanceOf(new Date(), RealDate);
+				assert.instanceOf(new RealDate(), Date);
+			});
+
+			it('should fire timers when the clock moves forward', function() {
+				var spy = sandbox.spy();
+
+				setTimeout(spy, 100, 'a');
+				clock.tick(99);
+				assert.isFalse(spy.called);
+				clock.tick(1);
+				assert.isTrue(spy.calledWithExactly('a'));
+				assert.equal(Date.now(), 1100);
+			});
+
+			it('should fake Math.random with the seed', function() {
+				assert.equal(clock.seed, 7);
+				assert.equal(Math.random, clock.random);
+				assert.notEqual(Math.random, realRandom);
+			});
+
+		});
+
+		describe('after a describe() block', function() {
+
+			it('should restore the globals', function() {
+				assert.equal(Date, RealDate);
+				assert.equal(globalObject.setTimeout, realSetTimeout);
+				assert.equal(Math.random, realRandom);
+			});
+
+		});
+
+		it('should fire timers in order and repeat intervals', function() {
+			var clock = createClock(['setTimeout', 'setInterval']),
+				calls = [],
+				interval;
+
+			clock.install();
+
+			try {
+				setTimeout(function() {
+					calls.push('timeout 50 at ' + clock.now());
+				}, 50);
+				interval = setInterval(function() {
+					calls.push('interval at ' + clock.now());
+				}, 20);
+				setTimeout(function() {
+					calls.push('cleared');
+				}, 10).unref();
+				clearTimeout(3);
+
+				clock.tick(60);
+				clearInterval(interval);
+				clock.tick(100);
+			} finally {
+				clock.restore();
+			}
+
+			assert.deepEqual(calls, ['interval at 20', 'interval at 40', 'timeout 50 at 50', 'interval at 60']);
+			assert.equal(clock.now(), 160);
+		});
+
+		it('should run every timer with runAll()', function() {
+			var clock = createClock(['setTimeout', 'setImmediate']),
+				calls = [];
+
+			clock.install();
+
+			try {
+				setTimeout(function() {
+					calls.push('timeout');
+					setTimeout(function() {
+						calls.push('nested timeout');
+					}, 1000);
+				}, 10);
+				setImmediate(function() {
+					calls.push('immediate');
+				});
+
+				assert.equal(clock.runAll(), 1010);
+			} finally {
+				clock.restore();
+			}
+
+			assert.deepEqual(calls, ['immediate', 'timeout', 'nested timeout']);
+		});
+
+		it('should throw an error when runAll() keeps running timers', function() {
+			var clock = createClock(['setInterval']);
+
+			clock.install();
+
+			try {
+				setInterval(function() {}, 0);
+				assert.throws(function() {
+					clock.runAll();
+				}, /Stopped after running 1000 timers\. There may be a timer that keeps creating new timers\./);
+			} finally {
+				clock.restore();
+			}
+		});
+
+		it('should change the time without firing timers with setSystemTime()', function() {
+			var clock = createClock(['Date', 'setTimeout']),
+				spy = sandbox.spy();
+
+			clock.install();
+
+			try {
+				setTimeout(spy, 100);
+				clock.setSystemTime(new Date(50000));
+				assert.equal(Date.now(), 50000);
+				assert.isFalse(spy.called);
+				clock.tick(100);
+				assert.isTrue(spy.calledOnce);
+			} finally {
+				clock.restore();
+			}
+		});
+
+		it('should behave like the real globals in the less common cases', function() {
+			var clock = createClock(['Date', 'setTimeout'], { now: 1000 }),
+				timer;
+
+			clock.install();
+			clock.install();
+
+			try {
+				timer = setTimeout(function() {}, 10);
+
+				assert.isFalse(timer.unref().hasRef());
+				assert.isTrue(timer.ref().hasRef());
+				assert.equal(Date(), String(new RealDate(1000)));
+				assert.throws(function() {
+					setTimeout('code', 10);
+				}, /Fake timers only support functions as callbacks\./);
+			} finally {
+				clock.restore();
+				clock.restore();
+			}
+
+			assert.equal(Date, RealDate);
+			assert.equal(globalObject.setTimeout, realSetTimeout);
+		});
+
+		it('should create the same random numbers for the same seed', function() {
+			var first = createClock(['Math.random'], { seed: 42 }),
+				second = createClock(['Math.random'], { seed: 42 });
+
+			assert.deepEqual([first.random(), first.random()], [second.random(), second.random()]);
+		});
+
+		it('should throw an error when a global is already faked', function() {
+			var first = createClock(['Date']),
+				second = createClock(['Date']);
+
+			first.install();
+
+			try {
+				assert.throws(function() {
+					second.install();
+				}, /Date is already faked by fakeGlobals\(\)\./);
+			} finally {
+				first.restore();
+			}
+
+			assert.equal(Date, RealDate);
+		});
+
+		it('should throw an error when the names are not valid', function() {
+			assert.throws(function() {
+				createClock([]);
+			}, /First argument must be a non-empty array of globals to fake\./);
+			assert.throws(function() {
+				createClock(['process.nextTick']);
+			}, /Cannot fake "process\.nextTick"\. Use one of: Date, setTimeout, setInterval, setImmediate, Math\.random\./);
+		});
+
+		it('should throw an error when the options are not valid', function() {
+			assert.throws(function() {
+				createClock(['Date'], { now: 'today' });
+			}, /The now option must be a number of milliseconds or a Date\./);
+			assert.throws(function() {
+				createClock(['Date']).tick(-1);
+			}, /tick\(\) requires a non-negative number of milliseconds\./);
+		});
+
+	});
+
+	describe('sandbox()', function() {
+
+		it('should record calls to the fakes it creates', function() {
+
+			var box = leche.sandbox(),
+				fake = box.create(['save']);
+
+			fake.save(1);
+
+			assert.deepEqual(leche.calls(fake, 'save')[0].args, [1]);
+			box.verifyAndRestore();
+		});
+
+		it('should not record calls when the record option is false', function() {
+
+			var box = leche.sandbox(),
+				fake = box.fake({ save: function() {} }, { record: false });
+
+			assert.throws(function() {
+				leche.calls(fake);
+			}, /Calls are not being recorded for this object\./);
+		});
+
+		it('should throw an error that lists unexpected calls in the order they were made', function() {
+
+			var box = leche.sandbox(),
+				first = box.fake({ save: function() {} }),
+				second = box.fake({ load: function() {} });
+
+			try {
+				second.load('b');
+			} catch (ex) {
+				// swallowed like the code under test might
+			}
+
+			try {
+				first.save('a');
+			} catch (ex) {
+				// swallowed like the code under test might
+			}
+
+			assert.throws(function() {
+				box.verify();
+			}, 'The sandbox found 1 problem:\n\nUnexpected calls were made:\n    load(b)\n    save(a)');
+		});
+
+		it('should not throw when there are no problems', function() {
+
+			var box = leche.sandbox(),
+				fake = box.fake({ save: function() {} }, { stub: { save: leche.returns(true) } });
+
+			fake.save();
+			box.verify();
+		});
+
+		it('should track fake classes, contracts and other objects once each', function() {
+
+			var box = leche.sandbox(),
+				FakePerson = box.fakeClass(createClass()),
+				service = box.fromContract({ methods: ['save'] }),
+				quiet = box.fake({ load: function() {} }, { record: false }),
+				checker = {
+					verify: function() {
+						throw 'not verified';
+					}
+				};
+
+			box.track(checker);
+			box.track(checker);
+			box.track(quiet);
+
+			try {
+				service.save(1);
+			} catch (ex) {
+				// swallowed like the code under test might
+			}
+
+			assert.isFunction(FakePerson);
+			assert.throws(function() {
+				box.verify();
+			}, 'The sandbox found 2 problems:\n\nUnexpected calls were made:\n    save(1)\n\nnot verified');
+		});
+
+		it('should include the errors thrown by the verify() methods of tracked objects', function() {
+
+			var box = leche.sandbox(),
+				object = { save: function() {} },
+				mock = box.track(sinon.mock(object));
+
+			mock.expects('save').once();
+
+			assert.throws(function() {
+				box.verifyAndRestore();
+			}, /^The sandbox found 1 problem:\n\nExpected save\(\[\.\.\.\]\) once \(never called\)/);
+			assert.notProperty(object.save, 'restore');
+		});
+
+		it('should never call the verify() or restore() methods of a fake', function() {
+
+			var box = leche.sandbox();
+
+			box.create(['verify', 'restore']);
+			box.verifyAndRestore();
+		});
+
+		it('should put back replaced properties in reverse order when restored', function() {
+
+			var box = leche.sandbox(),
+				object = { name: 'real' };
+
+			box.replace(object, 'name', 'first');
+			box.replace(object, 'name', 'second');
+			box.replace(object, 'extra', true);
+			assert.equal(object.name, 'second');
+
+			box.restore();
+
+			assert.deepEqual(object, { name: 'real' });
+		});
+
+		it('should restore even when verification fails', function() {
+
+			var box = leche.sandbox(),
+				object = { name: 'real' };
+
+			box.replace(object, 'name', 'fake');
+			box.track({
+				verify: function() {
+					throw new Error('Not called.');
+				}
+			});
+
+			assert.throws(function() {
+				box.verifyAndRestore();
+			}, /^The sandbox found 1 problem:\n\nNot called\.$/);
+			assert.equal(object.name, 'real');
+		});
+
+		it('should install fake globals right away and restore them', function() {
+
+			var RealDate = Date,
+				box = leche.sandbox(),
+				clock = box.fakeGlobals(['Date'], { now: 5 });
+
+			try {
+				assert.equal(Date.now(), 5);
+				clock.tick(5);
+				assert.equal(Date.now(), 10);
+			} finally {
+				box.restore();
+			}
+
+			assert.equal(Date, RealDate);
+		});
+
+		describeInNode('with modules', function() {
+
+			it('should install modules and restore them', function() {
+
+				var box = leche.sandbox(),
+					real = require(GREETING_MODULE),
+					fake = box.fakeModule(GREETING_MODULE);
+
+				box.installModule(GREETING_MODULE, fake);
+				assert.equal(require(GREETING_MODULE), fake);
+
+				box.restore();
+				assert.equal(require(GREETING_MODULE), real);
+			});
+
+		});
+
+	});
+
+	describe('useSandbox()', function() {
+
+		afterEach(function() {
+			leche.useAdapter(null);
+		});
+
+		/**
+		 * Calls useSandbox() with a custom adapter that keeps the hooks so
+		 * the tests can run them.
+		 * @returns {Object} The hooks, by type.
+		 */
+		function useSandboxHooks() {
+
+			var hooks = {};
+
+			leche.useAdapter({
+				describe: function() {},
+				it: function() {},
+				beforeEach: function(fn) {
+					hooks.beforeEach = fn;
+				},
+				afterEach: function(fn) {
+					hooks.afterEach = fn;
+				}
+			});
+
+			try {
+				hooks.sandbox = leche.useSandbox();
+			} finally {
+				leche.useAdapter(null);
+			}
+
+			return hooks;
+		}
+
+		it('should track the fakes made during a test and fail with a summary of unexpected calls', function() {
+
+			var hooks = useSandboxHooks(),
+				fake;
+
+			hooks.beforeEach();
+			fake = leche.fake({ save: function() {} });
+
+			try {
+				fake.save('a');
+			} catch (ex) {
+				// swallowed like the code under test might
+			}
+
+			assert.throws(function() {
+				hooks.afterEach();
+			}, 'The sandbox found 1 problem:\n\nUnexpected calls were made:\n    save(a)');
+
+			// the next test starts clean
+			hooks.beforeEach();
+			hooks.afterEach();
+		});
+
+		it('should only record calls by default while a test is running', function() {
+
+			var hooks = useSandboxHooks(),
+				fake;
+
+			hooks.beforeEach();
+			fake = leche.create(['save']);
+			hooks.afterEach();
+
+			assert.deepEqual(leche.calls(fake), []);
+			assert.throws(function() {
+				leche.calls(leche.create(['save']));
+			}, /Calls are not being recorded for this object\./);
+		});
+
+		it('should verify objects tracked with the sandbox it returns', function() {
+
+			var hooks = useSandboxHooks(),
+				object = { save: function() {} };
+
+			hooks.beforeEach();
+			hooks.sandbox.track(sinon.mock(object)).expects('save').once();
+
+			assert.throws(function() {
+				hooks.afterEach();
+			}, /Expected save\(\[\.\.\.\]\) once \(never called\)/);
+		});
+
+		it('should throw an error when the adapter does not support hooks', function() {
+			leche.useAdapter({ describe: function() {}, it: function() {} });
+
+			assert.throws(function() {
+				leche.useSandbox();
+			}, /The custom adapter doesn't support beforeEach\(\) hooks\./);
+		});
+
+		describe('in a describe() block', function() {
+
+			var RealDate = Date,
+				box = leche.useSandbox(),
+				object = { name: 'real' };
+
+			it('should record calls and install fake globals until the test is done', function() {
+
+				var fake = leche.fake({ save: function() {} }, { stub: { save: leche.returns(true) } }),
+					clock = leche.fakeGlobals(['Date'], { now: 1 });
+
+				fake.save(1);
+				box.replace(object, 'name', 'fake');
+
+				assert.deepEqual(leche.calls(fake, 'save')[0].args, [1]);
+				assert.equal(Date.now(), 1);
+				assert.equal(clock.now(), 1);
+			});
+
+			it('should restore what the previous test changed', function() {
+				assert.equal(Date, RealDate);
+				assert.equal(object.name, 'real');
+			});
+
+		});
+
+		describeInNode('with modules', function() {
+
+			var real = require(GREETING_MODULE);
+
+			leche.useSandbox();
+
+			it('should track the modules installed during a test', function() {
+				leche.installModule(GREETING_MODULE, leche.fakeModule(GREETING_MODULE));
+				assert.notEqual(require(GREETING_MODULE), real);
+			});
+
+			it('should restore modules after the test', function() {
+				assert.equal(require(GREETING_MODULE), real);
+			});
+
+		});
+
+		describeInNode('with Mocha', function() {
+
+			var Mocha = require('mocha');
+
+			it('should report problems against the test and keep running the rest of the tests', function(done) {
+
+				var suite = new Mocha.Suite('', new Mocha.Context()),
+					runner = new Mocha.Runner(suite),
+					failures = [],
+					passes = [],
+					fake;
+
+				leche.useAdapter({
+					describe: function() {},
+					it: function() {},
+					beforeEach: function(fn) {
+						suite.beforeEach(fn);
+					},
+					afterEach: function(fn) {
+						suite.afterEach(fn);
+					}
+				});
+
+				try {
+					leche.useSandbox();
+				} finally {
+					leche.useAdapter(null);
+				}
+
+				suite.addTest(new Mocha.Test('first', function() {
+					fake = leche.fake({ save: function() {} });
+					try {
+						fake.save(1);
+					} catch (ex) {
+						// swallowed like the code under test might
+					}
+					throw new Error('The first test failed.');
+				}));
+				suite.addTest(new Mocha.Test('second', function() {
+					fake = leche.fake({ save: function() {} });
+					try {
+						fake.save(2);
+					} catch (ex) {
+						// swallowed like the code under test might
+					}
+				}));
+				suite.addTest(new Mocha.Test('third', function() {
+					fake = leche.fake({ save: function() {} });
+				}));
+
+				runner.on('fail', function(runnable, error) {
+					failures.push([runnable.type, runnable.title, error.message]);
+				});
+				runner.on('pass', function(test) {
+					passes.push(test.title);
+				});
+
+				runner.run(function() {
+					try {
+						assert.deepEqual(failures, [
+							['test', 'first', 'The first test failed.'],
+							['test', 'second', 'The sandbox found 1 problem:\n\nUnexpected calls were made:\n    save(2)']
+						]);
+						assert.include(passes, 'third');
+						done();
+					} catch (ex) {
+						done(ex);
+					}
+				});
+			});
+
+		});
+
+	});
+
+	describe('withData()', function(){
+
+		it('should call the passed-in function multiple times with an object dataset', function() {
+			var spy = sandbox.spy();
+
+			withData({
+				name1: [ 1, 2 ],
+				name2: [ 3, 4 ]
+			}, spy);
+
+			var firstCall = spy.getCall(0),
+				secondCall = spy.getCall(1);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(firstCall.calledWith(1, 2));
+			assert.isTrue(secondCall.calledWith(3, 4));
+		});
+
+		it('should call the passed-in function multiple times with an object dataset and non-array values', function() {
+			var spy = sandbox.spy();
+
+			withData({
+				name1: 1,
+				name2: 2
+			}, spy);
+
+			var firstCall = spy.getCall(0),
+				secondCall = spy.getCall(1);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(firstCall.calledWith(1));
+			assert.isTrue(secondCall.calledWith(2));
+		});
+
+		it('should call the passed-in function multiple times with an array dataset', function() {
+			var spy = sandbox.spy();
+
+			withData([
+				[ 1, 2 ],
+				[ 3, 4 ]
+			], spy);
+
+			var firstCall = spy.getCall(0),
+				secondCall = spy.getCall(1);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(firstCall.calledWith(1, 2));
+			assert.isTrue(secondCall.calledWith(3, 4));
+		});
+
+		it('should call the passed-in function multiple times with an array of objects', function() {
+			var spy = sandbox.spy();
+
+			withData([
+				[ {a: 1}, {b: 2} ],
+				[ {c: 3}, {d: 4} ]
+			], spy);
+
+			var firstCall = spy.getCall(0),
+				secondCall = spy.getCall(1);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(firstCall.calledWith({a: 1}, {b: 2}));
+			assert.isTrue(secondCall.calledWith({c: 3}, {d: 4}));
+		});
+
+		it('should call the passed-in function multiple times with an array dataset and non-array values', function() {
+			var spy = sandbox.spy();
+
+			withData([
+				1,
+				2
+			], spy);
+
+			var firstCall = spy.getCall(0),
+				secondCall = spy.getCall(1);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(firstCall.calledWith(1));
+			assert.isTrue(secondCall.calledWith(2));
+		});
+
+		it('should call the passed-in function multiple times with an array dataset of plain object values', function() {
+			var spy = sandbox.spy();
+
+			withData([
+				{a: 1},
+				{b: 2}
+			], spy);
+
+			var firstCall = spy.getCall(0),
+				secondCall = spy.getCall(1);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(firstCall.calledWith({a: 1}));
+			assert.isTrue(secondCall.calledWith({b: 2}));
+		});
+
+		it('should throw an error when the first argument is null', function() {
+			assert.throws(function() {
+				withData(null, function() {});
+			}, /First argument must be/);
+		});
+
+		it('should throw an error when the first argument is an empty array', function() {
+			assert.throws(function() {
+				withData([], function() {});
+			}, /First argument must be/);
+		});
+
+		it('should call the passed-in function multiple times with a function that returns a dataset', function() {
+			var spy = sandbox.spy();
+
+			withData(function() {
+				return [ [ 1, 2 ], [ 3, 4 ] ];
+			}, spy);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(spy.getCall(0).calledWith(1, 2));
+			assert.isTrue(spy.getCall(1).calledWith(3, 4));
+		});
+
+		itWithSymbol('should call the passed-in function multiple times with an iterable dataset', function() {
+			var spy = sandbox.spy();
+			var iterable = {};
+
+			iterable[Symbol.iterator] = function() {
+				var values = [ [ 1, 2 ], [ 3, 4 ] ];
+				return {
+					next: function() {
+						return values.length ? { value: values.shift(), done: false } : { done: true };
+					}
+				};
+			};
+
+			withData(iterable, spy);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(spy.getCall(0).calledWith(1, 2));
+			assert.isTrue(spy.getCall(1).calledWith(3, 4));
+		});
+
+		it('should throw an error when a function returns an empty array', function() {
+			assert.throws(function() {
+				withData(function() {
+					return [];
+				}, function() {});
+			}, /First argument must be/);
+		});
+
+		itWithPromise('should reject in the before() hook when a promise resolves to an empty array', function() {
+
+			var hooks = [];
+			var placeholder = {};
+			sandbox.stub(globalObject, 'it').returns(placeholder);
+			sandbox.stub(globalObject, 'before').callsFake(function(fn) {
+				hooks.push(fn);
+			});
+
+			withData(Promise.resolve([]), function() {});
+
+			globalObject.it.restore();
+			globalObject.before.restore();
+
+			var suite = { tests: [placeholder] };
+
+			return hooks[0].call({ test: { parent: suite } }).then(function() {
+				throw new Error('Promise should have been rejected.');
+			}, function(ex) {
+				assert.match(ex.message, /First argument must be/);
+				assert.equal(suite.tests.length, 0);
+			});
+		});
+
+		describe('hooks', function() {
+
+			var events = [];
+
+			withData({
+				first: [1, 2],
+				second: [3, 4]
+			}, {
+				before: function(a, b) {
+					events.push('before ' + a + ',' + b);
+					return { sum: a + b };
+				},
+				beforeEach: function(a) {
+					events.push('beforeEach ' + a);
+					return Promise.resolve({ label: this.leche.label });
+				},
+				afterEach: function(a) {
+					events.push('afterEach ' + a);
+				},
+				after: function(a) {
+					events.push('after ' + a);
+				}
+			}, function(a, b) {
+
+				it('should have the values returned by the hooks on this.leche.context', function() {
+					assert.deepEqual(this.leche.context, {
+						sum: a + b,
+						label: a === 1 ? 'first' : 'second'
+					});
+				});
+
+				it('should run the hooks with the arguments of the item', function() {
+					assert.equal(events[events.length - 1], 'beforeEach ' + a);
+				});
+			});
+
+			// Mocha runs the tests of a block before its nested blocks, so this has to be nested too
+			describe('after the items', function() {
+
+				it('should have run the hooks of each item in the describe() block of the item', function() {
+					assert.deepEqual(events, [
+						'before 1,2', 'beforeEach 1', 'afterEach 1', 'beforeEach 1', 'afterEach 1', 'after 1',
+						'before 3,4', 'beforeEach 3', 'afterEach 3', 'beforeEach 3', 'afterEach 3', 'after 3'
+					]);
+				});
+
+			});
+
+			it('should throw an error when a hook option is not a function', function() {
+				assert.throws(function() {
+					withData([1], { beforeEach: 'setup' }, function() {});
+				}, /The beforeEach option must be a function\./);
+			});
+
+		});
+
+		describe('row metadata', function() {
+
+			it('should pass the metadata as the last argument when meta is true', function() {
+				var spy = sandbox.spy();
+
+				withData({
+					first: [1, 2],
+					second: leche.skip(3)
+				}, { meta: true }, spy);
+
+				assert.deepEqual(spy.firstCall.args, [1, 2, { label: 'first', index: 0, row: [1, 2], context: {} }]);
+				assert.deepEqual(spy.secondCall.args, [3, { label: 'second', index: 1, row: 3, context: {} }]);
+			});
+
+			it('should not pass the metadata as an argument by default', function() {
+				var spy = sandbox.spy();
+
+				withData([[1, 2]], spy);
+
+				assert.deepEqual(spy.firstCall.args, [1, 2]);
+			});
+
+			describe('on this.leche', function() {
+
+				var metas = [];
+
+				withData([[1, 2], [3, 4]], function(first, second) {
+
+					var meta = this.leche;
+
+					metas.push(meta);
+
+					it('should have the label, index and row of the item', function() {
+						assert.deepEqual(meta, {
+							label: first + ',' + second,
+							index: first === 1 ? 0 : 1,
+							row: [first, second],
+							context: {}
+						});
+					});
+
+					it('should be available inside tests', function() {
+						assert.equal(this.leche, meta);
+					});
+				});
+
+				it('should be different for every item', function() {
+					assert.lengthOf(metas, 2);
+					assert.notEqual(metas[0], metas[1]);
+				});
+
+			});
+
+		});
+
+		describeWithPromise('with a promise for a dataset', function() {
+
+			var calls = [];
+
+			after(function() {
+				assert.deepEqual(calls, [ [ 1, 2 ], [ 3, 4 ] ]);
+			});
+
+			withData(Promise.resolve([
+				[ 1, 2 ],
+				[ 3, 4 ]
+			]), function(first, second) {
+
+				var title = this.title;
+
+				before(function() {
+					calls.push([first, second]);
+				});
+
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + [first, second]);
+					assert.equal(title, TEST_PREFIX + [first, second]);
+				});
+
+				describe('nested', function() {
+					it('should run nested tests', function() {
+						assert.equal(this.test.parent.parent.title, TEST_PREFIX + [first, second]);
+					});
+				});
+			});
+
+		});
+
+		describeWithPromise('with a function that returns a promise for an object dataset', function() {
+
+			var calls = [];
+
+			after(function() {
+				assert.deepEqual(calls, [ 'first', 'second' ]);
+			});
+
+			withData(function() {
+				return Promise.resolve({
+					first: 1,
+					second: 2
+				});
+			}, function(value) {
+				it('should report the test name', function() {
+					calls.push(this.test.parent.title.slice(TEST_PREFIX.length));
+					assert.isNumber(value);
+				});
+			});
+
+		});
+
+		describeWithAsyncIterator('with an async iterable dataset', function() {
+
+			var order = [];
+
+			/**
+			 * Creates an async iterable that yields each value on a later turn,
+			 * the way an async generator does.
+			 * @param {Array} values The values to yield.
+			 * @returns {Object} The async iterable.
+			 */
+			function createAsyncIterable(values) {
+
+				var iterable = {};
+
+				iterable[Symbol.asyncIterator] = function() {
+
+					var index = 0;
+
+					return {
+						next: function() {
+							return new Promise(function(resolve) {
+								setTimeout(function() {
+									resolve(index < values.length ?
+										{ value: values[index++], done: false } :
+										{ value: undefined, done: true });
+								}, 0);
+							});
+						}
+					};
+				};
+
+				return iterable;
+			}
+
+			after(function() {
+				assert.deepEqual(order, ['sync', 'async 1', 'async 2']);
+			});
+
+			withData(createAsyncIterable([[1], [2]]), function(value) {
+				it('should create a block for each value', function() {
+					order.push('async ' + value);
+				});
+			});
+
+			withData([['sync']], function(value) {
+				it('should run before the blocks for the async iterable', function() {
+					order.push(value);
+				});
+			});
+
+		});
+
+		describe('test names with a title template', function() {
+
+			withData([
+				[1, 2, 3],
+				[2, 2, 4]
+			], {
+				title: '%s plus %s equals %s'
+			}, function(first, second, sum) {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + first + ' plus ' + second + ' equals ' + sum);
+				});
+			});
+
+		});
+
+		describe('test names with a title template using property names', function() {
+
+			withData([
+				{ name: 'alice', role: 'admin' },
+				{ name: 'bob', role: { id: 1 } }
+			], {
+				title: '{name} as {role} (%%)'
+			}, function(user) {
+				it('should report the test name', function() {
+					var role = typeof user.role === 'string' ? user.role : JSON.stringify(user.role);
+					assert.equal(this.test.parent.title, TEST_PREFIX + user.name + ' as ' + role + ' (%)');
+				});
+			});
+
+		});
+
+		describe('test names with a title template and an object dataset', function() {
+
+			withData({
+				first: [1, { user: { name: 'alice' } }]
+			}, {
+				title: '{0} for {1.user.name} and {missing}'
+			}, function() {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + '1 for alice and {missing}');
+				});
+			});
+
+		});
+
+		describe('test names with a title template that has more placeholders than arguments', function() {
+
+			withData([
+				[1, 2]
+			], {
+				title: '%s, %s, %s and {2}'
+			}, function() {
+				it('should leave the placeholders as they are', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + '1, 2, %s and {2}');
+				});
+			});
+
+		});
+
+		describe('test names with a naming function', function() {
+
+			withData([
+				[1, 2]
+			], {
+				title: function(first, second) {
+					return first + ' and ' + second;
+				}
+			}, function() {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + '1 and 2');
+				});
+			});
+
+		});
+
+		describe('test names with a custom truncation length', function() {
+
+			withData([
+				{ description: 'a rather long value' }
+			], {
+				maxLength: 10
+			}, function(object) {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + JSON.stringify(object).slice(0, 10));
+				});
+			});
+
+		});
+
+		describe('implicit test names with nested arrays', function() {
+
+			withData([
+				[1, [2, [3, { a: 4 }]]]
+			], function() {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + '1,[2,[3,{"a":4}]]');
+				});
+			});
+
+		});
+
+		describe('implicit test names with deeply nested arrays', function() {
+
+			withData([
+				[1, [2, [3, [4, [5, [6]]]]]]
+			], function() {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + '1,[2,[3,[4,[5,[...]]]]]');
+				});
+			});
+
+		});
+
+		describe('implicit test names with circular objects of an anonymous class', function() {
+
+			var Anonymous = (function() {
+					return function() {};
+				}()),
+				circular = new Anonymous();
+
+			circular.self = circular;
+
+			withData([
+				circular
+			], function() {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + 'Object');
+				});
+			});
+
+		});
+
+		describe('implicit test names with circular objects', function() {
+
+			var circular = {};
+			circular.self = circular;
+
+			withData([
+				circular
+			], function() {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + 'Object');
+				});
+			});
+
+		});
+
+		describe('implicit test names with arrays of class instances', function() {
+
+			function TestClass(value) {
+				this.value = value;
+			}
+
+			withData([
+				[[new TestClass(1), new TestClass(2)]]
+			], function() {
+				it('should report the test name', function() {
+					assert.equal(this.test.parent.title, TEST_PREFIX + '[TestClass {"value":1},TestClass {"value":2}]');
+				});
+			});
+
+		});
+
+		it('should call the passed-in function for every item when items have the same label', function() {
+			var spy = sandbox.spy();
+
+			withData([1, '1', 1], spy);
+
+			assert.equal(spy.callCount, 3);
+			assert.isTrue(spy.getCall(0).calledWith(1));
+			assert.isTrue(spy.getCall(1).calledWith('1'));
+			assert.isTrue(spy.getCall(2).calledWith(1));
+		});
+
+		it('should throw an error listing items with the same label when duplicates is "error"', function() {
+			assert.throws(function() {
+				withData([1, 2, '1', 2, 1], { duplicates: 'error' }, function() {});
+			}, /duplicate labels:\n {4}"1" is used by the items at indexes 0, 2, 4\n {4}"2" is used by the items at indexes 1, 3$/);
+		});
+
+		it('should throw an error when duplicates is not recognized', function() {
+			assert.throws(function() {
+				withData([1], { duplicates: 'ignore' }, function() {});
+			}, /Unknown duplicates option "ignore"/);
+		});
+
+		describe('test names with duplicate labels', function() {
+
+			var titles = [];
+
+			after(function() {
+				assert.deepEqual(titles, [
+					TEST_PREFIX + '1',
+					TEST_PREFIX + '1 #3',
+					TEST_PREFIX + '1 #2',
+					TEST_PREFIX + '{"description":"the same first',
+					TEST_PREFIX + '{"description":"the same first #2'
+				]);
+			});
+
+			withData([
+				1,
+				'1',
+				'1 #2',
+				{ description: 'the same first 30 characters, then a' },
+				{ description: 'the same first 30 characters, then b' }
+			], function() {
+				it('should report the test name', function() {
+					titles.push(this.test.parent.title);
+				});
+			});
+
+		});
+
+		describe('with items marked by only() and skip()', function() {
+
+			it('should use describe.only() for items marked by only()', function() {
+				var only = sandbox.stub(globalObject.describe, 'only');
+
+				withData([leche.only([1, 2]), [3, 4]], function() {});
+				only.restore();
+
+				assert.isTrue(only.calledOnce);
+				assert.equal(only.firstCall.args[0], TEST_PREFIX + '1,2');
+			});
+
+			it('should use describe.skip() with the reason in the title for items marked by skip()', function() {
+				var skip = sandbox.stub(globalObject.describe, 'skip');
+
+				withData({
+					first: leche.skip([1, 2], 'flaky'),
+					second: leche.skip(3)
+				}, function() {});
+				skip.restore();
+
+				assert.isTrue(skip.calledTwice);
+				assert.equal(skip.firstCall.args[0], TEST_PREFIX + 'first (skipped: flaky)');
+				assert.equal(skip.secondCall.args[0], TEST_PREFIX + 'second');
+			});
+
+			it('should pass the arguments of marked items to the passed-in function', function() {
+				var spy = sandbox.spy();
+				var skip = sandbox.stub(globalObject.describe, 'skip').callsFake(function(title, fn) {
+					fn();
+				});
+
+				withData([leche.skip([1, 2])], spy);
+				skip.restore();
+
+				assert.isTrue(spy.calledWith(1, 2));
+			});
+
+			it('should label marked items by their values', function() {
+				var only = sandbox.stub(globalObject.describe, 'only');
+
+				withData([leche.only({ a: 1 })], function() {});
+				only.restore();
+
+				assert.equal(only.firstCall.args[0], TEST_PREFIX + '{"a":1}');
+			});
+
+			describe('skipped items', function() {
+
+				withData([leche.skip(1, 'not ready')], function() {
+					it('should be pending', function() {
+						throw new Error('Skipped tests should not run.');
+					});
+				});
+
+			});
+
+		});
+
+		describe('withData.only()', function() {
+
+			it('should use describe.only() for every item that is not skipped', function() {
+				var only = sandbox.stub(globalObject.describe, 'only');
+				var skip = sandbox.stub(globalObject.describe, 'skip');
+
+				withData.only([1, leche.skip(2), 3], function() {});
+				only.restore();
+				skip.restore();
+
+				assert.isTrue(only.calledTwice);
+				assert.isTrue(skip.calledOnce);
+				assert.equal(skip.firstCall.args[0], TEST_PREFIX + '2');
+			});
+
+		});
+
+		describe('withData.skip()', function() {
+
+			withData.skip([1, 2], { title: 'item %s' }, function() {
+				it('should be pending', function() {
+					throw new Error('Skipped tests should not run.');
+				});
+			});
+
+		});
+
+		describeWithPromise('with a promise for a dataset with marked items', function() {
+
+			var calls = [];
+
+			after(function() {
+				assert.deepEqual(calls, [2]);
+				assert.deepEqual(this.test.parent.suites.map(function(suite) {
+					return [suite.title, suite.pending];
+				}), [
+					[TEST_PREFIX + '1', true],
+					[TEST_PREFIX + '2', false],
+					[TEST_PREFIX + '3 (skipped: flaky)', true]
+				]);
+			});
+
+			withData(Promise.resolve([1, leche.only(2), leche.skip(3, 'flaky')]), function(value) {
+				it('should only run focused items', function() {
+					calls.push(value);
+				});
+			});
+
+		});
+
+		describe('explicit test names', function() {
+
+			withData({
+				testName: 'testName',
+				'wonderful test name': 'wonderful test name'
+			}, function(expected) {
+				it('should report the test name', function() {
+
+					// @REVIEW(naeims) 2014-02-26: Make 'with ' a constant because it is used multiple times.
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + expected);
+				});
+			});
+
+		});
+
+		describe('implicit test names with arrays', function() {
+
+			withData([
+				[ 1, 2 ],
+				[ 3, 4 ]
+			], function(first, second) {
+				it('should report the test name', function() {
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + [first, second]);
+				});
+			});
+
+		});
+
+		describe('implicit test names with arrays of objects', function() {
+
+			withData([
+				[ {a: 1}, {b: 2} ],
+				[ {c: 3}, {d: 4} ]
+			], function(first, second) {
+				it('should report the test name', function() {
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + [JSON.stringify(first), JSON.stringify(second)]);
+				});
+			});
+
+		});
+
+		describe('implicit test names with null', function() {
+
+			withData([
+				null,
+			], function(expected) {
+				it('should report the test name', function() {
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + 'null');
+				});
+			});
+
+		});
+
+		describe('implicit test names with undefined', function() {
+
+			withData([
+				undefined,
+			], function(expected) {
+				it('should report the test name', function() {
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + 'undefined');
+				});
+			});
+
+		});
+
+		describe('implicit test names with primitives', function() {
+
+			withData([
+				'testName',
+				123
+			], function(expected) {
+				it('should report the test name', function() {
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + expected);
+				});
+			});
+
+		});
+
+		describe('implicit test names with plain objects', function() {
+
+			withData([
+				{a: 1}
+			], function(object) {
+				it('should report the test name', function() {
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + JSON.stringify(object));
+				});
+			});
+
+		});
+
+		describe('implicit test names with class instances', function() {
+
+			function TestClass() {
+				this.a = 1;
+			}
+
+			withData([
+				new TestClass()
+			], function(object) {
+				it('should report the test name', function() {
+
+					// checks the previous describe()'s title
+					assert.equal(this.test.parent.title, TEST_PREFIX + JSON.stringify(object));
+				});
+			});
+
+		});
+
+	});
+
+
+	describe('eachCase()', function() {
+
+		/**
+		 * Creates the tests for a dataset with a custom adapter, and returns
+		 * the arguments the adapter's it() method was called with.
+		 * @param {Array} args The arguments for eachCase().
+		 * @param {Function} [method] The function to call instead of eachCase(),
+		 *      such as eachCase.only().
+		 * @returns {Object[]} The title, callback, mode, reason and timeout of
+		 *      each test.
+		 */
+		function defineCases(args, method) {
+
+			var tests = [];
+
+			leche.useAdapter({
+				describe: function() {
+					throw new Error('Unexpected describe() block.');
+				},
+				it: function(title, fn, mode, reason, timeout) {
+					tests.push({ title: title, fn: fn, mode: mode, reason: reason, timeout: timeout });
+				}
+			});
+
+			try {
+				(method || leche.eachCase).apply(leche, args);
+			} finally {
+				leche.useAdapter(null);
+			}
+
+			return tests;
+		}
+
+		leche.eachCase([[1, 2, 3], [2, 3, 5]], 'should add %s and %s', function(first, second, sum) {
+			assert.equal(first + second, sum);
+			assert.equal(this.test.title, 'should add ' + first + ' and ' + second);
+		});
+
+		leche.eachCase({ first: [1] }, 'should have the metadata of %s on this.leche', function(value) {
+			assert.deepEqual(this.leche, { label: 'should have the metadata of 1 on this.leche', index: 0, row: [1], context: {} });
+		});
+
+		leche.eachCase([10, 20], 'should pass a done callback for %s', function(delay, done) {
+			setTimeout(done, delay);
+		});
+
+		leche.eachCase([[1, 2], [3]], 'should pass a done callback for items of different lengths starting with %s', function(first, second, done) {
+			assert.isFunction(done);
+			assert.equal(second, first === 1 ? 2 : undefined);
+			setTimeout(done, 0);
+		});
+
+		leche.eachCase([[1, 2], [3]], 'should pass the metadata before the done callback for items starting with %s', { meta: true }, function(first, second, meta, done) {
+			assert.deepEqual(meta.row, first === 1 ? [1, 2] : [3]);
+			assert.isFunction(done);
+			setTimeout(done, 0);
+		});
+
+		it('should not pass a done callback when only shorter items have fewer arguments than the test function', function() {
+
+			var tests = defineCases([[[1, 2], [3]], 'should add %s', function(first, second) {
+				return [first, second];
+			}]);
+
+			assert.deepEqual(tests.map(function(test) {
+				return [test.fn.length, test.fn()];
+			}), [[0, [1, 2]], [0, [3, undefined]]]);
+		});
+
+		leche.eachCase([10, 20], 'should set a timeout of %s seconds', {
+			timeout: function(seconds) {
+				return seconds * 1000;
+			}
+		}, function(seconds) {
+			assert.equal(this.timeout(), seconds * 1000);
+		});
+
+		if (typeof Promise === 'function') {
+			leche.eachCase([1], 'should wait for a promise from the test for %s', function(value) {
+				return Promise.resolve(value).then(function(resolved) {
+					assert.equal(resolved, 1);
+				});
+			});
+
+			leche.eachCase(Promise.resolve([[1, 1]]), 'should create tests for %s once the dataset is resolved', {
+				timeout: 1000
+			}, function(value, expected) {
+				assert.equal(value, expected);
+				assert.equal(this.timeout(), 1000);
+			});
+		}
+
+		it('should be available as withData.it()', function() {
+			assert.equal(withData.it, leche.eachCase);
+		});
+
+		it('should create a test for each item instead of a describe() block', function() {
+			var spy = sandbox.spy(),
+				tests = defineCases([{
+					first: [1, 2],
+					second: leche.skip(3, 'flaky')
+				}, 'should work with %s', { timeout: 500 }, spy]);
+
+			assert.deepEqual(tests.map(function(test) {
+				return [test.title, test.mode, test.reason, test.timeout];
+			}), [
+				['should work with 1', null, undefined, 500],
+				['should work with 3 (skipped: flaky)', 'skip', 'flaky', 500]
+			]);
+
+			tests[0].fn();
+			assert.isTrue(spy.calledWithExactly(1, 2));
+		});
+
+		it('should pass the metadata as the last argument when meta is true', function() {
+			var spy = sandbox.spy(),
+				tests = defineCases([[[1, 2]], function(a, b) {
+					return a + ' plus ' + b;
+				}, { meta: true }, spy]);
+
+			tests[0].fn();
+			assert.equal(tests[0].title, '1 plus 2');
+			assert.deepEqual(spy.firstCall.args, [1, 2, { label: '1 plus 2', index: 0, row: [1, 2], context: {} }]);
+		});
+
+		it('should focus every item with eachCase.only()', function() {
+			var tests = defineCases([[1, leche.skip(2)], '%s', function() {}], leche.eachCase.only);
+
+			assert.deepEqual(tests.map(function(test) {
+				return test.mode;
+			}), ['only', 'skip']);
+		});
+
+		it('should skip every item with eachCase.skip()', function() {
+			var tests = defineCases([[1, leche.only(2)], '%s', function() {}], leche.eachCase.skip);
+
+			assert.deepEqual(tests.map(function(test) {
+				return test.mode;
+			}), ['skip', 'skip']);
+		});
+
+		it('should shrink a failing generated value to a minimal counterexample', function() {
+
+			var error;
+
+			defineCases([leche.gen.integer({ min: 0, max: 1000 }), 'should be small', { seed: 3, runs: 50 }, function(number) {
+				assert.isBelow(number, 10);
+			}]).some(function(test) {
+				try {
+					test.fn();
+				} catch (ex) {
+					error = ex;
+					return true;
+				}
+
+				return false;
+			});
+
+			assert.match(error.message, /^expected 10 to be below 10\n\nCounterexample after shrinking \d+ times?: \[10\]\nRe-run with LECHE_SEED=3 to reproduce\.$/);
+		});
+
+		it('should throw an error when the title is missing', function() {
+			assert.throws(function() {
+				leche.eachCase([1], function() {});
+			}, /eachCase\(\) requires a title and a test function\./);
+		});
+
+		it('should throw an error when a hook option is passed', function() {
+			assert.throws(function() {
+				leche.eachCase([1], '%s', { beforeEach: function() {} }, function() {});
+			}, /The beforeEach option isn't supported by eachCase\(\)\. Use beforeEach\(\) in the surrounding describe\(\) block instead\./);
+		});
+
+		it('should throw an error when the timeout is not valid', function() {
+			assert.throws(function() {
+				leche.eachCase([1], '%s', { timeout: '1s' }, function() {});
+			}, /The timeout option must be a number of milliseconds or a function that returns one\./);
+		});
+
+	});
+
+	describe('table()', function() {
+
+		/**
+		 * Adds two numbers.
+		 * @param {number} first The first number.
+		 * @param {number} second The second number.
+		 * @returns {number} The sum.
+		 * @throws {TypeError} If either number is null.
+		 */
+		function add(first, second) {
+			if (first === null || second === null) {
+				throw new TypeError('Cannot add null');
+			}
+
+			return first + second;
+		}
+
+		/**
+		 * Creates the tests for a table with a custom adapter, and returns
+		 * their titles and callbacks.
+		 * @param {Function} fn The function to test.
+		 * @param {Object[]} rows The rows of the table.
+		 * @param {Object} [options] The options for table().
+		 * @returns {Object[]} The title and callback of each test.
+		 */
+		function defineRows(fn, rows, options) {
+
+			var tests = [];
+
+			leche.useAdapter({
+				describe: function() {},
+				it: function(title, callback) {
+					tests.push({ title: title, fn: callback });
+				}
+			});
+
+			try {
+				leche.table(fn, rows, options);
+			} finally {
+				leche.useAdapter(null);
+			}
+
+			return tests;
+		}
+
+		/**
+		 * Runs a test and returns the error it throws.
+		 * @param {Object} test The test. See defineRows().
+		 * @returns {Error} The error, or undefined if the test passes.
+		 */
+		function getError(test) {
+			try {
+				test.fn();
+			} catch (ex) {
+				return ex;
+			}
+
+			return undefined;
+		}
+
+		leche.table(add, [
+			{ args: [1, 2], returns: 3 },
+			{ args: [null, 2], throws: TypeError, message: /null/ },
+			{ args: [1, null], throws: true, message: 'Cannot add' }
+		]);
+
+		leche.table(function(value) {
+			return { value: value, items: [value] };
+		}, [
+			{ args: ['a'], returns: { items: ['a'], value: 'a' }, title: 'should compare objects deeply' }
+		]);
+
+		if (typeof Promise === 'function') {
+			leche.table(function load(value) {
+				return value === null ? Promise.reject(new RangeError('Not found')) : Promise.resolve([value]);
+			}, [
+				{ args: [1], resolves: [1] },
+				{ args: [null], rejects: RangeError, message: 'Not found' }
+			]);
+		}
+
+		it('should create titles that describe the rows', function() {
+			var tests = defineRows(add, [
+				{ args: [1, 'a'], returns: '1a' },
+				{ args: [null, 2], throws: TypeError, message: /null/ },
+				{ args: [], resolves: { sum: 0 } },
+				leche.skip({ args: [null], rejects: true, message: 'null' }, 'flaky')
+			]);
+
+			assert.deepEqual(tests.map(function(test) {
+				return test.title;
+			}), [
+				'add(1, "a") returns "1a"',
+				'add(null, 2) throws TypeError matching /null/',
+				'add() resolves to {"sum":0}',
+				'add(null) rejects with an error with a message containing "null" (skipped: flaky)'
+			]);
+		});
+
+		it('should use the name option in titles', function() {
+			var tests = defineRows(add, [{ args: [1, 2], returns: 3 }], { name: 'sum' });
+
+			assert.equal(tests[0].title, 'sum(1, 2) returns 3');
+		});
+
+		it('should include a diff when the value is not the expected one', function() {
+			var tests = defineRows(function getUser() {
+				return { name: 'Nicholas', roles: ['admin', 'user'] };
+			}, [
+				{ returns: { name: 'Nicholas', roles: ['user'] } }
+			]);
+
+			assert.equal(getError(tests[0]).message, [
+				'getUser() returned an unexpected value:',
+				'',
+				'- expected',
+				'+ actual',
+				'',
+				'  {',
+				'    name: "Nicholas",',
+				'    roles: [',
+				'+     "admin",',
+				'      "user"',
+				'    ]',
+				'  }'
+			].join('\n'));
+		});
+
+		it('should compare NaN, dates and class instances', function() {
+			var date = new Date(0),
+				tests = defineRows(function(value) {
+					return value;
+				}, [
+					{ args: [NaN], returns: NaN },
+					{ args: [date], returns: new Date(0) },
+					{ args: [{ a: 1 }], returns: Object.create({ a: 1 }) },
+					{ args: [0], returns: -0 }
+				]);
+
+			assert.isUndefined(getError(tests[0]));
+			assert.isUndefined(getError(tests[1]));
+			assert.isDefined(getError(tests[2]));
+			assert.match(getError(tests[3]).message, /^- expected\n\+ actual\n\n- -0\n\+ 0$/m);
+		});
+
+		it('should show every kind of value in diffs', function() {
+
+			var Anonymous = (function() {
+					return function() {};
+				}()),
+				tests = defineRows(function getValue() {
+
+					var value = {
+						fn: function named() {},
+						anonymousFn: (function() {
+							return function() {};
+						}()),
+						missing: undefined,
+						flag: true,
+						date: new Date(0),
+						invalid: new Date(NaN),
+						pattern: /a/g,
+						list: [],
+						empty: {},
+						'has space': 1,
+						instance: new Anonymous()
+					};
+
+					value.self = value;
+
+					return value;
+				}, [
+					{ returns: {} }
+				]);
+
+			assert.equal(getError(tests[0]).message, [
+				'getValue() returned an unexpected value:',
+				'',
+				'- expected',
+				'+ actual',
+				'',
+				'- {}',
+				'+ {',
+				'+   anonymousFn: [Function],',
+				'+   date: Date(1970-01-01T00:00:00.000Z),',
+				'+   empty: {},',
+				'+   flag: true,',
+				'+   fn: [Function: named],',
+				'+   "has space": 1,',
+				'+   instance: Object {},',
+				'+   invalid: Date(Invalid Date),',
+				'+   list: [],',
+				'+   missing: undefined,',
+				'+   pattern: /a/g,',
+				'+   self: [Circular]',
+				'+ }'
+			].join('\n'));
+		});
+
+		it('should compare regular expressions and circular references', function() {
+
+			var actual = { pattern: /a/g },
+				expected = { pattern: /a/g };
+
+			actual.self = actual;
+			expected.self = expected;
+
+			assert.isUndefined(getError(defineRows(function() {
+				return actual;
+			}, [{ returns: expected }])[0]));
+			assert.isDefined(getError(defineRows(function() {
+				return /a/;
+			}, [{ returns: /a/g }])[0]));
+		});
+
+		it('should describe errors that are not Error objects or have anonymous classes', function() {
+
+			var Anonymous = (function() {
+					return function() {};
+				}()),
+				tests = defineRows(function fail() {
+					throw 'oops';
+				}, [
+					{ throws: TypeError },
+					{ throws: true, message: 'oo' },
+					{ throws: Anonymous }
+				]);
+
+			assert.equal(getError(tests[0]).message, 'Expected fail() to throw TypeError, but it threw "oops".');
+			assert.isUndefined(getError(tests[1]));
+			assert.equal(tests[2].title, 'fail() throws an error');
+		});
+
+		itWithPromise('should fail when the promise is rejected with an unexpected error', function() {
+			var tests = defineRows(function load() {
+				return Promise.reject(new TypeError('Missing'));
+			}, [
+				{ rejects: RangeError }
+			]);
+
+			return tests[0].fn().then(function() {
+				throw new Error('The promise should have been rejected.');
+			}, function(error) {
+				assert.equal(error.message, 'Expected load() to reject with RangeError, but it rejected with TypeError: "Missing".');
+			});
+		});
+
+		it('should throw an error when the function does not throw the expected error', function() {
+			var tests = defineRows(add, [
+				{ args: [1, 2], throws: TypeError },
+				{ args: [null, 2], throws: RangeError },
+				{ args: [null, 2], throws: TypeError, message: 'undefined' }
+			]);
+
+			assert.equal(getError(tests[0]).message, 'Expected add(1, 2) to throw TypeError, but it returned 3.');
+			assert.equal(getError(tests[1]).message, 'Expected add(null, 2) to throw RangeError, but it threw TypeError: "Cannot add null".');
+			assert.equal(getError(tests[2]).message, 'Expected add(null, 2) to throw TypeError with a message containing "undefined", but it threw TypeError: "Cannot add null".');
+		});
+
+		it('should rethrow an unexpected error', function() {
+			var tests = defineRows(add, [{ args: [null, 2], returns: 2 }]);
+
+			assert.equal(getError(tests[0]).message, 'Cannot add null');
+		});
+
+		itWithPromise('should fail when the promise is not resolved or rejected as expected', function() {
+			var tests = defineRows(function load(value) {
+				return value ? Promise.resolve(value) : Promise.reject(new Error('Missing'));
+			}, [
+				{ args: [1], rejects: true },
+				{ args: [0], resolves: 0 },
+				{ args: [1], resolves: 2 }
+			]);
+
+			return Promise.all(tests.map(function(test) {
+				return test.fn().then(function() {
+					return null;
+				}, function(error) {
+					return error.message;
+				});
+			})).then(function(messages) {
+				assert.deepEqual(messages, [
+					'Expected load(1) to reject with an error, but it resolved to 1.',
+					'Missing',
+					'load(1) resolved to an unexpected value:\n\n- expected\n+ actual\n\n- 2\n+ 1'
+				]);
+			});
+		});
+
+		it('should fail when the function does not return a promise for resolves', function() {
+			var tests = defineRows(add, [{ args: [1, 2], resolves: 3 }]);
+
+			assert.equal(getError(tests[0]).message, 'Expected add(1, 2) to return a promise, but it returned 3.');
+		});
+
+		it('should throw an error when a row does not have exactly one expected result', function() {
+			assert.throws(function() {
+				leche.table(add, [{ args: [1, 2] }]);
+			}, /Each row of a table must have exactly one of: returns, throws, resolves, rejects\./);
+			assert.throws(function() {
+				leche.table(add, [{ args: [1, 2], returns: 3, throws: true }]);
+			}, /Each row of a table must have exactly one of: returns, throws, resolves, rejects\./);
+		});
+
+		it('should throw an error when a row is not valid', function() {
+			assert.throws(function() {
+				leche.table(add, [[1, 2, 3]]);
+			}, /Each row of a table must be an object\./);
+			assert.throws(function() {
+				leche.table(add, [{ args: 1, returns: 1 }]);
+			}, /The args of a table row must be an array\./);
+			assert.throws(function() {
+				leche.table(add, [{ args: [], throws: 'TypeError' }]);
+			}, /The throws of a table row must be an error class or true\./);
+			assert.throws(function() {
+				leche.table(add, [{ args: [], returns: 1, message: 'x' }]);
+			}, /The message of a table row can only be used with throws or rejects\./);
+			assert.throws(function() {
+				leche.table(add, [{ args: [], throws: true, message: 1 }]);
+			}, /The message of a table row must be a string or a regular expression\./);
+		});
+
+		it('should throw an error when the function or rows are missing', function() {
+			assert.throws(function() {
+				leche.table(null, [{ returns: 1 }]);
+			}, /First argument must be the function to test\./);
+			assert.throws(function() {
+				leche.table(add, []);
+			}, /Second argument must be a non-empty array of rows\./);
+		});
+
+	});
+
+	describe('cross()', function() {
+
+		it('should throw an error when no datasets are passed', function() {
+			assert.throws(function() {
+				leche.cross();
+			}, /cross\(\) requires at least one dataset\./);
+		});
+
+		it('should throw an error when a dataset is empty', function() {
+			assert.throws(function() {
+				leche.cross([1], []);
+			}, /First argument must be/);
+		});
+
+		it('should create every combination of the items in array datasets', function() {
+
+			var dataset = leche.cross([1, 2], ['a', 'b']);
+
+			assert.deepEqual(dataset, {
+				'1, a': [1, 'a'],
+				'1, b': [1, 'b'],
+				'2, a': [2, 'a'],
+				'2, b': [2, 'b']
+			});
+		});
+
+		it('should use the labels of object datasets and concatenate arguments', function() {
+
+			var dataset = leche.cross({
+				small: [1, 2],
+				large: [100, 200]
+			}, {
+				positive: true
+			});
+
+			assert.deepEqual(dataset, {
+				'small, positive': [1, 2, true],
+				'large, positive': [100, 200, true]
+			});
+		});
+
+		it('should use the labels created for array items', function() {
+
+			var dataset = leche.cross([[1, 2]], [{ a: 1 }]);
+
+			assert.deepEqual(dataset, {
+				'1,2, {"a":1}': [1, 2, { a: 1 }]
+			});
+		});
+
+		it('should keep items marked by only() and skip()', function() {
+			var dataset = leche.cross([leche.only(1), 2], [leche.skip('a', 'flaky'), 'b']);
+			var only = sandbox.stub(globalObject.describe, 'only');
+			var skip = sandbox.stub(globalObject.describe, 'skip');
+			var describeStub = sandbox.stub(globalObject, 'describe');
+
+			describeStub.only = only;
+			describeStub.skip = skip;
+			withData(dataset, function() {});
+			describeStub.restore();
+			only.restore();
+			skip.restore();
+
+			assert.deepEqual(skip.args.map(function(args) {
+				return args[0];
+			}), [TEST_PREFIX + '1, a (skipped: flaky)', TEST_PREFIX + '2, a (skipped: flaky)']);
+			assert.deepEqual(only.args.map(function(args) {
+				return args[0];
+			}), [TEST_PREFIX + '1, b']);
+			assert.deepEqual(describeStub.args.map(function(args) {
+				return args[0];
+			}), [TEST_PREFIX + '2, b']);
+		});
+
+		it('should create a dataset that withData() accepts', function() {
+			var spy = sandbox.spy();
+
+			withData(leche.cross([1, 2], [3]), spy);
+
+			assert.isTrue(spy.calledTwice);
+			assert.isTrue(spy.getCall(0).calledWith(1, 3));
+			assert.isTrue(spy.getCall(1).calledWith(2, 3));
+		});
+
+	});
+
+	describe('pairwise()', function() {
+
+		/**
+		 * Checks that every pair of values from any two parameters appears in
+		 * at least one row of the dataset.
+		 * @param {Object} dataset The dataset to check.
+		 * @param {Array[]} params The values of each parameter.
+		 * @returns {void}
+		 */
+		function assertAllPairsCovered(dataset, params) {
+
+			var rows = Object.keys(dataset).map(function(label) {
+				return dataset[label];
+			});
+
+			params.forEach(function(first, i) {
+				params.forEach(function(second, j) {
+					if (j <= i) {
+						return;
+					}
+
+					first.forEach(function(a) {
+						second.forEach(function(b) {
+							assert.isTrue(rows.some(function(row) {
+								return row[i] === a && row[j] === b;
+							}), 'pair ' + a + ', ' + b + ' should be covered');
+						});
+					});
+				});
+			});
+		}
+
+		it('should throw an error when no datasets are passed', function() {
+			assert.throws(function() {
+				leche.pairwise();
+			}, /pairwise\(\) requires at least one dataset\./);
+		});
+
+		it('should return the items of a single dataset', function() {
+			assert.deepEqual(leche.pairwise([1, 2]), { 1: [1], 2: [2] });
+		});
+
+		it('should create the full product for two datasets', function() {
+			assert.deepEqual(leche.pairwise([1, 2], ['a', 'b']), leche.cross([1, 2], ['a', 'b']));
+		});
+
+		it('should cover every pair with fewer items than the full product', function() {
+
+			var params = [
+				['chrome', 'firefox', 'safari'],
+				['mac', 'windows', 'linux'],
+				['en', 'fr', 'de'],
+				['small', 'large']
+			];
+
+			var dataset = leche.pairwise.apply(leche, params);
+
+			assertAllPairsCovered(dataset, params);
+			assert.isBelow(Object.keys(dataset).length, 54);
+		});
+
+		it('should label items by joining the labels of their components', function() {
+
+			var dataset = leche.pairwise([true], [1], ['a']);
+
+			assert.deepEqual(dataset, {
+				'true, 1, a': [true, 1, 'a']
+			});
+		});
+
+	});
+
+	describe('zip()', function() {
+
+		it('should throw an error when no datasets are passed', function() {
+			assert.throws(function() {
+				leche.zip();
+			}, /zip\(\) requires at least one dataset\./);
+		});
+
+		it('should throw an error when datasets have different lengths', function() {
+			assert.throws(function() {
+				leche.zip([1, 2], [3]);
+			}, /zip\(\) requires datasets with the same number of items\./);
+		});
+
+		it('should combine the items at the same position', function() {
+			assert.deepEqual(leche.zip([1, 2], { one: 'a', two: 'b' }), {
+				'1, one': [1, 'a'],
+				'2, two': [2, 'b']
+			});
+		});
+
+	});
+
+	describe('concat()', function() {
+
+		it('should throw an error when no datasets are passed', function() {
+			assert.throws(function() {
+				leche.concat();
+			}, /concat\(\) requires at least one dataset\./);
+		});
+
+		it('should keep items with the same label', function() {
+			assert.deepEqual(leche.concat({ a: 1 }, { a: 2 }), {
+				a: [1],
+				'a #2': [2]
+			});
+		});
+
+		it('should include the items of every dataset', function() {
+			assert.deepEqual(leche.concat(['a', 'b'], { third: [3, 4] }), {
+				a: ['a'],
+				b: ['b'],
+				third: [3, 4]
+			});
+		});
+
+	});
+
+	describeInNode('fromFile()', function() {
+
+		/**
+		 * Writes text to a temporary file and loads it with fromFile().
+		 * @param {string} text The contents of the file.
+		 * @param {string} extension The extension of the file, such as "csv".
+		 * @param {Object} [options] The options for fromFile().
+		 * @returns {Object} The dataset.
+		 */
+		function loadText(text, extension, options) {
+
+			var fs = require('fs'),
+				filename = require('path').join(require('os').tmpdir(), 'leche-test-' + process.pid + '.' + extension);
+
+			fs.writeFileSync(filename, text);
+
+			try {
+				return leche.fromFile(filename, options);
+			} finally {
+				fs.unlinkSync(filename);
+			}
+		}
+
+		it('should label JSON items by their keys', function() {
+			assert.deepEqual(leche.fromFile(FIXTURES_DIR + 'sums.json'), {
+				'small numbers': [1, 2, 3],
+				'large numbers': [10, 20, 30]
+			});
+		});
+
+		it('should map the columns of a CSV file to the properties of each item', function() {
+			assert.deepEqual(leche.fromFile(FIXTURES_DIR + 'sums.csv', { label: 'name' }), {
+				'small numbers': [{ first: '1', second: '2', expected: '3' }],
+				'quoted, with "quotes"': [{ first: '10', second: '20', expected: '30' }]
+			});
+		});
+
+		it('should read TSV files', function() {
+			assert.deepEqual(leche.fromFile(FIXTURES_DIR + 'sums.tsv', { label: 'name' }), {
+				'small numbers': [{ first: '1', second: '2', expected: '3' }]
+			});
+		});
+
+		it('should create labels from the items when there is no label option', function() {
+			assert.deepEqual(leche.fromFile(FIXTURES_DIR + 'sums.ndjson'), {
+				'1,2,3': [1, 2, 3],
+				'{"first":10,"second":20}': [{ first: 10, second: 20 }]
+			});
+		});
+
+		it('should read YAML files', function() {
+			assert.deepEqual(leche.fromFile(FIXTURES_DIR + 'sums.yaml', { label: 'name' }), {
+				'small numbers': [{ args: [1, 2] }],
+				'large numbers': [{ args: [10, 20] }]
+			});
+		});
+
+		it('should use the format option instead of the extension', function() {
+			assert.throws(function() {
+				leche.fromFile(FIXTURES_DIR + 'sums.csv', { format: 'json' });
+			}, /Cannot parse ".*sums\.csv": unexpected token 'a' at line 1, column 2\./);
+		});
+
+		it('should report the line and column of errors in JSON files', function() {
+			assert.throws(function() {
+				leche.fromFile(FIXTURES_DIR + 'invalid.json');
+			}, /Cannot parse ".*invalid\.json": .* at line 3, column 28\./);
+		});
+
+		it('should report the line of rows with the wrong number of fields', function() {
+			assert.throws(function() {
+				leche.fromFile(FIXTURES_DIR + 'invalid.csv');
+			}, /Cannot parse ".*invalid\.csv": expected 2 fields but found 3 at line 2, column 1\./);
+		});
+
+		it('should throw an error when an item has no label', function() {
+			assert.throws(function() {
+				leche.fromFile(FIXTURES_DIR + 'sums.ndjson', { label: 'name' });
+			}, /The item at line 1 of ".*sums\.ndjson" has no "name" to use as its label\./);
+		});
+
+		it('should throw an error when the format is not known', function() {
+			assert.throws(function() {
+				leche.fromFile(GREETING_MODULE);
+			}, /Cannot tell the format of ".*greeting\.js" from its extension\./);
+		});
+
+		it('should throw an error when the file has no extension and no format option', function() {
+			assert.throws(function() {
+				leche.fromFile('sums');
+			}, /Cannot tell the format of "sums" from its extension\./);
+		});
+
+		it('should throw an error when the format option is not known', function() {
+			assert.throws(function() {
+				leche.fromFile(FIXTURES_DIR + 'sums.csv', { format: 'xml' });
+			}, /Unknown format "xml"\. Use one of: /);
+		});
+
+		it('should read escapes, literals and numbers in JSON files', function() {
+			assert.deepEqual(loadText('{ "say \\"hi\\"\\n\\u0041": [true, false, null, -1.5e2, {}, []] }', 'json'), {
+				'say "hi"\nA': [true, false, null, -150, {}, []]
+			});
+		});
+
+		it('should report the line and column of each kind of error in JSON files', function() {
+
+			var errors = [
+				['["\\x"]', 'line 1, column 4'],
+				['["a\tb"]', 'line 1, column 4'],
+				['[\n"abc', 'line 2, column 5'],
+				['{ 1: 2 }', 'line 1, column 3'],
+				['{ "a" 2 }', 'line 1, column 7'],
+				['[1] 2', 'line 1, column 5'],
+				['[1,', 'line 1, column 4'],
+				['{ "x": 1,\n  "a": a }', 'line 2, column 8'],
+				['["\\"a", a]', 'line 1, column 9']
+			];
+
+			errors.forEach(function(error) {
+				assert.throws(function() {
+					loadText(error[0], 'json');
+				}, new RegExp('^Cannot parse ".*\\.json": .* at ' + error[1] + '\\.$'));
+			});
+		});
+
+		it('should throw an error when a JSON file does not contain an array or an object', function() {
+			assert.throws(function() {
+				loadText('1', 'json');
+			}, /".*\.json" must contain an array or an object\./);
+		});
+
+		it('should throw an error when a file does not contain any items', function() {
+			assert.throws(function() {
+				loadText('[]', 'json');
+			}, /".*\.json" doesn't contain any items\./);
+			assert.throws(function() {
+				loadText('', 'csv');
+			}, /".*\.csv" doesn't contain any items\./);
+		});
+
+		it('should read quoted fields with line breaks and skip blank lines in CSV files', function() {
+			assert.deepEqual(loadText('name,value\r\n"line\nbreak",1\r\n\r\n"carriage\rreturn",""', 'csv', { label: 'name' }), {
+				'line\nbreak': [{ value: '1' }],
+				'carriage\rreturn': [{ value: '' }]
+			});
+		});
+
+		it('should report the line and column of each kind of error in CSV files', function() {
+			assert.throws(function() {
+				loadText('"name"s\n', 'csv');
+			}, /: unexpected "s" after a quoted field at line 1, column 7\./);
+			assert.throws(function() {
+				loadText('name\n"a\nb', 'csv');
+			}, /: unterminated quoted field at line 2, column 1\./);
+			assert.throws(function() {
+				loadText('name,\n', 'csv');
+			}, /: blank column name "" in the header at line 1, column 1\./);
+			assert.throws(function() {
+				loadText('name,name\n', 'csv');
+			}, /: duplicate column name "name" in the header at line 1, column 1\./);
+		});
+
+		it('should report the line and column of errors in YAML files', function() {
+			assert.throws(function() {
+				loadText('- [1, 2\n- 3', 'yaml');
+			}, /Cannot parse ".*\.yaml": .* at line \d+, column \d+\./);
+		});
+
+	});
+
+	describe('gen', function() {
+
+		var gen = leche.gen;
+
+		/**
+		 * Creates the describe() blocks for a generated dataset with a custom
+		 * adapter, and returns their titles and callbacks.
+		 * @param {Object} generator The generator.
+		 * @param {Object} options The options for withData().
+		 * @param {Function} testFunction The test function.
+		 * @returns {Object[]} The titles and callbacks of the blocks.
+		 */
+		function defineSuites(generator, options, testFunction) {
+
+			var suites = [];
+
+			leche.useAdapter({
+				describe: function(title, fn) {
+					suites.push({ title: title, fn: fn });
+				},
+				it: function() {}
+			});
+
+			try {
+				withData(generator, options, testFunction);
+			} finally {
+				leche.useAdapter(null);
+			}
+
+			return suites;
+		}
+
+		/**
+		 * Runs the callbacks of describe() blocks and collects the callbacks of
+		 * the tests they define with it(). Nested describe() blocks are run
+		 * right away, and each test calls the before() and beforeEach() hooks
+		 * of its block first and the afterEach() and after() hooks after it.
+		 * @param {Object[]} suites The blocks. See defineSuites().
+		 * @returns {Function[]} The test callbacks.
+		 */
+		function collectTests(suites) {
+
+			var tests = [],
+				hooks,
+				names = ['describe', 'it', 'before', 'beforeEach', 'afterEach', 'after'],
+				originals = {};
+
+			/**
+			 * Calls hooks, with a done callback for those that take one.
+			 * @param {Function[]} fns The hooks.
+			 * @returns {void}
+			 */
+			function callHooks(fns) {
+				fns.forEach(function(fn) {
+					if (fn.length) {
+						fn(function() {});
+					} else {
+						fn();
+					}
+				});
+			}
+
+			names.forEach(function(name) {
+				originals[name] = globalObject[name];
+			});
+
+			globalObject.describe = function(title, fn) {
+				fn();
+			};
+
+			globalObject.it = function(title, fn) {
+
+				var suiteHooks = hooks;
+
+				tests.push(function() {
+					callHooks(suiteHooks.setup);
+
+					try {
+						return fn();
+					} finally {
+						callHooks(suiteHooks.teardown);
+					}
+				});
+			};
+
+			globalObject.before = globalObject.beforeEach = function(title, fn) {
+				hooks.setup.push(typeof title === 'function' ? title : fn);
+			};
+
+			globalObject.afterEach = globalObject.after = function(title, fn) {
+				hooks.teardown.push(typeof title === 'function' ? title : fn);
+			};
+
+			try {
+				suites.forEach(function(suite) {
+					hooks = { setup: [], teardown: [] };
+					suite.fn();
+				});
+			} finally {
+				names.forEach(function(name) {
+					globalObject[name] = originals[name];
+				});
+			}
+
+			return tests;
+		}
+
+		/**
+		 * Runs tests until one of them throws an error.
+		 * @param {Function[]} tests The tests. See collectTests().
+		 * @returns {Error} The error.
+		 */
+		function findError(tests) {
+
+			var error;
+
+			tests.some(function(test) {
+				try {
+					test();
+				} catch (ex) {
+					error = ex;
+					return true;
+				}
+
+				return false;
+			});
+
+			return error;
+		}
+
+		/**
+		 * Generates the values of a generator, one for each run.
+		 * @param {Object} generator The generator.
+		 * @param {Object} options The options for withData().
+		 * @returns {Array[]} The arguments for each run.
+		 */
+		function generate(generator, options) {
+
+			var values = [];
+
+			defineSuites(generator, options, function() {
+				values.push(Array.prototype.slice.call(arguments));
+			}).forEach(function(suite) {
+				suite.fn();
+			});
+
+			return values;
+		}
+
+		it('should create an item for each run with the seed in its label', function() {
+
+			var suites = defineSuites(gen.integer({ min: 1, max: 1 }), { seed: 42, runs: 3 }, function() {});
+
+			assert.deepEqual(suites.map(function(suite) {
+				return suite.title;
+			}), [
+				TEST_PREFIX + '1 (seed 42)',
+				TEST_PREFIX + '1 (seed 42) #2',
+				TEST_PREFIX + '1 (seed 42) #3'
+			]);
+		});
+
+		it('should generate the same values for the same seed', function() {
+
+			var generator = gen.tuple(gen.integer(), gen.string(), gen.arrayOf(gen.oneOf('a', 'b')));
+
+			assert.deepEqual(generate(generator, { seed: 7 }), generate(generator, { seed: 7 }));
+			assert.notDeepEqual(generate(generator, { seed: 7 }), generate(generator, { seed: 8 }));
+		});
+
+		describeInNode('with LECHE_SEED', function() {
+
+			afterEach(function() {
+				delete process.env.LECHE_SEED;
+			});
+
+			it('should use the seed in LECHE_SEED', function() {
+
+				var generator = gen.integer();
+
+				process.env.LECHE_SEED = '123';
+
+				assert.deepEqual(generate(generator, {}), generate(generator, { seed: 123 }));
+			});
+
+			it('should throw an error when the seed is not valid', function() {
+
+				process.env.LECHE_SEED = 'abc';
+
+				assert.throws(function() {
+					generate(gen.integer(), {});
+				}, 'LECHE_SEED must be an integer from 0 to 4294967295.');
+			});
+
+		});
+
+		it('should generate values within the options', function() {
+
+			var generator = gen.record({
+				count: gen.integer({ min: 5, max: 8 }),
+				name: gen.string({ minLength: 2, maxLength: 4, characters: 'xy' }),
+				tags: gen.arrayOf(gen.oneOf('a', gen.integer({ min: 0, max: 0 })), { maxLength: 2 }),
+				kind: 'user'
+			});
+
+			generate(generator, { seed: 1, runs: 50 }).forEach(function(args) {
+
+				var record = args[0];
+
+				assert.isAtLeast(record.count, 5);
+				assert.isAtMost(record.count, 8);
+				assert.match(record.name, /^[xy]{2,4}$/);
+				assert.isAtMost(record.tags.length, 2);
+				record.tags.forEach(function(tag) {
+					assert.oneOf(tag, ['a', 0]);
+				});
+				assert.equal(record.kind, 'user');
+			});
+		});
+
+		it('should pass the values of a tuple as separate arguments', function() {
+
+			var values = generate(gen.tuple(gen.integer({ min: 1, max: 1 }), gen.oneOf('a')), { runs: 1 });
+
+			assert.deepEqual(values, [[1, 'a']]);
+		});
+
+		it('should shrink a failing value to a minimal counterexample', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 }), gen.string()), { seed: 3, runs: 50 }, function(number) {
+				it('should be small', function() {
+					assert.isBelow(number, 10);
+				});
+			}));
+
+			var error = findError(tests);
+
+			assert.match(error.message, /^expected 10 to be below 10\n\nCounterexample after shrinking \d+ times?: \[10,""\]\nRe-run with LECHE_SEED=3 to reproduce\.$/);
+		});
+
+		it('should run the beforeEach() hooks of the test function while shrinking', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 })), { seed: 3, runs: 50 }, function(number) {
+
+				var numbers;
+
+				beforeEach(function() {
+					numbers = [];
+				});
+
+				it('should be small', function() {
+					numbers.push(number);
+					assert.isBelow(numbers[0], 10);
+				});
+			}));
+
+			var error = findError(tests);
+
+			assert.match(error.message, /^expected 10 to be below 10\n\nCounterexample after shrinking \d+ times?: \[10\]\nRe-run with LECHE_SEED=3 to reproduce\.$/);
+		});
+
+		itWithPromise('should run the hooks of nested blocks and hooks that take a done callback while shrinking', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 })), { seed: 3, runs: 50 }, function(number) {
+
+				var calls;
+
+				before(function() {
+					calls = [];
+				});
+
+				describe('in a nested block', function() {
+
+					beforeEach('with a title', function(done) {
+						calls.push('beforeEach');
+						done();
+					});
+
+					it('should be small', function() {
+						calls.push('test');
+						assert.deepEqual(calls, ['beforeEach', 'test']);
+						assert.isBelow(number, 10);
+					});
+
+					afterEach(function() {
+						calls.push('afterEach');
+					});
+
+				});
+
+				after(function() {
+					calls = null;
+				});
+			}));
+
+			return Promise.all(tests.map(function(test) {
+				try {
+					return Promise.resolve(test()).then(function() {
+						return null;
+					}, function(error) {
+						return error;
+					});
+				} catch (ex) {
+					return ex;
+				}
+			})).then(function(errors) {
+
+				var error = errors.filter(Boolean)[0];
+
+				assert.match(error.message, /^expected 10 to be below 10\n\nCounterexample after shrinking \d+ times?: \[10\]\nRe-run with LECHE_SEED=3 to reproduce\.$/);
+			});
+		});
+
+		it('should run the hooks passed to withData() while shrinking', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 })), {
+				seed: 3,
+				runs: 50,
+				beforeEach: function(number) {
+					return { doubled: number * 2 };
+				}
+			}, function() {
+
+				var context = this.leche.context;
+
+				it('should be small', function() {
+					assert.isBelow(context.doubled, 20);
+				});
+			}));
+
+			var error = findError(tests);
+
+			assert.match(error.message, /^expected 20 to be below 20\n\nCounterexample after shrinking \d+ times?: \[10\]/);
+		});
+
+		it('should skip smaller values that fail in a different way while shrinking', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 })), { seed: 3, runs: 50 }, function(number) {
+				it('should be small', function() {
+					if (number < 100) {
+						throw new TypeError('Too small to check');
+					}
+
+					assert.isBelow(number, 10);
+				});
+			}));
+
+			var error = findError(tests);
+
+			assert.match(error.message, /^expected 100 to be below 10\n\nCounterexample after shrinking \d+ times?: \[100\]\nRe-run with LECHE_SEED=3 to reproduce\.\nSmaller values that failed in a different way were skipped\. The first one failed with: TypeError: Too small to check$/);
+		});
+
+		it('should skip smaller values that break the hooks or the test function while shrinking', function() {
+
+			var shrinking = false,
+				tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 })), { seed: 3, runs: 50 }, function(number) {
+
+					if (shrinking && number >= 200 && number < 300) {
+						throw new SyntaxError('Broken block');
+					}
+
+					beforeEach(function() {
+						if (shrinking && number >= 100 && number < 200) {
+							throw new RangeError('Broken setup');
+						}
+					});
+
+					it('should be small', function() {
+						assert.isBelow(number, 10);
+					});
+
+					afterEach(function() {
+						if (shrinking && number < 10) {
+							throw new EvalError('Broken teardown');
+						}
+					});
+				}));
+
+			shrinking = true;
+
+			assert.match(findError(tests).message, /^expected 300 to be below 10\n\nCounterexample after shrinking \d+ times?: \[300\]\nRe-run with LECHE_SEED=3 to reproduce\.\nSmaller values that failed in a different way were skipped\. The first one failed with: (RangeError|EvalError|SyntaxError): Broken/);
+		});
+
+		it('should shrink picked values towards the first one, through map()', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.oneOf('a', 'b', 'c').map(function(letter) {
+				return letter.toUpperCase();
+			})), { seed: 3, runs: 10 }, function(letter) {
+				it('should fail', function() {
+					assert.equal(letter, 'D');
+				});
+			}));
+
+			assert.match(findError(tests).message, /Counterexample after shrinking \d+ times?: \["A"\]/);
+		});
+
+		it('should shrink tests that throw values that are not errors', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 })), { seed: 3, runs: 50 }, function(number) {
+				it('should be small', function() {
+					if (number >= 10) {
+						throw 'too big';
+					}
+				});
+			}));
+
+			assert.match(findError(tests).message, /^too big\n\nCounterexample after shrinking \d+ times?: \[10\]/);
+		});
+
+		it('should treat smaller values that define fewer tests as passing', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.integer({ min: 0, max: 1000 })), { seed: 3, runs: 50 }, function(number) {
+				if (number >= 10) {
+					it('should be small', function() {
+						assert.isBelow(number, 10);
+					});
+				}
+			}));
+
+			assert.match(findError(tests).message, /Counterexample after shrinking \d+ times?: \[10\]/);
+		});
+
+		itWithPromise('should shrink values for tests that return promises', function() {
+
+			var tests = collectTests(defineSuites(gen.tuple(gen.arrayOf(gen.integer(), { minLength: 1 })), { seed: 5, runs: 50 }, function(numbers) {
+				it('should not contain negative numbers', function() {
+					return numbers.some(function(number) {
+						return number < 0;
+					}) ? Promise.reject(new Error('Negative number')) : Promise.resolve();
+				});
+			}));
+
+			return Promise.all(tests.map(function(test) {
+				return test().then(function() {
+					return null;
+				}, function(error) {
+					return error;
+				});
+			})).then(function(errors) {
+
+				var error = errors.filter(Boolean)[0];
+
+				assert.match(error.message, /Counterexample after shrinking \d+ times?: \[\[-1\]\]/);
+			});
+		});
+
+		it('should throw an error when the options are not valid', function() {
+			assert.throws(function() {
+				gen.integer({ min: 2, max: 1 });
+			}, 'The min option must not be greater than the max option.');
+			assert.throws(function() {
+				gen.arrayOf(gen.integer(), { minLength: -1 });
+			}, 'The minLength option must be a non-negative integer.');
+			assert.throws(function() {
+				gen.oneOf();
+			}, 'oneOf() requires at least one value.');
+			assert.throws(function() {
+				gen.string({ characters: '' });
+			}, 'The characters option must not be empty.');
+			assert.throws(function() {
+				gen.arrayOf(gen.integer(), { minLength: 3, maxLength: 2 });
+			}, 'The minLength option must not be greater than the maxLength option.');
+			assert.throws(function() {
+				defineSuites(gen.integer(), { runs: 1.5 }, function() {});
+			}, 'The runs option must be a positive integer.');
+		});
+
+	});
+
+	describe('withData() with a generator', function() {
+
+		withData(leche.gen.tuple(leche.gen.integer({ min: 1, max: 100 }), leche.gen.integer({ min: 1, max: 100 })), { runs: 5 }, function(first, second) {
+			it('should add positive integers', function() {
+				assert.isAbove(first + second, first);
+			});
+		});
+
+	});
+
+	describe('useAdapter()', function() {
+
+		/**
+		 * Creates a custom adapter that records the blocks it's asked to create.
+		 * @param {Object} [methods] Methods to add to the adapter.
+		 * @returns {Object} The adapter.
+		 */
+		function createAdapter(methods) {
+			var adapter = {
+				name: 'custom',
+				describe: sandbox.spy(),
+				it: sandbox.spy()
+			};
+
+			Object.keys(methods || {}).forEach(function(key) {
+				adapter[key] = methods[key];
+			});
+
+			return adapter;
+		}
+
+		afterEach(function() {
+			leche.useAdapter(null);
+		});
+
+		it('should throw an error when the adapter name is not recognized', function() {
+			assert.throws(function() {
+				leche.useAdapter('ava');
+			}, /Unknown adapter "ava"\. Use one of: mocha, jest, jasmine, node:test\./);
+		});
+
+		it('should throw an error when the adapter object has no describe() method', function() {
+			assert.throws(function() {
+				leche.useAdapter({ it: function() {} });
+			}, /Adapters must have describe\(\) and it\(\) methods\./);
+		});
+
+		it('should pass the title, callback, mode and reason of each item to a custom adapter', function() {
+			var adapter = createAdapter(),
+				spy = sandbox.spy();
+
+			leche.useAdapter(adapter);
+			withData({
+				first: [1, 2],
+				second: leche.only(3),
+				third: leche.skip(4, 'flaky')
+			}, spy);
+
+			assert.isTrue(adapter.describe.calledThrice);
+			assert.deepEqual(adapter.describe.args.map(function(args) {
+				return [args[0], args[2], args[3]];
+			}), [
+				[TEST_PREFIX + 'first', null, undefined],
+				[TEST_PREFIX + 'second', 'only', undefined],
+				[TEST_PREFIX + 'third (skipped: flaky)', 'skip', 'flaky']
+			]);
+
+			adapter.describe.firstCall.args[1]();
+			assert.isTrue(spy.calledWith(1, 2));
+		});
+
+		itWithPromise('should throw an error when a custom adapter does not support datasets that are resolved asynchronously', function() {
+			leche.useAdapter(createAdapter());
+
+			assert.throws(function() {
+				withData(Promise.resolve([1]), function() {});
+			}, /The custom adapter doesn't support datasets that are resolved asynchronously\./);
+		});
+
+		itWithPromise('should skip all other items when a dataset resolved asynchronously has items marked by only()', function() {
+			var suiteAdapter = createAdapter(),
+				adapter = createAdapter({
+					defer: function(promise, callback) {
+						return promise.then(function(dataset) {
+							callback(dataset, suiteAdapter);
+						});
+					}
+				});
+
+			leche.useAdapter(adapter);
+
+			return withData(Promise.resolve([1, leche.only(2)]), function() {}).then(function() {
+				assert.deepEqual(suiteAdapter.describe.args.map(function(args) {
+					return [args[0], args[2]];
+				}), [
+					[TEST_PREFIX + '1', 'skip'],
+					[TEST_PREFIX + '2', null]
+				]);
+			});
+		});
+
+		it('should register the hooks of each item with a custom adapter', function() {
+			var hook = sandbox.stub().returns({ port: 8080 }),
+				adapter = createAdapter({ before: sandbox.spy() }),
+				meta;
+
+			leche.useAdapter(adapter);
+			withData([[1, 2]], { before: hook, meta: true }, function(a, b, itemMeta) {
+				meta = itemMeta;
+			});
+			adapter.describe.firstCall.args[1]();
+			adapter.before.firstCall.args[0]();
+
+			assert.isTrue(hook.calledWith(1, 2, meta));
+			assert.deepEqual(meta.context, { port: 8080 });
+		});
+
+		it('should throw an error when a custom adapter does not support a hook', function() {
+			var adapter = createAdapter();
+
+			leche.useAdapter(adapter);
+			withData([1], { afterEach: function() {} }, function() {});
+
+			assert.throws(function() {
+				adapter.describe.firstCall.args[1]();
+			}, /The custom adapter doesn't support afterEach\(\) hooks\./);
+		});
+
+		it('should use the global Jest functions with the jest adapter', function() {
+			var only = sandbox.stub(globalObject.describe, 'only');
+
+			leche.useAdapter('jest');
+			withData([leche.only(1)], function() {});
+			only.restore();
+
+			assert.isTrue(only.calledOnce);
+			assert.equal(only.firstCall.args[0], TEST_PREFIX + '1');
+		});
+
+		it('should use fdescribe() and xdescribe() with the jasmine adapter', function() {
+			var fdescribe = globalObject.fdescribe = sandbox.spy(),
+				xdescribe = globalObject.xdescribe = sandbox.spy();
+
+			try {
+				leche.useAdapter('jasmine');
+				withData([leche.only(1), leche.skip(2)], function() {});
+			} finally {
+				delete globalObject.fdescribe;
+				delete globalObject.xdescribe;
+			}
+
+			assert.equal(fdescribe.firstCall.args[0], TEST_PREFIX + '1');
+			assert.equal(xdescribe.firstCall.args[0], TEST_PREFIX + '2');
+		});
+
+		itWithPromise('should detect Jest when there is no global before() function', function() {
+			var only = sandbox.stub(globalObject.describe, 'only'),
+				before = globalObject.before;
+
+			globalObject.before = undefined;
+			globalObject.test = function() {};
+			globalObject.beforeAll = function() {};
+
+			try {
+				assert.throws(function() {
+					withData(Promise.resolve([1]), function() {});
+				}, /The jest adapter/);
+				withData([leche.only(1)], function() {});
+			} finally {
+				globalObject.before = before;
+				delete globalObject.test;
+				delete globalObject.beforeAll;
+				only.restore();
+			}
+
+			assert.isTrue(only.calledOnce);
+		});
+
+		describe('with global test runner functions', function() {
+
+			var replacedGlobals = {};
+
+			/**
+			 * Replaces a global for the current test. It's put back in the
+			 * afterEach() hook.
+			 * @param {string} name The name of the global.
+			 * @param {*} value The value to use instead.
+			 * @returns {*} The value.
+			 */
+			function setGlobal(name, value) {
+
+				if (!replacedGlobals.hasOwnProperty(name)) {
+					replacedGlobals[name] = {
+						exists: name in globalObject,
+						value: globalObject[name]
+					};
+				}
+
+				globalObject[name] = value;
+				return value;
+			}
+
+			/**
+			 * Replaces a global with a spy that has spies for its only() and
+			 * skip() variants.
+			 * @param {string} name The name of the global.
+			 * @returns {Function} The spy.
+			 */
+			function spyOnGlobal(name) {
+
+				var spy = setGlobal(name, sandbox.spy());
+
+				spy.only = sandbox.spy();
+				spy.skip = sandbox.spy();
+
+				return spy;
+			}
+
+			/**
+			 * Gets the arguments of every call to the given spies, in order.
+			 * @param {Function[]} spies The spies.
+			 * @param {number} index The argument to get.
+			 * @returns {Array} The argument of each call.
+			 */
+			function getArgs(spies, index) {
+				return spies.map(function(spy) {
+					return spy.args.map(function(args) {
+						return args[index];
+					});
+				});
+			}
+
+			afterEach(function() {
+				Object.keys(replacedGlobals).forEach(function(name) {
+					if (replacedGlobals[name].exists) {
+						globalObject[name] = replacedGlobals[name].value;
+					} else {
+						delete globalObject[name];
+					}
+				});
+
+				replacedGlobals = {};
+			});
+
+			it('should pass the timeout of each test to the global Jest functions', function() {
+				var test = spyOnGlobal('test');
+
+				leche.useAdapter('jest');
+				leche.eachCase([1, leche.only(2), leche.skip(3)], 'runs %s', { timeout: 50 }, function() {});
+
+				assert.deepEqual(getArgs([test, test.only, test.skip], 2), [[50], [50], [50]]);
+			});
+
+			it('should register hooks with the global Jest functions', function() {
+				var describe = spyOnGlobal('describe'),
+					hooks = {
+						beforeAll: setGlobal('beforeAll', sandbox.spy()),
+						afterAll: setGlobal('afterAll', sandbox.spy()),
+						beforeEach: setGlobal('beforeEach', sandbox.spy()),
+						afterEach: setGlobal('afterEach', sandbox.spy())
+					};
+
+				leche.useAdapter('jest');
+				withData([1], {
+					before: function() {},
+					after: function() {},
+					beforeEach: function() {},
+					afterEach: function() {}
+				}, function() {});
+				describe.firstCall.args[1]();
+
+				Object.keys(hooks).forEach(function(name) {
+					assert.isTrue(hooks[name].calledOnce, name + '() should be called');
+				});
+			});
+
+			it('should use it(), fit() and xit() with the jasmine adapter', function() {
+				var it = setGlobal('it', sandbox.spy()),
+					fit = setGlobal('fit', sandbox.spy()),
+					xit = setGlobal('xit', sandbox.spy());
+
+				leche.useAdapter('jasmine');
+				leche.eachCase([1, leche.only(2), leche.skip(3)], 'runs %s', { timeout: 50 }, function() {});
+
+				assert.deepEqual(getArgs([it, fit, xit], 0), [['runs 1'], ['runs 2'], ['runs 3']]);
+				assert.deepEqual(getArgs([it, fit, xit], 2), [[50], [50], [50]]);
+			});
+
+			it('should register hooks with the global Jasmine functions', function() {
+				var describe = setGlobal('describe', sandbox.spy()),
+					beforeAll = setGlobal('beforeAll', sandbox.spy()),
+					afterAll = setGlobal('afterAll', sandbox.spy()),
+					beforeEach = setGlobal('beforeEach', sandbox.spy()),
+					afterEach = setGlobal('afterEach', sandbox.spy());
+
+				leche.useAdapter('jasmine');
+				withData([1], {
+					before: function() {},
+					after: function() {},
+					beforeEach: function() {},
+					afterEach: function() {}
+				}, function() {});
+				describe.firstCall.args[1]();
+
+				assert.isTrue(beforeAll.calledOnce && afterAll.calledOnce && beforeEach.calledOnce && afterEach.calledOnce);
+			});
+
+			itWithPromise('should detect Jasmine when there is no global before() or test() function', function() {
+				var describe = setGlobal('describe', sandbox.spy());
+
+				setGlobal('before', undefined);
+				setGlobal('fdescribe', sandbox.spy());
+
+				withData([1], function() {});
+
+				assert.isTrue(describe.calledOnce);
+				assert.throws(function() {
+					withData(Promise.resolve([1]), function() {});
+				}, /The jasmine adapter doesn't support datasets that are resolved asynchronously\./);
+			});
+
+			describeWithNodeTest('with node:test', function() {
+
+				var nodeTest = loadNodeTest();
+
+				/**
+				 * Replaces the functions of node:test with stubs for the
+				 * current test.
+				 * @returns {Object} The stubs, by name.
+				 */
+				function stubNodeTest() {
+
+					var stubs = {};
+
+					['describe', 'it', 'before', 'after', 'beforeEach', 'afterEach'].forEach(function(name) {
+						stubs[name] = sandbox.stub(nodeTest, name);
+					});
+
+					return stubs;
+				}
+
+				it('should pass the mode and reason of each block as options', function() {
+					var stubs = stubNodeTest(),
+						spy = sandbox.spy();
+
+					leche.useAdapter('node:test');
+					withData([1, leche.only(2), leche.skip(3, 'flaky'), leche.skip(4)], spy);
+
+					assert.deepEqual(getArgs([stubs.describe], 1)[0], [{}, { only: true }, { skip: 'flaky' }, { skip: true }]);
+
+					stubs.describe.firstCall.args[2]();
+					assert.isTrue(spy.calledWith(1));
+				});
+
+				it('should pass the timeout as an option and a done callback only when the test takes one', function() {
+					var stubs = stubNodeTest(),
+						done = sandbox.spy(),
+						values = [];
+
+					leche.useAdapter('node:test');
+					leche.eachCase([1], 'runs %s', { timeout: 50 }, function(value) {
+						values.push(value);
+					});
+					leche.eachCase([2], 'waits for %s', function(value, callback) {
+						values.push(value);
+						callback();
+					});
+
+					assert.deepEqual(getArgs([stubs.it], 1)[0], [{ timeout: 50 }, {}]);
+
+					stubs.it.firstCall.args[2]();
+					stubs.it.secondCall.args[2]({}, done);
+
+					assert.deepEqual(values, [1, 2]);
+					assert.isTrue(done.calledOnce);
+				});
+
+				it('should register hooks with node:test', function() {
+					var stubs = stubNodeTest();
+
+					leche.useAdapter('node:test');
+					withData([1], {
+						before: function() {},
+						after: function() {},
+						beforeEach: function() {},
+						afterEach: function() {}
+					}, function() {});
+					stubs.describe.firstCall.args[2]();
+
+					['before', 'after', 'beforeEach', 'afterEach'].forEach(function(name) {
+						assert.isTrue(stubs[name].calledOnce, name + '() should be called');
+					});
+				});
+
+				it('should create the blocks once a dataset that is resolved asynchronously is available', function() {
+					var stubs = stubNodeTest();
+
+					leche.useAdapter('node:test');
+
+					return withData(Promise.resolve([1]), function() {}).then(function() {
+						assert.equal(stubs.describe.firstCall.args[0], TEST_PREFIX + '1');
+					});
+				});
+
+				it('should detect node:test when there are no global test runner functions', function() {
+					var stubs = stubNodeTest();
+
+					setGlobal('describe', undefined);
+					withData([1], function() {});
+
+					assert.isTrue(stubs.describe.calledOnce);
+				});
+
+				it('should detect node:test when the global describe() function belongs to an unknown test runner', function() {
+					var stubs = stubNodeTest(),
+						describe = setGlobal('describe', sandbox.spy());
+
+					setGlobal('before', undefined);
+					withData([1], function() {});
+
+					assert.isTrue(stubs.describe.calledOnce);
+					assert.isFalse(describe.called);
+				});
+
+			});
+
+			describeWithoutNodeTest('without node:test', function() {
+
+				it('should throw an error when no test runner can be detected', function() {
+					setGlobal('describe', undefined);
+
+					assert.throws(function() {
+						withData([1], function() {});
+					}, /Could not detect a test runner\. Use leche\.useAdapter\(\) to choose one\./);
+				});
+
+			});
+
+		});
+
+		describeWithPromise('with Mocha and a dataset that is resolved asynchronously', function() {
+
+			var describeOnlyError;
+
+			withData(Promise.resolve([1]), function() {
+
+				describe.skip('skipped', function() {
+					it('should not run', function() {
+						assert.fail('skipped tests should not run');
+					});
+				});
+
+				it.skip('should not run either', function() {
+					assert.fail('skipped tests should not run');
+				});
+
+				try {
+					describe.only('focused', function() {});
+				} catch (ex) {
+					describeOnlyError = ex;
+				}
+
+				it('should not support describe.only()', function() {
+					assert.match(describeOnlyError.message, /describe\.only\(\) is not supported for datasets that are resolved asynchronously\./);
+				});
+			});
+
+		});
+
+	});
 });
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Type tests for Leche, run with tsd
+ */
+
+import { expectAssignable, expectError, expectType } from 'tsd';
+import leche = require('../../lib/leche');
+
+//------------------------------------------------------------------------------
+// create()
+//------------------------------------------------------------------------------
+
+const object = leche.create(['save', 'load']);
+expectType<Record<'save' | 'load', () => void>>(object);
+expectError(object.remove);
+expectType<Record<'save', () => void>>(leche.create(['save'], { record: true }));
+expectError(leche.create([1, 2]));
+
+const api = leche.create({
+	getUser: leche.returns({ id: 1 }),
+	save: leche.resolves(),
+	load: leche.resolves('data'),
+	remove: leche.rejects(new Error('Oops')),
+	fail: leche.throws(),
+	next: leche.sequence(1, 2, 3),
+	add: (a: number, b: number) => a + b
+});
+expectType<{ id: number }>(api.getUser());
+expectType<Promise<void>>(api.save());
+expectType<Promise<string>>(api.load());
+expectType<Promise<never>>(api.remove());
+expectType<never>(api.fail());
+expectType<number | undefined>(api.next());
+expectType<number>(api.add(1, 2));
+expectError(api.add('1', 2));
+
+const mixed = leche.create(['save', { load: leche.returns(1) }]);
+expectType<void>(mixed.save());
+expectType<number>(mixed.load());
+expectError(leche.create({ getUser: 1 }));
+
+//------------------------------------------------------------------------------
+// fake() and fakeClass()
+//------------------------------------------------------------------------------
+
+class Person {
+	name = 'Nicholas';
+	sayName(): string {
+		return this.name;
+	}
+	static create(): Person {
+		return new Person();
+	}
+}
+
+expectType<Person>(leche.fake(new Person()));
+expectType<{ save(): number }>(leche.fake({ save: () => 1 } as { save(): number }, { strict: true, record: true }));
+expectType<typeof Person>(leche.fakeClass(Person));
+expectError(leche.fakeClass({}));
+expectError(leche.fake({}, { strict: 'yes' }));
+expectType<Person>(leche.fake(new Person(), { deep: true, depth: 2 }));
+expectError(leche.fake(new Person(), { depth: 'all' }));
+expectType<Person>(leche.fake(new Person(), {
+	passthrough: ['name'],
+	stub: { sayName: leche.returns('Nicholas') }
+}));
+leche.fake(new Person(), { stub: { sayName: () => 'Nicholas', name: 'Nicholas' } });
+leche.fakeClass(Person, { passthrough: ['sayName'] });
+expectError(leche.fake(new Person(), { passthrough: ['missing'] }));
+expectError(leche.fake(new Person(), { stub: { sayName: leche.returns(1) } }));
+expectType<Person>(leche.fake(new Person(), { properties: 'record', frozen: true }));
+expectError(leche.fake(new Person(), { properties: 'ignore' }));
+
+//------------------------------------------------------------------------------
+// calls() and accesses()
+//------------------------------------------------------------------------------
+
+expectType<leche.Call[]>(leche.calls(object, 'save'));
+expectType<unknown[]>(leche.calls(object)[0].args);
+expectType<void>(leche.verifyNoUnexpectedCalls(object));
+expectType<leche.Access[]>(leche.accesses(object, 'name'));
+expectType<'get' | 'set'>(leche.accesses(object)[0].type);
+
+//------------------------------------------------------------------------------
+// assertMatches() and useVerifiedFakes()
+//------------------------------------------------------------------------------
+
+expectType<void>(leche.assertMatches(leche.create(['sayName']), Person));
+expectType<void>(leche.assertMatches(leche.fakeClass(Person), Person));
+expectError(leche.assertMatches(object, 'Person'));
+expectType<void>(leche.useVerifiedFakes(true));
+expectType<Person>(leche.fake(new Person(), { real: Person }));
+leche.create(['sayName'], { real: Person });
+expectError(leche.create(['sayName'], { real: 'Person' }));
+
+//------------------------------------------------------------------------------
+// fakeModule(), installModule() and useFakeModule()
+//------------------------------------------------------------------------------
+
+const exportsObject = { readFile: (path: string) => path, promises: { readFile: async (path: string) => path } };
+expectType<typeof exportsObject>(leche.fakeModule(exportsObject, { name: 'fs', record: true }));
+expectType<typeof import('fs')>(leche.fakeModule<typeof import('fs')>('fs'));
+expectType<() => void>(leche.installModule('./config', {}));
+expectType<{ load(): void }>(leche.useFakeModule<{ load(): void }>('./config'));
+expectError(leche.fakeModule(42));
+
+//------------------------------------------------------------------------------
+// fakeGlobals()
+//------------------------------------------------------------------------------
+
+const clock = leche.fakeGlobals(['Date', 'setTimeout', 'Math.random'], { now: new Date(0), seed: 1 });
+expectType<number>(clock.tick(100));
+expectType<number>(clock.runAll());
+expectType<number>(clock.random());
+expectType<number>(clock.seed);
+clock.setSystemTime(Date.UTC(2020, 0, 1));
+expectError(leche.fakeGlobals(['process.nextTick']));
+
+//------------------------------------------------------------------------------
+// fromContract()
+//------------------------------------------------------------------------------
+
+interface UserService {
+	getUser(id: number): { id: number };
+	baseUrl: string;
+}
+
+expectType<UserService>(leche.fromContract<UserService>({
+	name: 'UserService',
+	methods: {
+		getUser: { params: ['id', 'options?'], returns: { type: 'object', required: ['id'] } }
+	},
+	properties: { baseUrl: { type: 'string' } }
+}, { stub: { getUser: leche.returns({ id: 1 }), baseUrl: 'https://example.com' }, record: true }));
+expectType<any>(leche.fromContract('./contracts/petstore.json', { name: 'PetStore' }));
+expectError(leche.fromContract<UserService>({ methods: ['getUser'] }, { stub: { getUser: leche.returns('x') } }));
+expectError(leche.fromContract({ methods: 'getUser' }));
+
+//------------------------------------------------------------------------------
+// sandbox() and useSandbox()
+//------------------------------------------------------------------------------
+
+const box = leche.sandbox();
+expectType<Record<'save', () => void>>(box.create(['save']));
+expectType<UserService>(box.fromContract<UserService>({ methods: ['getUser'] }, { record: false }));
+expectType<leche.FakeClock>(box.fakeGlobals(['Date']));
+expectType<() => void>(box.installModule('./config', {}));
+expectType<string>(box.replace({ name: 'real' }, 'name', 'fake'));
+expectError(box.replace({ name: 'real' }, 'name', 1));
+expectType<{ verify(): void }>(box.track({ verify() {} }));
+box.verifyAndRestore();
+expectType<leche.Sandbox>(leche.useSandbox());
+
+//------------------------------------------------------------------------------
+// withData()
+//------------------------------------------------------------------------------
+
+leche.withData([[1, 'a'], [2, 'b']], (number, letter) => {
+	expectType<number>(number);
+	expectType<string>(letter);
+});
+
+leche.withData({ one: [1, true], two: [2, false] }, (number, flag) => {
+	expectType<number>(number);
+	expectType<boolean>(flag);
+});
+
+leche.withData([1, 2, 3], (value) => {
+	expectType<number>(value);
+});
+
+leche.withData([[1, 'a'], leche.only([2, 'b']), leche.skip([3, 'c'], 'flaky')], (number, letter) => {
+	expectType<number>(number);
+	expectType<string>(letter);
+});
+
+leche.withData([[1, 'a']], { title: '%s is %s', maxLength: 10, duplicates: 'error' }, (number, letter) => {
+	expectType<number>(number);
+	expectType<string>(letter);
+});
+
+leche.withData([[1, 'a']], { title: (number, letter) => letter.repeat(number) }, () => {});
+
+leche.withData(() => [[1, 'a']], (number, letter) => {
+	expectType<number>(number);
+	expectType<string>(letter);
+});
+
+leche.withData(Promise.resolve({ first: ['a'] }), (value) => {
+	expectType<string>(value);
+});
+
+leche.withData.only([[1, 'a']], (number, letter) => {
+	expectType<number>(number);
+	expectType<string>(letter);
+});
+
+leche.withData.skip([1], (value) => {
+	expectType<number>(value);
+});
+
+expectAssignable<void | Promise<void>>(leche.withData([1], () => {}));
+
+leche.withData([[1, 'a']], { meta: true }, (number, letter, meta) => {
+	expectType<number>(number);
+	expectType<string>(letter);
+	expectType<leche.ItemMeta>(meta);
+});
+
+leche.withData(leche.gen.integer(), { meta: true }, (value, meta) => {
+	expectType<number>(value);
+	expectType<number>(meta.index);
+});
+
+leche.withData([[1, 'a']], {
+	before: (number, letter) => {
+		expectType<number>(number);
+		expectType<string>(letter);
+		return { server: letter.repeat(number) };
+	},
+	afterEach: async function(number) {
+		expectType<number>(number);
+		expectType<leche.ItemMeta>(this.leche);
+	}
+}, function(number) {
+	expectType<number>(number);
+	expectType<any>(this.leche.context.server);
+});
+
+leche.withData([1], { meta: true, beforeEach: (value, meta) => {
+	expectType<number>(value);
+	expectType<leche.ItemMeta>(meta);
+} }, () => {});
+
+leche.withData({ first: [1] }, function(value) {
+	expectType<number>(value);
+	expectType<string>(this.leche.label);
+	expectType<unknown>(this.leche.row);
+});
+expectError(leche.withData([[1, 'a']], (number: string) => {}));
+expectError(leche.withData([1], { duplicates: 'ignore' }, () => {}));
+expectError(leche.withData('not a dataset', () => {}));
+
+//------------------------------------------------------------------------------
+// eachCase()
+//------------------------------------------------------------------------------
+
+leche.eachCase([[1, 2, 3]], 'should add %s and %s', (first, second, sum) => {
+	expectType<number>(first);
+	expectType<number>(sum);
+});
+
+leche.eachCase([1], (value) => `should work with ${value}`, { timeout: (value) => value * 1000 }, function(value) {
+	expectType<number>(value);
+	expectType<string>(this.leche.label);
+	return Promise.resolve();
+});
+
+leche.eachCase({ first: ['a', 1] }, '%s', (letter, number, done) => {
+	expectType<string>(letter);
+	expectType<number>(number);
+	expectType<leche.DoneCallback>(done);
+	done();
+});
+
+leche.eachCase([['a', 1]], '%s', { meta: true }, (letter, number, meta) => {
+	expectType<string>(letter);
+	expectType<number>(number);
+	expectType<leche.ItemMeta>(meta);
+});
+
+leche.eachCase(leche.gen.integer(), 'should work with %s', { runs: 5 }, (value) => {
+	expectType<number>(value);
+});
+
+leche.withData.it.only([1], '%s', (value) => {
+	expectType<number>(value);
+});
+
+expectError(leche.eachCase([1], '%s', { beforeEach: () => {} }, () => {}));
+
+//------------------------------------------------------------------------------
+// table()
+//------------------------------------------------------------------------------
+
+function add(first: number, second: number): number {
+	return first + second;
+}
+
+leche.table(add, [
+	{ args: [1, 2], returns: 3 },
+	{ args: [1, NaN], throws: TypeError, message: /NaN/ },
+	leche.skip({ args: [1, 1], throws: true, title: 'should be skipped' })
+], { name: 'sum', timeout: 100 });
+
+leche.table(async (name: string) => ({ name }), [
+	{ args: ['a'], resolves: { name: 'a' } },
+	{ args: ['b'], rejects: Error, message: 'b' }
+]);
+
+expectError(leche.table(add, [{ args: ['1', 2], returns: 3 }]));
+expectError(leche.table(add, [{ args: [1, 2], returns: '3' }]));
+
+//------------------------------------------------------------------------------
+// Combining datasets
+//------------------------------------------------------------------------------
+
+expectType<leche.CombinedDataset<[number, string]>>(leche.cross([1, 2], ['a', 'b']));
+expectType<leche.CombinedDataset<[number, string, boolean]>>(leche.pairwise([1], ['a'], { yes: true }));
+expectType<leche.CombinedDataset<[number, string]>>(leche.zip([1, 2], ['a', 'b']));
+expectType<leche.CombinedDataset<[number]>>(leche.concat([1], [2]));
+
+leche.withData(leche.cross([1, 2], ['a', 'b']), (number, letter) => {
+	expectType<number>(number);
+	expectType<string>(letter);
+});
+
+//------------------------------------------------------------------------------
+// fromFile()
+//------------------------------------------------------------------------------
+
+expectType<{ [label: string]: unknown[] }>(leche.fromFile('cases.csv', { label: 'name' }));
+leche.fromFile('cases.txt', { format: 'ndjson' });
+expectError(leche.fromFile('cases.txt', { format: 'xml' }));
+
+leche.withData(leche.fromFile('cases.json'), (...args) => {
+	expectType<unknown[]>(args);
+});
+
+//------------------------------------------------------------------------------
+// gen
+//------------------------------------------------------------------------------
+
+expectType<leche.Generator<number>>(leche.gen.integer({ min: 0, max: 10 }));
+expectType<leche.Generator<string>>(leche.gen.string({ maxLength: 5, characters: 'ab' }));
+expectType<leche.Generator<number[]>>(leche.gen.arrayOf(leche.gen.integer()));
+expectType<leche.Generator<string | number>>(leche.gen.oneOf('a', leche.gen.integer()));
+expectType<leche.Generator<{ id: number; kind: string }>>(leche.gen.record({ id: leche.gen.integer(), kind: 'user' }));
+expectType<leche.Generator<number>>(leche.gen.string().map((value) => value.length));
+expectError(leche.gen.integer({ min: '0' }));
+
+leche.withData(leche.gen.tuple(leche.gen.integer(), leche.gen.string()), { runs: 10, seed: 42 }, (count, name) => {
+	expectType<number>(count);
+	expectType<string>(name);
+});
+
+leche.withData(leche.gen.record({ id: leche.gen.integer() }), (user) => {
+	expectType<number>(user.id);
+});
+
+
+//------------------------------------------------------------------------------
+
+leche.useAdapter('jest');
+leche.useAdapter(null);
+leche.useAdapter({
+	describe(title, fn) {
+		fn();
+	},
+	it(title, fn, mode) {
+		expectType<leche.Mode>(mode);
+	}
+});
+expectError(leche.useAdapter('ava'));